@@ -0,0 +1,248 @@
+// admin/admin.js
+
+// The admin dashboard: lists bookings (Block tool jobs) or conversations
+// from /admin/api, with the filters in the form, and shows one in detail.
+// The browser handles the Basic auth prompt; every value from the API is
+// rendered as text.
+
+const listEl = document.querySelector("#list");
+const detailEl = document.querySelector("#detail");
+const filtersEl = document.querySelector("#filters");
+const tabs = document.querySelectorAll(".admin-tabs button");
+
+let view = "jobs";
+
+// --- Rendering helpers ---
+
+function el(tag, { className, text } = {}, children = []) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined && text !== null) node.textContent = text;
+  node.append(...children);
+  return node;
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "–";
+}
+
+function statusBadge(status) {
+  return el("span", { className: `badge badge-${status}`, text: status.replaceAll("_", " ") });
+}
+
+function table(headings, rows) {
+  return el("table", {}, [
+    el("thead", {}, [el("tr", {}, headings.map((heading) => el("th", { text: heading })))]),
+    el("tbody", {}, rows),
+  ]);
+}
+
+// A definition list of [label, value] pairs, skipping empty values
+function details(pairs) {
+  const list = el("dl");
+  for (const [label, value] of pairs) {
+    if (value === null || value === undefined || value === "") continue;
+    list.append(el("dt", { text: label }), el("dd", {}, [value instanceof Node ? value : String(value)]));
+  }
+  return list;
+}
+
+function showError(target, message) {
+  target.replaceChildren(el("p", { className: "admin-error", text: message }));
+}
+
+async function getJson(path) {
+  const res = await fetch(path);
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+  return data;
+}
+
+// --- Lists ---
+
+async function loadList() {
+  const params = new URLSearchParams(
+    [...new FormData(filtersEl)].filter(([, value]) => value !== "")
+  );
+  listEl.replaceChildren(el("p", { className: "admin-empty", text: "Loading…" }));
+
+  try {
+    if (view === "jobs") {
+      const { jobs } = await getJson(`api/jobs?${params}`);
+      renderJobs(jobs);
+    } else {
+      const { conversations } = await getJson(`api/conversations?${params}`);
+      renderConversations(conversations);
+    }
+  } catch (e) {
+    showError(listEl, e.message);
+  }
+}
+
+function selectRow(row) {
+  listEl.querySelectorAll("tr.selected").forEach((other) => other.classList.remove("selected"));
+  row.classList.add("selected");
+}
+
+function renderJobs(jobs) {
+  if (jobs.length === 0) {
+    listEl.replaceChildren(el("p", { className: "admin-empty", text: "No bookings match these filters." }));
+    return;
+  }
+
+  const rows = jobs.map((job) => {
+    const row = el("tr", {}, [
+      el("td", { text: formatTime(job.createdAt) }),
+      el("td", { text: job.tenantId }),
+      el("td", { text: job.tool }),
+      el("td", { text: job.customerName || "–" }),
+      el("td", { text: job.customerPhone || "–" }),
+      el("td", { text: job.startTime || "–" }),
+      el("td", {}, [statusBadge(job.status)]),
+    ]);
+    row.addEventListener("click", () => {
+      selectRow(row);
+      showJob(job.requestId);
+    });
+    return row;
+  });
+  listEl.replaceChildren(table(["Created", "Business", "Tool", "Customer", "Phone", "Time", "Status"], rows));
+}
+
+function renderConversations(conversations) {
+  if (conversations.length === 0) {
+    listEl.replaceChildren(el("p", { className: "admin-empty", text: "No conversations match these filters." }));
+    return;
+  }
+
+  const rows = conversations.map((conversation) => {
+    const row = el("tr", {}, [
+      el("td", { text: formatTime(conversation.updatedAt) }),
+      el("td", { text: conversation.tenantId }),
+      el("td", { text: String(conversation.messageCount) }),
+      el("td", { text: conversation.lastMessage?.content || "–" }),
+      el("td", {}, conversation.jobs.map((job) => statusBadge(job.status))),
+    ]);
+    row.addEventListener("click", () => {
+      selectRow(row);
+      showConversation(conversation.id);
+    });
+    return row;
+  });
+  listEl.replaceChildren(table(["Last active", "Business", "Messages", "Last message", "Jobs"], rows));
+}
+
+// --- Details ---
+
+function timeline(job) {
+  if (job.timeline.length === 0) {
+    return el("p", { className: "admin-empty", text: "No status events recorded." });
+  }
+  return el(
+    "ol",
+    { className: "timeline" },
+    job.timeline.map(({ at, event, data }) =>
+      el("li", { className: `timeline-${event}` }, [
+        el("time", { text: formatTime(at) }),
+        el("strong", { text: event }),
+        el("span", { text: data.state || data.message || data.blockJobId || "" }),
+      ])
+    )
+  );
+}
+
+function jobSection(job) {
+  return el("section", { className: "admin-job" }, [
+    el("h3", {}, [`${job.tool} `, statusBadge(job.status)]),
+    details([
+      ["Request id", job.requestId],
+      ["Block job id", job.blockJobId || "not submitted"],
+      ["Correlation id", job.correlationId],
+      ["Business", job.tenantId],
+      ["Created", formatTime(job.createdAt)],
+      ["Updated", formatTime(job.updatedAt)],
+      ["Reply", job.reply],
+      ["Error", job.error],
+    ]),
+    el("h4", { text: "Arguments" }),
+    el("pre", { text: JSON.stringify(job.args, null, 2) }),
+    ...(job.booking ? [el("h4", { text: "Result" }), el("pre", { text: JSON.stringify(job.booking, null, 2) })] : []),
+    el("h4", { text: "Timeline" }),
+    timeline(job),
+  ]);
+}
+
+async function showJob(requestId) {
+  try {
+    const { job } = await getJson(`api/jobs/${encodeURIComponent(requestId)}`);
+    const conversationLink = el("button", { className: "link", text: "Open conversation" });
+    conversationLink.addEventListener("click", () => showConversation(job.sessionId));
+    detailEl.replaceChildren(jobSection(job), conversationLink);
+  } catch (e) {
+    showError(detailEl, e.message);
+  }
+}
+
+async function showConversation(id) {
+  try {
+    const { conversation } = await getJson(`api/conversations/${encodeURIComponent(id)}`);
+
+    const transcript = el(
+      "div",
+      { className: "transcript" },
+      conversation.history.map((message) => el("div", { className: `message ${message.role}`, text: message.content }))
+    );
+
+    const toolCalls = conversation.toolCalls.length
+      ? table(
+          ["When", "Tool", "Outcome", "Details"],
+          conversation.toolCalls.map((call) =>
+            el("tr", {}, [
+              el("td", { text: formatTime(call.createdAt) }),
+              el("td", { text: call.tool }),
+              el("td", {}, [statusBadge(call.outcome)]),
+              el("td", { text: call.error || call.requestId || call.arguments || "" }),
+            ])
+          )
+        )
+      : el("p", { className: "admin-empty", text: "The assistant didn't call any tools." });
+
+    detailEl.replaceChildren(
+      el("h2", { text: "Conversation" }),
+      details([
+        ["Session id", conversation.id],
+        ["Business", conversation.tenantId],
+        ["Visitor timezone", conversation.visitorTimezone],
+        ["Started", formatTime(conversation.createdAt)],
+        ["Last active", formatTime(conversation.updatedAt)],
+        ["Awaiting confirmation", conversation.pendingBooking && `${conversation.pendingBooking.service} at ${conversation.pendingBooking.startTime}`],
+      ]),
+      el("h3", { text: "Transcript" }),
+      transcript,
+      el("h3", { text: "Tool calls" }),
+      toolCalls,
+      ...conversation.jobs.map(jobSection)
+    );
+  } catch (e) {
+    showError(detailEl, e.message);
+  }
+}
+
+// --- Wiring ---
+
+tabs.forEach((tab) => {
+  tab.addEventListener("click", () => {
+    view = tab.dataset.view;
+    tabs.forEach((other) => other.classList.toggle("active", other === tab));
+    loadList();
+  });
+});
+
+filtersEl.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadList();
+});
+
+loadList();
@@ -0,0 +1,165 @@
+// lib/admin.js
+
+// Filtering and summaries of stored jobs and sessions for the admin
+// dashboard (the /admin routes in server.js). Read-only: nothing here
+// changes a job or a conversation.
+
+const JOB_STATUSES = ["submitting", "running", "completed", "failed"];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Query string -> filters:
+//   tenant  - tenant (widget) id
+//   status  - job status; for conversations, any of its jobs having it
+//   tool    - job tool name
+//   q       - text search: customer name, phone, request, Block job or
+//             correlation id, or (conversations) message text
+//   from/to - YYYY-MM-DD (whole days, UTC) or ISO timestamps
+//   limit   - max results, newest first
+// Throws a RangeError naming the bad parameter.
+export function parseAdminFilters(query = {}) {
+  const text = (name) => (typeof query[name] === "string" && query[name].trim()) || null;
+
+  const status = text("status");
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new RangeError(`Unknown status "${status}" (expected one of ${JOB_STATUSES.join(", ")})`);
+  }
+
+  const limit = text("limit") ? Number(text("limit")) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new RangeError(`Invalid limit "${query.limit}"`);
+  }
+
+  return {
+    tenant: text("tenant"),
+    status,
+    tool: text("tool"),
+    q: text("q")?.toLowerCase() || null,
+    from: parseDateFilter("from", text("from")),
+    to: parseDateFilter("to", text("to"), { endOfDay: true }),
+    limit: Math.min(limit, MAX_LIMIT),
+  };
+}
+
+// Epoch ms, or null when not given. A bare date `to` covers that whole day.
+function parseDateFilter(name, value, { endOfDay = false } = {}) {
+  if (!value) return null;
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(time)) {
+    throw new RangeError(`Invalid "${name}" date "${value}" (expected YYYY-MM-DD or an ISO timestamp)`);
+  }
+  return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+function inRange(timestamp, { from, to }) {
+  const time = Date.parse(timestamp);
+  return (from === null || time >= from) && (to === null || time < to);
+}
+
+const newestFirst = (a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt);
+
+// --- Jobs (bookings and other Block tool calls) ---
+
+// The customer-facing details of a job, whatever the tool
+export function summarizeJob(job) {
+  const { args = {} } = job;
+  return {
+    requestId: job.requestId,
+    tenantId: job.tenantId,
+    sessionId: job.sessionId,
+    tool: job.tool,
+    status: job.status,
+    blockJobId: job.blockJobId,
+    customerName: args.customer_name || null,
+    customerPhone: args.customer_phone || null,
+    service: args.service_name || null,
+    startTime: args.new_start_time || args.start_time || args.start_date || null,
+    booking: job.booking,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+// Everything about one job except the model transcript it was started from
+export function jobDetails(job) {
+  const { llmMessages, ...details } = job;
+  return { ...details, timeline: job.timeline || [] };
+}
+
+function jobMatchesText(job, q) {
+  const { args = {} } = job;
+  const digits = q.replace(/\D/g, "");
+  return (
+    [args.customer_name, job.requestId, job.blockJobId, job.correlationId, job.booking?.id].some((value) =>
+      String(value || "").toLowerCase().includes(q)
+    ) ||
+    (digits.length >= 4 && String(args.customer_phone || "").replace(/\D/g, "").includes(digits))
+  );
+}
+
+// Jobs matching the filters (created in the date range), newest first
+export function filterJobs(jobs, filters) {
+  return jobs
+    .filter(
+      (job) =>
+        (!filters.tenant || job.tenantId === filters.tenant) &&
+        (!filters.status || job.status === filters.status) &&
+        (!filters.tool || job.tool === filters.tool) &&
+        (!filters.q || jobMatchesText(job, filters.q)) &&
+        inRange(job.createdAt, filters)
+    )
+    .sort(newestFirst)
+    .slice(0, filters.limit);
+}
+
+// --- Conversations (sessions) ---
+
+export function summarizeConversation(session, jobs) {
+  const lastMessage = session.history.at(-1);
+  return {
+    id: session.id,
+    tenantId: session.tenantId,
+    messageCount: session.history.length,
+    lastMessage: lastMessage ? { role: lastMessage.role, content: truncate(lastMessage.content, 120) } : null,
+    toolCallCount: (session.toolCalls || []).length,
+    jobs: jobs.map(({ requestId, tool, status }) => ({ requestId, tool, status })),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+}
+
+// Conversations matching the filters (active in the date range), newest
+// first. jobsBySession maps a session id to its jobs.
+export function filterConversations(sessions, jobsBySession, filters) {
+  return sessions
+    .filter((session) => {
+      const jobs = jobsBySession.get(session.id) || [];
+      return (
+        (!filters.tenant || session.tenantId === filters.tenant) &&
+        (!filters.status || jobs.some((job) => job.status === filters.status)) &&
+        (!filters.tool || jobs.some((job) => job.tool === filters.tool)) &&
+        (!filters.q ||
+          session.history.some((message) => String(message.content || "").toLowerCase().includes(filters.q)) ||
+          jobs.some((job) => jobMatchesText(job, filters.q))) &&
+        inRange(session.updatedAt, filters)
+      );
+    })
+    .sort(newestFirst)
+    .slice(0, filters.limit);
+}
+
+export function groupJobsBySession(jobs) {
+  const bySession = new Map();
+  for (const job of jobs) {
+    bySession.set(job.sessionId, [...(bySession.get(job.sessionId) || []), job]);
+  }
+  return bySession;
+}
+
+function truncate(text, length) {
+  const value = String(text || "");
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
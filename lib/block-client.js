@@ -0,0 +1,224 @@
+// lib/block-client.js
+
+import { BlockApiError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// HTTP client for the Block API's async job endpoints:
+//
+//   submitAction({ apiKey, connectionId, action, payload, idempotencyKey })
+//     -> Promise<jobId>                 POST /v1/actions
+//   getJob({ apiKey, jobId })
+//     -> Promise<job>                   GET /v1/jobs/{jobId}
+//   isAvailable()
+//     -> false while the circuit breaker is open
+//
+// Failures are thrown as BlockApiError (see lib/errors.js). Transient and
+// rate-limit failures are retried with jittered exponential backoff, or
+// after Retry-After when Block sends one. Polls are always safe to retry;
+// a submit only is with an idempotencyKey, since otherwise a request that
+// timed out after reaching Block could book twice.
+//
+// After breakerThreshold calls in a row fail that way, the breaker opens:
+// every call fails straight away with kind "unavailable" for
+// breakerCooldown ms, then the next call is let through to test the water.
+
+const log = logger.child({ component: "blockClient" });
+
+const DEFAULTS = {
+  requestTimeout: 10 * 1000, // per HTTP request
+  pollInterval: 2000, // between job polls (webhooks: see server.js)
+  jobTimeout: 2 * 60 * 1000, // for a whole job, submit to finish
+  maxRetries: 3,
+  retryBaseDelay: 500,
+  maxRetryDelay: 30 * 1000,
+  breakerThreshold: 5,
+  breakerCooldown: 30 * 1000,
+};
+
+export function createBlockClient({ baseUrl, ...overrides } = {}) {
+  const options = { ...DEFAULTS, ...overrides };
+
+  let consecutiveFailures = 0;
+  let openedAt = null;
+
+  const isAvailable = () => openedAt === null || Date.now() - openedAt >= options.breakerCooldown;
+
+  const recordOutcome = (error) => {
+    if (error && (error.kind === "transient" || error.kind === "rate_limit")) {
+      consecutiveFailures++;
+      if (consecutiveFailures >= options.breakerThreshold) {
+        if (openedAt === null) {
+          log.warn("Too many failures in a row, pausing Block API calls", {
+            failures: consecutiveFailures,
+            cooldownMs: options.breakerCooldown,
+          });
+        }
+        openedAt = Date.now();
+      }
+    } else {
+      // Block answered (even if it said no), so it's reachable
+      consecutiveFailures = 0;
+      openedAt = null;
+    }
+  };
+
+  // Delay before retry number `attempt` (0-based): Retry-After when given,
+  // otherwise base * 2^attempt with the upper half jittered
+  const retryDelay = (error, attempt) => {
+    const backoff = options.retryBaseDelay * 2 ** attempt;
+    const delay = error.retryAfter ?? backoff / 2 + Math.random() * (backoff / 2);
+    return Math.min(delay, options.maxRetryDelay);
+  };
+
+  // One HTTP call with retries. `describe` names it in error messages, e.g.
+  // "Block API job polling error (500)".
+  async function request(method, path, { apiKey, body, headers = {}, retry, describe }) {
+    if (!isAvailable()) {
+      throw new BlockApiError("The booking system is temporarily unavailable, please try again in a few minutes", {
+        kind: "unavailable",
+      });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const res = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+            ...headers,
+          },
+          ...(body && { body: JSON.stringify(body) }),
+          signal: AbortSignal.timeout(options.requestTimeout),
+        });
+
+        if (res.ok) {
+          recordOutcome(null);
+          try {
+            return await res.json();
+          } catch (parseError) {
+            throw new BlockApiError(`Failed to parse ${describe.response}: ${parseError.message}`, {
+              kind: "validation",
+              status: res.status,
+            });
+          }
+        }
+
+        const text = await res.text();
+        log.error("Block API request failed", {
+          method,
+          path,
+          status: res.status,
+          statusText: res.statusText,
+          body: text,
+        });
+        error = new BlockApiError(`${describe.error} (${res.status}): ${text || res.statusText}`, {
+          kind: classifyStatus(res.status),
+          status: res.status,
+          retryAfter: parseRetryAfter(res.headers.get("Retry-After")),
+        });
+      } catch (fetchError) {
+        if (fetchError instanceof BlockApiError) throw fetchError;
+
+        log.error("Block API request error", { method, path, error: fetchError });
+        const reason =
+          fetchError.name === "TimeoutError"
+            ? `no response after ${options.requestTimeout / 1000} seconds`
+            : fetchError.message;
+        error = new BlockApiError(`${describe.network}: ${reason}`, { kind: "transient" });
+      }
+
+      const retryable = retry && (error.kind === "transient" || error.kind === "rate_limit");
+      if (!retryable || attempt >= options.maxRetries) {
+        recordOutcome(error);
+        throw error;
+      }
+
+      const delay = retryDelay(error, attempt);
+      log.warn("Retrying Block API request", {
+        method,
+        path,
+        retry: attempt + 1,
+        maxRetries: options.maxRetries,
+        delayMs: Math.round(delay),
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  return {
+    baseUrl,
+    pollInterval: options.pollInterval,
+    jobTimeout: options.jobTimeout,
+    isAvailable,
+
+    async submitAction({ apiKey, connectionId, action, payload, idempotencyKey = null }) {
+      const data = await request("POST", "/v1/actions", {
+        apiKey,
+        body: { action, connectionId, payload },
+        headers: idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+        retry: Boolean(idempotencyKey),
+        describe: {
+          error: "Block API error",
+          network: "Failed to connect to Block API",
+          response: "Block API response",
+        },
+      });
+
+      if (!data.jobId) {
+        log.error("No jobId in response", { response: data });
+        throw new BlockApiError("Block API did not return a jobId", { kind: "validation" });
+      }
+      return data.jobId;
+    },
+
+    getJob({ apiKey, jobId }) {
+      return request("GET", `/v1/jobs/${jobId}`, {
+        apiKey,
+        retry: true,
+        describe: {
+          error: "Block API job polling error",
+          network: "Failed to poll job status",
+          response: "job status response",
+        },
+      });
+    },
+  };
+}
+
+// Options from BLOCK_* environment variables; unset ones keep the defaults.
+export function createBlockClientFromEnv(env = process.env) {
+  const number = (name) => (env[name] ? Number(env[name]) : undefined);
+  const overrides = {
+    requestTimeout: number("BLOCK_REQUEST_TIMEOUT_MS"),
+    // Polling only backs up webhooks when they're configured, so it can be slow
+    pollInterval: number("BLOCK_POLL_INTERVAL_MS") ?? (env.BLOCK_WEBHOOK_SECRET ? 15000 : undefined),
+    jobTimeout: number("BLOCK_JOB_TIMEOUT_MS"),
+    maxRetries: number("BLOCK_MAX_RETRIES"),
+    retryBaseDelay: number("BLOCK_RETRY_BASE_MS"),
+    breakerThreshold: number("BLOCK_BREAKER_THRESHOLD"),
+    breakerCooldown: number("BLOCK_BREAKER_COOLDOWN_MS"),
+  };
+
+  return createBlockClient({
+    baseUrl: env.BLOCK_API_BASE_URL,
+    ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined)),
+  });
+}
+
+function classifyStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate_limit";
+  if (status >= 500) return "transient";
+  return "validation";
+}
+
+// Retry-After is either seconds or an HTTP date; returns ms, or null
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
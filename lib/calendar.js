@@ -0,0 +1,105 @@
+// lib/calendar.js
+
+// Calendar entries for a booked appointment: an iCalendar (.ics) file for
+// Apple Calendar and anything else that opens one, and "add event" links
+// for Google Calendar and Outlook on the web. An event is:
+//
+//   { uid, start, end, title, description, location }
+//
+// with start and end as Dates and the rest as plain text ("" to leave out).
+
+// A booked appointment as an event. durationMinutes comes from the catalog.
+export function appointmentEvent({ uid, startTime, durationMinutes, title, description = "", location = "" }) {
+  const start = new Date(startTime);
+  return {
+    uid,
+    start,
+    end: new Date(start.getTime() + durationMinutes * 60 * 1000),
+    title,
+    description,
+    location,
+  };
+}
+
+// --- iCalendar (RFC 5545) ---
+
+export const ICS_CONTENT_TYPE = "text/calendar; charset=utf-8";
+
+export function toIcs(event, { now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//block-webchat-tutorial//Booking//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${escapeText(event.uid)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+// 2030-11-20T18:00:00.000Z -> 20301120T180000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// --- Add-to-calendar links ---
+
+export function googleCalendarUrl(event) {
+  const params = linkParams({
+    action: "TEMPLATE",
+    text: event.title,
+    dates: `${formatUtc(event.start)}/${formatUtc(event.end)}`,
+    details: event.description,
+    location: event.location,
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+// Outlook on the web (outlook.live.com, where personal accounts sign in)
+export function outlookCalendarUrl(event) {
+  const params = linkParams({
+    path: "/calendar/action/compose",
+    rru: "addevent",
+    subject: event.title,
+    startdt: event.start.toISOString(),
+    enddt: event.end.toISOString(),
+    body: event.description,
+    location: event.location,
+  });
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
+
+// Query parameters without the empty ones (no location, say)
+function linkParams(params) {
+  return new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+}
@@ -0,0 +1,134 @@
+// lib/catalog.js
+
+import { ToolArgumentError } from "./errors.js";
+
+// What a business offers, from its tenant config or loaded from Block:
+//
+//   {
+//     services: [{ name: "Haircut", durationMinutes: 45, price: "$60", aliases: ["trim"] }],
+//     providers: [{ name: "Carl Morris", services: ["Haircut"] }], // services optional: does all
+//   }
+//
+// With an empty list anything goes for that field (free text, as before a
+// catalog existed). Otherwise the model's wording is matched to an entry:
+// exactly, by alias, by some of its words ("Carl" or "Carl M" for "Carl Morris") or
+// by spelling distance ("Carl Moris", "colour").
+
+// Below this similarity a name isn't considered a match
+const MIN_SIMILARITY = 0.75;
+
+export function createCatalog({ services = [], providers = [] } = {}) {
+  return {
+    services: services.map((service) =>
+      typeof service === "string" ? { name: service, aliases: [] } : { aliases: [], ...service }
+    ),
+    providers: providers.map((provider) => (typeof provider === "string" ? { name: provider } : provider)),
+  };
+}
+
+// Whether `provider` (a catalog entry) offers the service named `serviceName`
+export function offersService(provider, serviceName) {
+  return !provider.services || provider.services.some((name) => normalize(name) === normalize(serviceName));
+}
+
+// The catalog service the model's service_name refers to, by name. Throws a
+// ToolArgumentError listing the options when there's no single match.
+export function resolveService(catalog, value, { field = "service_name" } = {}) {
+  if (catalog.services.length === 0) {
+    return value;
+  }
+  return pick(catalog.services, value, field, "service").name;
+}
+
+// Same for a provider, who must also offer `serviceName` when given.
+// `defaultProvider` (the tenant's placeholder when the customer has no
+// preference) is always accepted as is.
+export function resolveProvider(catalog, value, { serviceName = null, defaultProvider = "", field = "provider_name" } = {}) {
+  if (catalog.providers.length === 0 || (defaultProvider && normalize(value) === normalize(defaultProvider))) {
+    return value;
+  }
+
+  const candidates = serviceName
+    ? catalog.providers.filter((provider) => offersService(provider, serviceName))
+    : catalog.providers;
+  if (candidates.length === 0) {
+    throw new ToolArgumentError(`No provider offers ${serviceName}; tell the customer`);
+  }
+  // Someone who doesn't offer the service matches better than anyone who does
+  const candidateScore = Math.max(0, ...candidates.map((provider) => matchScore(provider, value)));
+  const elsewhere = catalog.providers.find((provider) => {
+    const score = matchScore(provider, value);
+    return !candidates.includes(provider) && score >= MIN_SIMILARITY && score > candidateScore;
+  });
+  if (elsewhere) {
+    throw new ToolArgumentError(
+      `${elsewhere.name} doesn't offer ${serviceName}; providers who do: ${candidates.map((p) => p.name).join(", ")}`
+    );
+  }
+  return pick(candidates, value, field, "provider").name;
+}
+
+function pick(entries, value, field, kind) {
+  const scored = entries
+    .map((entry) => ({ entry, score: matchScore(entry, value) }))
+    .filter(({ score }) => score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score);
+  const options = entries.map((entry) => entry.name).join(", ");
+
+  if (scored.length === 0) {
+    throw new ToolArgumentError(`${field} "${value}" doesn't match any ${kind}; the options are: ${options}`);
+  }
+  if (scored.length > 1 && scored[1].score === scored[0].score) {
+    const tied = scored.filter(({ score }) => score === scored[0].score).map(({ entry }) => entry.name);
+    throw new ToolArgumentError(`${field} "${value}" could be ${tied.join(" or ")}; ask the customer which one`);
+  }
+  return scored[0].entry;
+}
+
+// 1 for an exact (case/punctuation-insensitive) name or alias match, 0.9
+// when the wording is some of the name's words (0.85 for the start of
+// them, "Carl M"), otherwise spelling similarity (0-1) to the closest name
+// or alias
+function matchScore(entry, value) {
+  const wanted = normalize(value);
+  if (!wanted) return 0;
+
+  let best = 0;
+  for (const name of [entry.name, ...(entry.aliases || [])]) {
+    const candidate = normalize(name);
+    if (candidate === wanted || candidate.replace(/ /g, "") === wanted.replace(/ /g, "")) {
+      return 1;
+    }
+    const words = candidate.split(" ");
+    const wantedWords = wanted.split(" ");
+    if (wantedWords.every((word) => words.includes(word))) {
+      best = Math.max(best, 0.9);
+    } else if (wantedWords.every((word) => words.some((candidateWord) => candidateWord.startsWith(word)))) {
+      best = Math.max(best, 0.85);
+    }
+    best = Math.max(best, similarity(candidate, wanted));
+  }
+  return best;
+}
+
+function normalize(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// 1 - edit distance / length of the longer string
+function similarity(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length, 1);
+}
@@ -0,0 +1,14 @@
+// lib/customer-store.js
+
+import { createRecordStore } from "./record-store.js";
+
+// Customers remembered from bookings made through the chat, for the
+// find_customer tool (see lib/customers.js for the record). Keyed by
+// customerId(tenantId, phone); list() serves lookups by email.
+//
+// Stored with the get/save/delete/list interface of lib/record-store.js,
+// picked by CUSTOMER_STORE and CUSTOMER_STORE_PATH.
+
+export function createCustomerStore(env = process.env) {
+  return createRecordStore({ kind: "customer", dir: "data/customers" }, env);
+}
@@ -0,0 +1,142 @@
+// lib/customers.js
+
+import crypto from "crypto";
+
+// Returning customers. A customer record is one person at one business:
+//
+//   {
+//     id,                        // customerId(tenantId, phone)
+//     tenantId, phone, email, name,
+//     lastService, lastProvider, // from their latest booking
+//     appointments: [{ bookingId, startTime, service, provider }],
+//     createdAt, updatedAt,
+//   }
+//
+// Records are kept up to date from the bookings, reschedules and
+// cancellations made through the chat (server.js), or come from a Block
+// FindCustomer lookup (fromBlockCustomer).
+
+const MAX_UPCOMING = 5;
+
+// Stable id for a business + E.164 phone number, safe as a filename
+export function customerId(tenantId, phone) {
+  return crypto.createHash("sha256").update(`${tenantId}\n${phone}`).digest("hex").slice(0, 32);
+}
+
+// The record after a successful booking, creating it for a first booking.
+// `booking` is the book_appointment tool result.
+export function recordBooking(customer, { tenantId, phone, name, email = null }, booking, now = new Date()) {
+  const timestamp = now.toISOString();
+  const record = customer || {
+    id: customerId(tenantId, phone),
+    tenantId,
+    phone,
+    email: null,
+    name,
+    appointments: [],
+    createdAt: timestamp,
+  };
+
+  return {
+    ...record,
+    name,
+    email: email || record.email,
+    lastService: booking.service_name || record.lastService || null,
+    lastProvider: booking.provider_name || record.lastProvider || null,
+    appointments: [
+      ...record.appointments.filter((appointment) => appointment.bookingId !== booking.booking_id),
+      {
+        bookingId: booking.booking_id,
+        startTime: booking.start_time,
+        service: booking.service_name || null,
+        provider: booking.provider_name || null,
+      },
+    ],
+    updatedAt: timestamp,
+  };
+}
+
+// The appointment a reschedule or cancellation was about: by booking id,
+// or by its start time when the customer didn't have the id
+export function findAppointment(customer, { bookingId, startTime }) {
+  return (
+    customer.appointments.find((appointment) => bookingId && appointment.bookingId === bookingId) ||
+    customer.appointments.find(
+      (appointment) => startTime && Date.parse(appointment.startTime) === Date.parse(startTime)
+    ) ||
+    null
+  );
+}
+
+export function recordReschedule(customer, appointment, { bookingId, startTime }, now = new Date()) {
+  return {
+    ...customer,
+    appointments: customer.appointments.map((other) =>
+      other === appointment ? { ...other, bookingId: bookingId || other.bookingId, startTime } : other
+    ),
+    updatedAt: now.toISOString(),
+  };
+}
+
+export function recordCancellation(customer, appointment, now = new Date()) {
+  return {
+    ...customer,
+    appointments: customer.appointments.filter((other) => other !== appointment),
+    updatedAt: now.toISOString(),
+  };
+}
+
+// A customer from a Block FindCustomer result:
+//   { firstName, lastName, phone, email, appointments: [{ appointmentId, datetime, service, provider }] }
+export function fromBlockCustomer(tenantId, found) {
+  const appointments = (found.appointments || []).map((appointment) => ({
+    bookingId: appointment.appointmentId || null,
+    startTime: appointment.datetime || null,
+    service: appointment.service || null,
+    provider: appointment.provider || null,
+  }));
+  const latest = appointments
+    .filter((appointment) => appointment.startTime)
+    .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime))
+    .at(-1);
+
+  return {
+    id: found.phone ? customerId(tenantId, found.phone) : null,
+    tenantId,
+    phone: found.phone || null,
+    email: found.email || null,
+    name: [found.firstName, found.lastName].filter(Boolean).join(" ") || null,
+    lastService: latest?.service || null,
+    lastProvider: latest?.provider || null,
+    appointments,
+  };
+}
+
+// The find_customer tool result. Only what the assistant needs to greet
+// them and skip questions; the phone and email are what the customer gave.
+export function customerLookupResult(customer, now = new Date()) {
+  if (!customer) {
+    return {
+      found: false,
+      message: "No customer found with that phone number or email. Collect their details as usual.",
+    };
+  }
+
+  const upcoming = customer.appointments
+    .filter((appointment) => Date.parse(appointment.startTime) > now.getTime())
+    .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime))
+    .slice(0, MAX_UPCOMING);
+
+  return {
+    found: true,
+    customer_name: customer.name,
+    last_service: customer.lastService || null,
+    last_provider: customer.lastProvider || null,
+    upcoming_appointments: upcoming.map((appointment) => ({
+      booking_id: appointment.bookingId,
+      start_time: appointment.startTime,
+      service_name: appointment.service,
+      provider_name: appointment.provider,
+    })),
+  };
+}
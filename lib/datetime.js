@@ -0,0 +1,143 @@
+// lib/datetime.js
+
+import { ToolArgumentError } from "./errors.js";
+
+// Date/time helpers built on Intl, so appointment times are handled in the
+// business's timezone no matter where the server runs.
+
+const ISO_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minutes east of UTC for timeZone at the given instant (DST-aware).
+export function getTimeZoneOffset(timeZone, date) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const hours = String(Math.floor(abs / 60)).padStart(2, "0");
+  return `${sign}${hours}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+// ISO 8601 for an instant as wall-clock time in timeZone, with its offset,
+// e.g. 2025-11-20T10:00:00-08:00.
+export function toZonedIso(date, timeZone) {
+  const offset = getTimeZoneOffset(timeZone, date);
+  const wall = new Date(date.getTime() + offset * 60000);
+  return `${wall.toISOString().slice(0, 19)}${formatOffset(offset)}`;
+}
+
+// The instant at which timeZone's clocks read the given wall-clock time.
+function fromZonedWallTime(fields, timeZone) {
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  // Two passes settle on the right offset around DST transitions
+  let instant = asUtc - getTimeZoneOffset(timeZone, new Date(asUtc)) * 60000;
+  instant = asUtc - getTimeZoneOffset(timeZone, new Date(instant)) * 60000;
+  return new Date(instant);
+}
+
+// Validate an appointment start time from the model and normalize it into
+// the business's timezone. Times without an offset are read as wall-clock
+// time at the business; times with one are converted. Rejects malformed
+// values and (unless allowPast) times that have already passed.
+export function normalizeStartTime(value, timeZone, { allowPast = false, now = new Date(), field = "start_time" } = {}) {
+  const match = typeof value === "string" && value.trim().match(ISO_DATE_TIME);
+  if (!match) {
+    throw new ToolArgumentError(
+      `${field} "${value}" is not a valid ISO 8601 date-time (expected e.g. 2025-11-20T10:00:00)`
+    );
+  }
+
+  const [, year, month, day, hour, minute, second = "0", offset] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+
+  // Date.UTC happily rolls 2025-02-30 over into March; don't
+  const check = new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute));
+  if (
+    check.getUTCMonth() !== fields.month - 1 ||
+    check.getUTCDate() !== fields.day ||
+    fields.hour > 23 ||
+    fields.minute > 59 ||
+    fields.second > 59
+  ) {
+    throw new ToolArgumentError(`${field} "${value}" is not a real date/time`);
+  }
+
+  const instant = offset
+    ? new Date(value.trim().replace(/([+-]\d{2})(\d{2})$/, "$1:$2"))
+    : fromZonedWallTime(fields, timeZone);
+
+  // Wall-clock times skipped by a DST change don't exist at the business
+  if (!offset && toZonedIso(instant, timeZone).slice(0, 16) !== `${year}-${month}-${day}T${hour}:${minute}`) {
+    throw new ToolArgumentError(
+      `${field} "${value}" doesn't exist in ${timeZone} (clocks change that day); ask for another time`
+    );
+  }
+
+  if (!allowPast && instant.getTime() <= now.getTime()) {
+    throw new ToolArgumentError(
+      `${field} ${toZonedIso(instant, timeZone)} is in the past; ask the customer for a future time`
+    );
+  }
+
+  return toZonedIso(instant, timeZone);
+}
+
+// Validate a YYYY-MM-DD date (e.g. an availability search range).
+export function normalizeDate(value, { field = "date" } = {}) {
+  const match = typeof value === "string" && value.trim().match(ISO_DATE);
+  if (!match) {
+    throw new ToolArgumentError(`${field} "${value}" is not a valid date (expected YYYY-MM-DD)`);
+  }
+  return value.trim();
+}
+
+// Human-readable time in a zone, e.g. "Thursday, November 20 at 10:00 AM PST".
+export function formatInTimeZone(iso, timeZone) {
+  return new Date(iso).toLocaleString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+    timeZone,
+  });
+}
@@ -0,0 +1,18 @@
+// lib/email.js
+
+import { ToolArgumentError } from "./errors.js";
+
+// Something@something.tld, without spaces; deliverability is the mail
+// server's problem
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@.]{2,}$/;
+
+// Trim and lowercase an email address so the same customer always matches.
+// Throws a ToolArgumentError for anything that isn't one, so the model asks
+// the customer again.
+export function normalizeEmail(value, { field = "customer_email" } = {}) {
+  const email = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new ToolArgumentError(`${field} "${value ?? ""}" is not an email address; ask the customer for it again`);
+  }
+  return email;
+}
@@ -0,0 +1,31 @@
+// lib/errors.js
+
+// Thrown when a tool call's arguments can't be used as given (malformed,
+// out of range, ...). /api/chat hands the message back to the model as the
+// tool result so it can ask the customer to clarify, instead of failing.
+export class ToolArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ToolArgumentError";
+  }
+}
+
+// A failed Block API call, classified so callers know whether trying again
+// can help:
+//   auth        - bad or missing API key (401/403)
+//   validation  - Block rejected the request itself (other 4xx)
+//   rate_limit  - 429; retryAfter says how long to wait (ms), when given
+//   transient   - network error, timeout or 5xx
+//   unavailable - not attempted, the circuit breaker is open
+// or a Block job that didn't succeed (see runBlockAction in server.js):
+//   job_failed  - the job finished with status "error"
+//   timeout     - the job didn't finish within BLOCK_JOB_TIMEOUT_MS
+export class BlockApiError extends Error {
+  constructor(message, { kind, status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = "BlockApiError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,15 @@
+// lib/job-store.js
+
+import { createRecordStore } from "./record-store.js";
+
+// A job is the record of one Block tool call started from /api/chat, keyed
+// by its status requestId (see runToolJob in server.js for the fields).
+// Keeping it outside the process lets a restarted server finish jobs that
+// were still running.
+//
+// Stored with the get/save/delete/list interface of lib/record-store.js,
+// picked by JOB_STORE and JOB_STORE_PATH.
+
+export function createJobStore(env = process.env) {
+  return createRecordStore({ kind: "job", dir: "data/jobs", key: "requestId" }, env);
+}
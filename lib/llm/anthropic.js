@@ -0,0 +1,122 @@
+// lib/llm/anthropic.js
+
+import Anthropic from "@anthropic-ai/sdk";
+
+// LLM adapter for the Anthropic Messages API. Translates the OpenAI-format
+// messages and TOOLS definitions on the way in and the reply on the way out.
+
+const MAX_TOKENS = 1024;
+
+// OpenAI function tools -> Anthropic tools
+export function toAnthropicTools(tools) {
+  return tools.map(({ function: fn }) => ({
+    name: fn.name,
+    description: fn.description,
+    input_schema: fn.parameters,
+  }));
+}
+
+// OpenAI chat messages -> Anthropic { system, messages }
+export function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  // Anthropic wants strictly alternating turns; merge same-role neighbours
+  const push = (role, blocks) => {
+    const last = converted[converted.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role === "system") {
+      system.push(message.content);
+    } else if (message.role === "tool") {
+      // Tool results go back as a user turn
+      push("user", [
+        {
+          type: "tool_result",
+          tool_use_id: message.tool_call_id,
+          content: message.content,
+        },
+      ]);
+    } else if (message.role === "assistant") {
+      const blocks = [];
+      if (message.content) {
+        blocks.push({ type: "text", text: message.content });
+      }
+      for (const toolCall of message.tool_calls || []) {
+        blocks.push({
+          type: "tool_use",
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: JSON.parse(toolCall.function.arguments || "{}"),
+        });
+      }
+      if (blocks.length > 0) {
+        push("assistant", blocks);
+      }
+    } else if (message.content) {
+      push("user", [{ type: "text", text: message.content }]);
+    }
+  }
+
+  return { system: system.join("\n\n"), messages: converted };
+}
+
+// Anthropic reply -> OpenAI-style assistant message
+export function fromAnthropicMessage(message) {
+  const text = message.content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("");
+  const toolCalls = message.content
+    .filter((block) => block.type === "tool_use")
+    .map((block) => ({
+      id: block.id,
+      type: "function",
+      function: { name: block.name, arguments: JSON.stringify(block.input) },
+    }));
+
+  const converted = { role: "assistant", content: text || null };
+  if (toolCalls.length > 0) {
+    converted.tool_calls = toolCalls;
+  }
+  return converted;
+}
+
+export function createAnthropicLlm({ apiKey, baseURL, model }) {
+  const anthropic = new Anthropic({ apiKey, ...(baseURL && { baseURL }) });
+
+  return {
+    name: `anthropic:${model}`,
+
+    async chat({ messages, tools, toolChoice = "auto" }, { onDelta = null, onToolCall = null } = {}) {
+      const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+
+      const stream = anthropic.messages.stream({
+        model,
+        max_tokens: MAX_TOKENS,
+        ...(system && { system }),
+        messages: anthropicMessages,
+        ...(tools && { tools: toAnthropicTools(tools), tool_choice: { type: toolChoice } }),
+      });
+
+      if (onDelta) {
+        stream.on("text", (textDelta) => onDelta(textDelta));
+      }
+      if (onToolCall) {
+        stream.on("streamEvent", (event) => {
+          if (event.type === "content_block_start" && event.content_block.type === "tool_use") {
+            onToolCall(event.content_block.name);
+          }
+        });
+      }
+
+      return fromAnthropicMessage(await stream.finalMessage());
+    },
+  };
+}
@@ -0,0 +1,43 @@
+// lib/llm/index.js
+
+import { createOpenAiLlm } from "./openai.js";
+import { createAnthropicLlm } from "./anthropic.js";
+
+// Every LLM adapter exposes the same interface, speaking the OpenAI chat
+// format (messages with role/content/tool_calls, TOOLS-style definitions)
+// so server.js never deals with provider differences:
+//
+//   chat({ messages, tools, toolChoice }, { onDelta, onToolCall })
+//     -> Promise<{ role: "assistant", content, tool_calls? }>
+//
+// toolChoice is "auto" (default) or "none" (tools stay defined, but the
+// model must answer in text).
+// onDelta(text) fires for each chunk of reply text as it streams in, and
+// onToolCall(name) when the model starts calling a tool.
+
+// Pick and configure the adapter from LLM_PROVIDER (default "openai").
+export function createLlm(env = process.env) {
+  const provider = env.LLM_PROVIDER || "openai";
+
+  switch (provider) {
+    case "openai":
+      return createOpenAiLlm({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || "gpt-4o-mini",
+      });
+    case "anthropic":
+      return createAnthropicLlm({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.LLM_MODEL || "claude-sonnet-4-5",
+      });
+    case "ollama":
+      // Any OpenAI-compatible endpoint works here (Ollama, vLLM, LM Studio...)
+      return createOpenAiLlm({
+        apiKey: env.LLM_API_KEY || "ollama",
+        baseURL: env.LLM_BASE_URL || "http://localhost:11434/v1",
+        model: env.LLM_MODEL || "llama3.1",
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected "openai", "anthropic" or "ollama")`);
+  }
+}
@@ -0,0 +1,65 @@
+// lib/llm/openai.js
+
+import OpenAI from "openai";
+
+// LLM adapter for OpenAI and OpenAI-compatible endpoints (pass baseURL).
+export function createOpenAiLlm({ apiKey, baseURL, model }) {
+  const openai = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+
+  return {
+    name: baseURL ? `openai-compatible:${model}` : `openai:${model}`,
+
+    // Runs a chat completion with stream: true. Tool calls are assembled
+    // from their streamed fragments. Resolves with an assistant message
+    // shaped like a non-streamed completion's.
+    async chat({ messages, tools, toolChoice = "auto" }, { onDelta = null, onToolCall = null } = {}) {
+      const stream = await openai.chat.completions.create({
+        model,
+        messages,
+        ...(tools && { tools, tool_choice: toolChoice }),
+        stream: true,
+      });
+
+      let content = "";
+      const toolCalls = [];
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+          content += delta.content;
+          if (onDelta) {
+            onDelta(delta.content);
+          }
+        }
+
+        for (const fragment of delta.tool_calls || []) {
+          if (!toolCalls[fragment.index]) {
+            toolCalls[fragment.index] = {
+              id: "",
+              type: "function",
+              function: { name: "", arguments: "" },
+            };
+          }
+          const toolCall = toolCalls[fragment.index];
+
+          if (fragment.id) toolCall.id = fragment.id;
+          if (fragment.function?.name) {
+            toolCall.function.name += fragment.function.name;
+            if (onToolCall) {
+              onToolCall(toolCall.function.name);
+            }
+          }
+          if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+        }
+      }
+
+      const message = { role: "assistant", content: content || null };
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls.filter(Boolean);
+      }
+      return message;
+    },
+  };
+}
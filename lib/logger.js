@@ -0,0 +1,139 @@
+// lib/logger.js
+
+import { AsyncLocalStorage } from "async_hooks";
+
+// Structured logging: one JSON object per line, on stdout (warnings and
+// errors on stderr):
+//
+//   {"time":"...","level":"info","component":"runBlockAction","msg":"Job created",
+//    "correlationId":"3f0c...","requestId":"req_...","jobId":"job_1"}
+//
+//   LOG_LEVEL   debug | info (default) | warn | error | silent
+//   LOG_FORMAT  json (default) | pretty (a readable line, for local use)
+//
+// Both are read on every call, so they can be changed at runtime.
+//
+// The fields of the current log context (withLogContext) go on every line
+// logged inside it, including from async work it starts. That's how one
+// correlationId follows a chat request into the Block job it starts and the
+// status stream reporting on it.
+//
+// Customer details are masked before anything is written (see redact):
+// fields named like a phone, name or email, and anything that looks like a
+// phone number in any string.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const context = new AsyncLocalStorage();
+
+// Run fn with `fields` added to the log context (on top of any current ones)
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Add fields to the current log context, e.g. once the request turns out
+// to belong to an existing job
+export function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+export function getLogContext() {
+  return { ...context.getStore() };
+}
+
+// `bindings` are added to every line (e.g. { component: "runBlockAction" }).
+// `write(level, line)` replaces stdout/stderr, for tests.
+export function createLogger(bindings = {}, { env = process.env, write = writeLine } = {}) {
+  const log = (level, msg, fields = {}) => {
+    const threshold = LEVELS[env.LOG_LEVEL] ?? LEVELS.info;
+    if (LEVELS[level] < threshold) {
+      return;
+    }
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      ...bindings,
+      msg,
+      ...context.getStore(),
+      ...fields,
+    });
+    write(level, env.LOG_FORMAT === "pretty" ? formatPretty(entry) : JSON.stringify(entry));
+  };
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+    child: (moreBindings) => createLogger({ ...bindings, ...moreBindings }, { env, write }),
+  };
+}
+
+export const logger = createLogger();
+
+function writeLine(level, line) {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// 2025-01-01T10:00:00.000Z INFO [runBlockAction] Job created jobId="job_1"
+function formatPretty({ time, level, component, msg, ...fields }) {
+  const extra = Object.entries(fields).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  return [time, level.toUpperCase(), component ? `[${component}]` : null, msg, ...extra].filter(Boolean).join(" ");
+}
+
+// --- Redaction ---
+
+const PHONE_KEY = /phone/i;
+const PII_KEY = /(phone|email|first_?name|last_?name|customer_?name|full_?name)$/i;
+// E.164 (+12065551212) or North American style ((206) 555-1212, 206.555.1212)
+const PHONE_PATTERN = /\+\d{7,15}\b|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+
+// A copy of `value` that's safe to log: personal fields masked, phone
+// numbers in text masked, errors turned into plain objects
+export function redact(value, key = "", seen = new WeakSet()) {
+  if (typeof value === "string") {
+    if (PII_KEY.test(key)) {
+      return PHONE_KEY.test(key) ? maskPhone(value) : maskText(value);
+    }
+    return value.replace(PHONE_PATTERN, maskPhone);
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), key, seen);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, key, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, seen)]));
+}
+
+// Keep the last two digits, so a number can still be recognized
+function maskPhone(phone) {
+  const digits = phone.replace(/\D/g, "");
+  return digits.length > 2 ? `***${digits.slice(-2)}` : "***";
+}
+
+function maskText(text) {
+  return text ? `${text[0]}***` : text;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.kind && { kind: error.kind }),
+    ...(error.status && { status: error.status }),
+    stack: error.stack,
+  };
+}
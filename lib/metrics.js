@@ -0,0 +1,179 @@
+// lib/metrics.js
+
+// A small Prometheus metrics registry, rendered in the text exposition
+// format for GET /metrics:
+//
+//   const registry = createRegistry();
+//   const chats = registry.counter("webchat_chat_messages_total", "Chat messages received", ["tenant"]);
+//   chats.inc({ tenant: "salon-sf" });
+//
+//   const latency = registry.histogram("webchat_llm_request_duration_seconds", "LLM call latency", ["outcome"], {
+//     buckets: [0.5, 1, 5],
+//   });
+//   const end = latency.startTimer();
+//   ...
+//   end({ outcome: "ok" }); // observes the seconds since startTimer()
+//
+// Labels not given are exported as "".
+
+export function createRegistry() {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some((other) => other.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    counter(name, help, labelNames = []) {
+      const values = new Map();
+      return register({
+        name,
+        inc(labels = {}, amount = 1) {
+          const key = labelKey(labelNames, labels);
+          values.set(key, (values.get(key) || 0) + amount);
+        },
+        get(labels = {}) {
+          return values.get(labelKey(labelNames, labels)) || 0;
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+          for (const [key, value] of values) {
+            lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+          }
+          return lines;
+        },
+      });
+    },
+
+    histogram(name, help, labelNames = [], { buckets }) {
+      const series = new Map();
+      const observe = (labels = {}, value) => {
+        const key = labelKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      };
+
+      return register({
+        name,
+        observe,
+        startTimer(startLabels = {}) {
+          const start = process.hrtime.bigint();
+          return (endLabels = {}) => {
+            observe({ ...startLabels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+          };
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          for (const [key, { counts, sum, count }] of series) {
+            const values = JSON.parse(key);
+            buckets.forEach((bound, i) => {
+              lines.push(`${name}_bucket${formatLabels([...labelNames, "le"], [...values, String(bound)])} ${counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels([...labelNames, "le"], [...values, "+Inf"])} ${count}`);
+            lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+            lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+          }
+          return lines;
+        },
+      });
+    },
+
+    // Text exposition format, for GET /metrics
+    render() {
+      return `${metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+    },
+  };
+}
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((label) => String(labels[label] ?? "")));
+}
+
+function formatLabels(labelNames, values) {
+  if (labelNames.length === 0) return "";
+  const pairs = labelNames.map((label, i) => `${label}="${escapeLabelValue(values[i])}"`);
+  return `{${pairs.join(",")}}`;
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+// --- The web chat's metrics ---
+
+// The booking funnel runs chat messages -> tool calls (by outcome) ->
+// booking summaries confirmed -> Block jobs succeeding. Block and LLM
+// latencies are in seconds.
+export function createAppMetrics(registry = createRegistry()) {
+  return {
+    registry,
+
+    chatMessages: registry.counter("webchat_chat_messages_total", "Chat messages received", ["tenant"]),
+    chatErrors: registry.counter("webchat_chat_errors_total", "Chat requests that failed with a server error", [
+      "tenant",
+    ]),
+    chatRejected: registry.counter(
+      "webchat_chat_rejected_total",
+      "Chat messages turned away (rate_limited, message_too_long, challenge_failed)",
+      ["tenant", "reason"]
+    ),
+    toolCalls: registry.counter(
+      "webchat_tool_calls_total",
+      "Tool calls made by the model, by what became of them (started, awaiting_confirmation, answered, rejected, duplicate, limited, unavailable, skipped, unknown_tool)",
+      ["tenant", "tool", "outcome"]
+    ),
+    pendingBookings: registry.counter(
+      "webchat_pending_bookings_total",
+      "Booking summaries answered by the customer (confirmed, discarded, expired, limited, unavailable)",
+      ["tenant", "outcome"]
+    ),
+    blockJobs: registry.counter(
+      "webchat_block_jobs_total",
+      "Finished Block tool jobs by outcome (success, error, timeout) and error class",
+      ["tenant", "tool", "outcome", "error_class"]
+    ),
+    notifications: registry.counter(
+      "webchat_notifications_total",
+      "Booking confirmations and reminders sent to customers, by channel (email, sms) and outcome (sent, failed)",
+      ["tenant", "channel", "kind", "outcome"]
+    ),
+
+    blockSubmitDuration: registry.histogram(
+      "webchat_block_submit_duration_seconds",
+      "Time to submit an action to Block, retries included",
+      ["action", "outcome"],
+      { buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] }
+    ),
+    blockJobDuration: registry.histogram(
+      "webchat_block_job_duration_seconds",
+      "Time from submitting a Block action (or resuming it) until its job finished",
+      ["action", "outcome"],
+      { buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300] }
+    ),
+    blockJobPolls: registry.histogram(
+      "webchat_block_job_polls",
+      "Status polls made per Block job",
+      ["action", "outcome"],
+      { buckets: [1, 2, 3, 5, 10, 20, 50, 100] }
+    ),
+    llmDuration: registry.histogram(
+      "webchat_llm_request_duration_seconds",
+      "LLM chat call latency, streaming included",
+      ["provider", "outcome"],
+      { buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 60] }
+    ),
+  };
+}
@@ -0,0 +1,51 @@
+// lib/names.js
+
+import { ToolArgumentError } from "./errors.js";
+
+const TITLES = new Set(["mr", "mrs", "ms", "miss", "mx", "dr", "prof"]);
+const SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv", "v", "phd", "md", "dds", "esq"]);
+
+const bare = (token) => token.toLowerCase().replace(/[.,]/g, "");
+
+// Tidy a customer's full name (collapse whitespace) and make sure it looks
+// like one.
+export function normalizeCustomerName(value, { field = "customer_name" } = {}) {
+  const name = typeof value === "string" ? value.trim().replace(/\s+/g, " ") : "";
+  if (!/\p{L}/u.test(name) || name.length > 100) {
+    throw new ToolArgumentError(`${field} "${value ?? ""}" is not a name; ask the customer for their name`);
+  }
+  return name;
+}
+
+// Split a full name into the first/last name fields booking systems want:
+//   "Jane Q Doe"        -> Jane / Q Doe
+//   "Doe, Jane"         -> Jane / Doe
+//   "Dr. Jane Doe, Jr." -> Jane / Doe Jr.
+//   "Cher"              -> Cher / ""
+// A leading title is dropped; suffixes stay with the last name, and never
+// become the last name of an otherwise single name.
+export function splitName(fullName) {
+  let name = String(fullName || "").trim().replace(/\s+/g, " ");
+
+  // "Last, First" - but not "First Last, Jr."
+  const reversed = name.match(/^([^,]+),\s*([^,]+)$/);
+  if (reversed && !SUFFIXES.has(bare(reversed[2]))) {
+    name = `${reversed[2]} ${reversed[1]}`;
+  }
+
+  const tokens = name.replace(/,/g, "").split(" ").filter(Boolean);
+  while (tokens.length > 1 && TITLES.has(bare(tokens[0]))) {
+    tokens.shift();
+  }
+
+  const suffixes = [];
+  while (tokens.length > 1 && SUFFIXES.has(bare(tokens[tokens.length - 1]))) {
+    suffixes.unshift(tokens.pop());
+  }
+
+  const [firstName = "", ...rest] = tokens;
+  return {
+    firstName,
+    lastName: rest.length > 0 ? [...rest, ...suffixes].join(" ") : "",
+  };
+}
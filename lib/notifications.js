@@ -0,0 +1,240 @@
+// lib/notifications.js
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import { formatInTimeZone } from "./datetime.js";
+import { logger } from "./logger.js";
+
+// Booking confirmations and reminders for the customer, and the codes that
+// verify a returning customer, by email and SMS.
+//
+// A transport delivers one channel's messages:
+//   email: send({ to, subject, text })
+//   sms:   send({ to, text })
+// and rejects when the message didn't go out. Any object with that send()
+// can be used, e.g. for another SMS provider.
+
+// --- Message templates ---
+
+// The messages for a booking, as { email: { subject, text }, sms: { text } }.
+// kind is "confirmation" (right after booking) or "reminder". booking is
+// { bookingId, startTime, service, provider, customerName }. Without a
+// businessName the messages just leave it out.
+export function bookingMessages(kind, booking, { businessName, timezone }) {
+  const when = formatInTimeZone(booking.startTime, timezone);
+  const what = booking.service || "appointment";
+  const withWhom = booking.provider ? ` with ${booking.provider}` : "";
+  const atBusiness = businessName ? ` at ${businessName}` : "";
+  const smsPrefix = businessName ? `${businessName}: ` : "";
+  const firstName = booking.customerName?.split(" ")[0];
+
+  const details = [
+    `  Service:  ${booking.service || "-"}`,
+    ...(booking.provider ? [`  With:     ${booking.provider}`] : []),
+    `  When:     ${when}`,
+    `  Booking:  ${booking.bookingId}`,
+  ];
+  const intro =
+    kind === "reminder"
+      ? `This is a reminder of your upcoming appointment${atBusiness}.`
+      : `Your appointment${atBusiness} is confirmed.`;
+
+  return {
+    email: {
+      subject: kind === "reminder" ? `Reminder: your ${what}${atBusiness}` : `Your ${what}${atBusiness} is booked`,
+      text: [
+        firstName ? `Hi ${firstName},` : "Hi,",
+        "",
+        intro,
+        "",
+        ...details,
+        "",
+        "To change or cancel it, chat with us again and give your booking id.",
+        ...(businessName ? ["", businessName] : []),
+        "",
+      ].join("\n"),
+    },
+    sms: {
+      text:
+        kind === "reminder"
+          ? `${smsPrefix}Reminder of your ${what}${withWhom} on ${when}. Booking id ${booking.bookingId}.`
+          : `${smsPrefix}Your ${what}${withWhom} is booked for ${when}. Booking id ${booking.bookingId}.`,
+    },
+  };
+}
+
+// The one-time code a returning customer gives the assistant to show it's
+// really them, in the same shape as bookingMessages
+export function verificationMessages(code, expiresInMinutes, { businessName }) {
+  const forBusiness = businessName ? ` for ${businessName}` : "";
+  const smsPrefix = businessName ? `${businessName}: ` : "";
+
+  return {
+    email: {
+      subject: `Your verification code${forBusiness}`,
+      text: [
+        "Hi,",
+        "",
+        `Your verification code is ${code}. Give it to the assistant in the chat to see your appointments. It expires in ${expiresInMinutes} minutes.`,
+        "",
+        "If you didn't ask for it, you can ignore this message.",
+        ...(businessName ? ["", businessName] : []),
+        "",
+      ].join("\n"),
+    },
+    sms: {
+      text: `${smsPrefix}Your verification code is ${code}. It expires in ${expiresInMinutes} minutes. If you didn't ask for it, ignore this message.`,
+    },
+  };
+}
+
+// --- Transports ---
+
+// Logs each message instead of sending it, for local development. The
+// recipient is masked like any customer detail; the text is not.
+export function createConsoleTransport(channel) {
+  const log = logger.child({ component: "notifications" });
+  return {
+    async send({ to, ...message }) {
+      log.info("Notification (console transport, not sent)", {
+        channel,
+        [channel === "sms" ? "phone" : "email"]: to,
+        ...message,
+      });
+    },
+  };
+}
+
+// Writes each message to a JSON file in dir, for local testing
+export function createFileTransport(channel, dir) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${channel}-${crypto.randomUUID()}.json`);
+      const record = { channel, ...message, sentAt: new Date().toISOString() };
+      // Write then rename, so whatever watches the outbox never reads half a message
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+      await fs.rename(`${file}.tmp`, file);
+    },
+  };
+}
+
+// Email through an SMTP server: a relay like SES, Postmark or Mailgun, or
+// the company's own. Port 465 (secure: true) speaks TLS from the start;
+// otherwise the connection is upgraded with STARTTLS, and credentials are
+// never sent over a connection that wasn't. Connecting, the greeting and
+// every reply after it each give up after `timeout` ms.
+export function createSmtpTransport({
+  host,
+  port = 587,
+  secure = port === 465,
+  user = null,
+  pass = null,
+  from,
+  helo = "localhost",
+  timeout = 15000,
+}) {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass: pass || "" }, requireTLS: !secure }),
+    name: helo,
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout,
+  });
+
+  return {
+    async send({ to, subject, text }) {
+      await mailer.sendMail({ from, to, subject, text });
+    },
+  };
+}
+
+// SMS through Twilio's Messages API
+export function createTwilioTransport({ accountSid, authToken, from, baseUrl = "https://api.twilio.com" }) {
+  const url = `${baseUrl}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+
+  return {
+    async send({ to, text }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { Authorization: `Basic ${auth}`, "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ To: to, From: from, Body: text }),
+        signal: AbortSignal.timeout(15000),
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(`Twilio error (${res.status}): ${body.message || res.statusText}`);
+      }
+    },
+  };
+}
+
+// --- Pick transports from configuration ---
+
+// { email, sms }, each a transport or null when that channel is off:
+//   NOTIFY_EMAIL_TRANSPORT  smtp | file | console, or empty for no email
+//   NOTIFY_SMS_TRANSPORT    twilio | file | console, or empty for no SMS
+// Throws on an unknown transport or missing settings, so a bad deploy fails
+// at startup.
+export function createNotificationTransports(env = process.env) {
+  const outbox = env.NOTIFY_OUTBOX_PATH || "data/outbox";
+  const required = (name) => {
+    if (!env[name]) {
+      throw new Error(`${name} is required for the configured notification transport`);
+    }
+    return env[name];
+  };
+
+  const email = () => {
+    const type = env.NOTIFY_EMAIL_TRANSPORT || "";
+    switch (type) {
+      case "":
+        return null;
+      case "console":
+        return createConsoleTransport("email");
+      case "file":
+        return createFileTransport("email", outbox);
+      case "smtp":
+        return createSmtpTransport({
+          host: required("SMTP_HOST"),
+          ...(env.SMTP_PORT && { port: Number(env.SMTP_PORT) }),
+          ...(env.SMTP_SECURE && { secure: env.SMTP_SECURE === "true" }),
+          user: env.SMTP_USER || null,
+          pass: env.SMTP_PASS || null,
+          from: required("NOTIFY_EMAIL_FROM"),
+          ...(env.SMTP_HELO_NAME && { helo: env.SMTP_HELO_NAME }),
+        });
+      default:
+        throw new Error(`Unknown NOTIFY_EMAIL_TRANSPORT "${type}" (expected "smtp", "file" or "console")`);
+    }
+  };
+
+  const sms = () => {
+    const type = env.NOTIFY_SMS_TRANSPORT || "";
+    switch (type) {
+      case "":
+        return null;
+      case "console":
+        return createConsoleTransport("sms");
+      case "file":
+        return createFileTransport("sms", outbox);
+      case "twilio":
+        return createTwilioTransport({
+          accountSid: required("TWILIO_ACCOUNT_SID"),
+          authToken: required("TWILIO_AUTH_TOKEN"),
+          from: required("TWILIO_FROM"),
+          ...(env.TWILIO_API_BASE_URL && { baseUrl: env.TWILIO_API_BASE_URL }),
+        });
+      default:
+        throw new Error(`Unknown NOTIFY_SMS_TRANSPORT "${type}" (expected "twilio", "file" or "console")`);
+    }
+  };
+
+  return { email: email(), sms: sms() };
+}
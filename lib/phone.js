@@ -0,0 +1,69 @@
+// lib/phone.js
+
+import { ToolArgumentError } from "./errors.js";
+
+// Country calling codes for the regions a business can use as its default.
+// Numbers written nationally drop their leading trunk 0 when made
+// international, except in the NANP (US, CA), where the trunk prefix is 1.
+const CALLING_CODES = {
+  US: "1",
+  CA: "1",
+  GB: "44",
+  IE: "353",
+  AU: "61",
+  NZ: "64",
+  DE: "49",
+  FR: "33",
+  ES: "34",
+  NL: "31",
+  IN: "91",
+  ZA: "27",
+  MX: "52",
+  BR: "55",
+};
+
+export const DEFAULT_PHONE_REGION = "US";
+
+export function isSupportedPhoneRegion(region) {
+  return Object.hasOwn(CALLING_CODES, region);
+}
+
+// Normalize a phone number to E.164 (+12065551212). Numbers without a
+// country code (no leading + or 00) are read as national numbers in
+// `region`. Throws a ToolArgumentError for anything that can't be a phone
+// number, so the model asks the customer again.
+export function normalizePhone(value, region = DEFAULT_PHONE_REGION, { field = "customer_phone" } = {}) {
+  const text = typeof value === "number" ? String(value) : typeof value === "string" ? value.trim() : "";
+  if (!/^\+?[\d\s().\-/]+$/.test(text)) {
+    throw new ToolArgumentError(`${field} "${value ?? ""}" is not a phone number; ask the customer for it again`);
+  }
+
+  let digits = text.replace(/\D/g, "");
+  let international = text.startsWith("+");
+  if (!international && digits.startsWith("00")) {
+    international = true;
+    digits = digits.slice(2);
+  }
+
+  if (!international) {
+    const callingCode = CALLING_CODES[region] || CALLING_CODES[DEFAULT_PHONE_REGION];
+    if (callingCode === "1") {
+      digits = digits.length === 11 && digits.startsWith("1") ? digits : `1${digits}`;
+    } else {
+      digits = callingCode + digits.replace(/^0/, "");
+    }
+  }
+
+  // NANP numbers are exactly 10 digits after the 1, and neither the area
+  // code nor the exchange starts with 0 or 1
+  const valid = digits.startsWith("1")
+    ? /^1[2-9]\d{2}[2-9]\d{6}$/.test(digits)
+    : digits.length >= 8 && digits.length <= 15;
+  if (!valid) {
+    throw new ToolArgumentError(
+      `${field} "${value}" is not a complete phone number; ask the customer to check it (include the country code if it's not a ${region} number)`
+    );
+  }
+
+  return `+${digits}`;
+}
@@ -0,0 +1,55 @@
+// lib/rate-limit.js
+
+// In-memory sliding-window rate limiter: at most `limit` hits per key in any
+// `windowMs`. Each process counts on its own, so behind several instances
+// the effective limit is multiplied by the instance count.
+//
+//   const perIp = createRateLimiter({ limit: 30, windowMs: 60_000 });
+//   const { allowed, retryAfter } = perIp.hit(req.ip);
+//
+// retryAfter is the ms until the oldest hit in the window expires, i.e. when
+// the next hit would be allowed. A limit of 0 turns the limiter off.
+
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const hits = new Map();
+
+  // Drop keys with no hits left in the window, so the map doesn't grow
+  // with every visitor ever seen
+  const prune = (time) => {
+    for (const [key, times] of hits) {
+      if (times.at(-1) <= time - windowMs) {
+        hits.delete(key);
+      }
+    }
+  };
+  let lastPrune = now();
+
+  return {
+    // Count a hit against `key` unless it's over the limit
+    hit(key) {
+      if (!limit) {
+        return { allowed: true, retryAfter: 0 };
+      }
+
+      const time = now();
+      if (time - lastPrune >= windowMs) {
+        prune(time);
+        lastPrune = time;
+      }
+
+      const times = (hits.get(key) || []).filter((at) => at > time - windowMs);
+      if (times.length >= limit) {
+        hits.set(key, times);
+        return { allowed: false, retryAfter: times[0] + windowMs - time };
+      }
+
+      times.push(time);
+      hits.set(key, times);
+      return { allowed: true, retryAfter: 0 };
+    },
+
+    reset() {
+      hits.clear();
+    },
+  };
+}
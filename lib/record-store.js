@@ -0,0 +1,145 @@
+// lib/record-store.js
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// The storage behind sessions, jobs, customers and reminders: JSON records
+// keyed by one of their fields (record[key]).
+//
+// Every store exposes the same async interface:
+//   get(id)            -> record or null
+//   save(record)       -> persists the record
+//   delete(id)         -> removes it
+//   list()             -> every stored record
+//
+// A read-modify-write goes through updateRecord, so two of them on the same
+// record can't lose each other's changes.
+
+// --- In-memory store (default; lost on restart) ---
+
+export function createMemoryRecordStore({ key = "id" } = {}) {
+  const records = new Map();
+
+  return {
+    async get(id) {
+      const record = records.get(id);
+      // Hand out copies so callers can't mutate stored state by accident
+      return record ? structuredClone(record) : null;
+    },
+    async save(record) {
+      records.set(record[key], structuredClone(record));
+    },
+    async delete(id) {
+      records.delete(id);
+    },
+    async list() {
+      return [...records.values()].map((record) => structuredClone(record));
+    },
+  };
+}
+
+// --- File-backed store (one JSON file per record) ---
+
+export function createFileRecordStore(dir, { key = "id" } = {}) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  const read = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    async get(id) {
+      return read(fileFor(id));
+    },
+    async save(record) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so a crash never leaves a half-written record. Each
+      // save has its own temp file, so concurrent ones can't clobber it.
+      const tmpFile = `${fileFor(record[key])}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(record, null, 2));
+      await fs.rename(tmpFile, fileFor(record[key]));
+    },
+    async delete(id) {
+      await fs.rm(fileFor(id), { force: true });
+    },
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return [];
+        }
+        throw error;
+      }
+
+      const records = await Promise.all(
+        files.filter((file) => file.endsWith(".json")).map((file) => read(path.join(dir, file)))
+      );
+      return records.filter(Boolean);
+    },
+  };
+}
+
+// --- Pick a store from configuration ---
+
+// The store for one kind of record, chosen by <KIND>_STORE ("memory" or
+// "file") and <KIND>_STORE_PATH (default dir), e.g. SESSION_STORE for
+// kind "session"
+export function createRecordStore({ kind, dir, key = "id" }, env = process.env) {
+  const prefix = kind.toUpperCase();
+  const type = env[`${prefix}_STORE`] || "memory";
+
+  switch (type) {
+    case "memory":
+      return createMemoryRecordStore({ key });
+    case "file":
+      return createFileRecordStore(env[`${prefix}_STORE_PATH`] || dir, { key });
+    default:
+      throw new Error(`Unknown ${prefix}_STORE "${type}" (expected "memory" or "file")`);
+  }
+}
+
+// --- Serialized updates ---
+
+const locks = new WeakMap(); // store -> Map(id -> last queued update)
+
+// Run a read-modify-write cycle on one record. Cycles for the same store and
+// id are queued. mutate(record) gets the stored record (null if there's none)
+// and returns the record to save, or null to leave it as it is; it may be
+// async. Resolves with the saved record, or null.
+export function updateRecord(store, id, mutate) {
+  if (!locks.has(store)) {
+    locks.set(store, new Map());
+  }
+  const storeLocks = locks.get(store);
+  const previous = storeLocks.get(id) || Promise.resolve();
+
+  const run = previous.then(async () => {
+    const record = await mutate(await store.get(id));
+    if (!record) {
+      return null;
+    }
+    await store.save(record);
+    return record;
+  });
+
+  // Keep the queue going even if this cycle fails, and drop it once idle
+  const settled = run.catch(() => {});
+  storeLocks.set(id, settled);
+  settled.then(() => {
+    if (storeLocks.get(id) === settled) {
+      storeLocks.delete(id);
+    }
+  });
+
+  return run;
+}
@@ -0,0 +1,28 @@
+// lib/reminder-store.js
+
+import crypto from "crypto";
+import { createRecordStore } from "./record-store.js";
+
+// Appointment reminders waiting to be sent, one per booking:
+//
+//   {
+//     id,                        // reminderId(tenantId, bookingId)
+//     tenantId, bookingId, sendAt,
+//     startTime, service, provider, customerName, phone, email,
+//     createdAt,
+//   }
+//
+// server.js checks for due ones every minute; a restarted server still
+// sends them with the file store.
+//
+// Stored with the get/save/delete/list interface of lib/record-store.js,
+// picked by REMINDER_STORE and REMINDER_STORE_PATH.
+
+// Stable id for a business + booking id, safe as a filename
+export function reminderId(tenantId, bookingId) {
+  return crypto.createHash("sha256").update(`${tenantId}\n${bookingId}`).digest("hex").slice(0, 32);
+}
+
+export function createReminderStore(env = process.env) {
+  return createRecordStore({ kind: "reminder", dir: "data/reminders" }, env);
+}
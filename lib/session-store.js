@@ -0,0 +1,34 @@
+// lib/session-store.js
+
+import { createRecordStore, updateRecord } from "./record-store.js";
+
+// A session is { id, tenantId, history, toolCalls, createdAt, updatedAt },
+// where history is the list of { role, content } user/assistant messages
+// shown in the widget and toolCalls records what became of each tool the
+// model called (see recordToolCall in server.js). bookingIds and
+// customerPhones, once there are any, are the appointments the session may
+// change (see ownsAppointment in server.js).
+//
+// Stored with the get/save/delete/list interface of lib/record-store.js,
+// picked by SESSION_STORE and SESSION_STORE_PATH.
+
+export function createSessionStore(env = process.env) {
+  return createRecordStore({ kind: "session", dir: "data/sessions" }, env);
+}
+
+// --- Serialized updates ---
+
+// Run a read-modify-write cycle on one session (see updateRecord), so a
+// Block job finishing mid-request can't clobber messages that /api/chat
+// appended (or vice versa). mutate(session) may be async. Resolves with the
+// session, or null when there's no such session.
+export function updateSession(store, id, mutate) {
+  return updateRecord(store, id, async (session) => {
+    if (!session) {
+      return null;
+    }
+    await mutate(session);
+    session.updatedAt = new Date().toISOString();
+    return session;
+  });
+}
@@ -0,0 +1,78 @@
+// lib/status-channels.js
+
+// Per-request event logs behind the /api/status/:requestId SSE stream.
+//
+// Every event a Block job produces is appended to its channel with an
+// increasing id, then pushed to whoever is connected. A client that connects
+// late, or reconnects with Last-Event-ID, gets everything after the last id
+// it saw, so nothing is lost between the chat response and the stream
+// opening. Channels are dropped `ttl` ms after they close.
+
+export function createStatusChannels({ ttl = 10 * 60 * 1000 } = {}) {
+  const channels = new Map();
+
+  return {
+    open(requestId) {
+      channels.set(requestId, { events: [], subscribers: new Set(), closed: false });
+    },
+
+    has(requestId) {
+      return channels.has(requestId);
+    },
+
+    // Append an event and deliver it to connected subscribers.
+    publish(requestId, event, data = {}) {
+      const channel = channels.get(requestId);
+      if (!channel || channel.closed) {
+        return;
+      }
+
+      const entry = { id: channel.events.length + 1, event, data };
+      channel.events.push(entry);
+      for (const send of channel.subscribers) {
+        send(entry);
+      }
+    },
+
+    // Publish "done" and let the subscribers end their streams.
+    close(requestId) {
+      const channel = channels.get(requestId);
+      if (!channel || channel.closed) {
+        return;
+      }
+
+      this.publish(requestId, "done");
+      channel.closed = true;
+      for (const send of channel.subscribers) {
+        send(null);
+      }
+      channel.subscribers.clear();
+
+      setTimeout(() => channels.delete(requestId), ttl).unref();
+    },
+
+    // Replay events after lastEventId, then deliver new ones as they come.
+    // send(entry) gets each event and send(null) once the channel closes.
+    // Returns an unsubscribe function, or null for an unknown channel.
+    subscribe(requestId, lastEventId, send) {
+      const channel = channels.get(requestId);
+      if (!channel) {
+        return null;
+      }
+
+      for (const entry of channel.events) {
+        if (entry.id > lastEventId) {
+          send(entry);
+        }
+      }
+
+      if (channel.closed) {
+        send(null);
+        return () => {};
+      }
+
+      channel.subscribers.add(send);
+      return () => channel.subscribers.delete(send);
+    },
+  };
+}
@@ -0,0 +1,144 @@
+// lib/tenants.js
+
+import fs from "fs";
+import { isValidTimeZone } from "./datetime.js";
+import { DEFAULT_PHONE_REGION, isSupportedPhoneRegion } from "./phone.js";
+import { logger } from "./logger.js";
+
+// A tenant is one business using the widget. Each has its own Block
+// connection and prompt details, and is picked by the widget id the page
+// sends with every request:
+//
+//   {
+//     id: "salon-sf",
+//     businessName: "Shear Genius",
+//     businessDescription: "a hair salon in San Francisco, California",
+//     address: "123 Valencia St, San Francisco, CA 94103", // optional, for calendar entries
+//     timezone: "America/Los_Angeles",
+//     phoneRegion: "US",                  // for phone numbers without a country code
+//     connectionId: "conn_...",
+//     blockApiKey: "block_key_...",      // optional, defaults to BLOCK_API_KEY
+//     defaultProvider: "Carl Morris",
+//     services: [{ name: "Haircut", durationMinutes: 45, price: "$60", aliases: ["trim"] }],
+//     providers: [{ name: "Carl Morris", services: ["Haircut"] }],
+//     catalogSource: "config",            // or "block" to load services/providers from Block
+//     customerLookup: "cache",            // or "block" to look returning customers up in Block first
+//     instructions: "Extra prompt text for this business.",
+//     allowedOrigins: ["https://sheargenius.example"], // sites embedding the widget
+//   }
+
+export const DEFAULT_TENANT_ID = "default";
+
+// Used when neither the tenant nor BUSINESS_TIMEZONE names one
+const DEFAULT_TIMEZONE = "America/Los_Angeles";
+
+function resolveTimeZone(id, timeZone) {
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Tenant "${id}" has an invalid timezone "${timeZone}" (expected an IANA name like America/New_York)`);
+  }
+  return timeZone;
+}
+
+function resolvePhoneRegion(id, region) {
+  if (!isSupportedPhoneRegion(region)) {
+    throw new Error(`Tenant "${id}" has an unsupported phoneRegion "${region}" (expected a country code like US or GB)`);
+  }
+  return region;
+}
+
+function resolveCatalogSource(id, source) {
+  if (source !== "config" && source !== "block") {
+    throw new Error(`Tenant "${id}" has an unknown catalogSource "${source}" (expected "config" or "block")`);
+  }
+  return source;
+}
+
+function resolveCustomerLookup(id, lookup) {
+  if (lookup !== "cache" && lookup !== "block") {
+    throw new Error(`Tenant "${id}" has an unknown customerLookup "${lookup}" (expected "cache" or "block")`);
+  }
+  return lookup;
+}
+
+function normalizeTenant(id, config, env) {
+  if (!config.connectionId) {
+    throw new Error(`Tenant "${id}" is missing a connectionId`);
+  }
+
+  return {
+    id,
+    businessName: config.businessName || "",
+    businessDescription: config.businessDescription || "a business",
+    address: config.address || "",
+    timezone: resolveTimeZone(id, config.timezone || env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE),
+    phoneRegion: resolvePhoneRegion(id, config.phoneRegion || env.DEFAULT_PHONE_REGION || DEFAULT_PHONE_REGION),
+    connectionId: config.connectionId,
+    blockApiKey: config.blockApiKey || null,
+    defaultProvider: config.defaultProvider || "",
+    services: (config.services || []).map((service) =>
+      typeof service === "string" ? { name: service } : service
+    ),
+    providers: (config.providers || []).map((provider) =>
+      typeof provider === "string" ? { name: provider } : provider
+    ),
+    catalogSource: resolveCatalogSource(id, config.catalogSource || "config"),
+    customerLookup: resolveCustomerLookup(id, config.customerLookup || "cache"),
+    instructions: config.instructions || "",
+    allowedOrigins: config.allowedOrigins || [],
+  };
+}
+
+// The single-business setup from .env, used when there is no tenants file.
+function tenantFromEnv(env) {
+  return {
+    id: DEFAULT_TENANT_ID,
+    businessName: "",
+    businessDescription: "a hair salon in California",
+    address: env.BUSINESS_ADDRESS || "",
+    timezone: resolveTimeZone(DEFAULT_TENANT_ID, env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE),
+    phoneRegion: resolvePhoneRegion(DEFAULT_TENANT_ID, env.DEFAULT_PHONE_REGION || DEFAULT_PHONE_REGION),
+    connectionId: env.CONNECTION_ID,
+    blockApiKey: null,
+    defaultProvider: env.DEFAULT_PROVIDER_NAME || "",
+    services: [],
+    providers: [],
+    catalogSource: "config",
+    customerLookup: "cache",
+    instructions: "",
+    allowedOrigins: [],
+  };
+}
+
+// Load the tenant registry from TENANTS_FILE (default tenants.json). Throws
+// on a malformed file so a bad deploy fails at startup, not mid-chat.
+export function loadTenantRegistry(env = process.env) {
+  const file = env.TENANTS_FILE || "tenants.json";
+  const tenants = new Map();
+
+  if (fs.existsSync(file)) {
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [id, tenantConfig] of Object.entries(config.tenants || {})) {
+      tenants.set(id, normalizeTenant(id, tenantConfig, env));
+    }
+    logger.info("Loaded tenants", { component: "tenants", count: tenants.size, file });
+  } else {
+    tenants.set(DEFAULT_TENANT_ID, tenantFromEnv(env));
+  }
+
+  return {
+    // Resolve a widget id to its tenant. Requests without one fall back to
+    // the only tenant when there's just one, or to the "default" tenant.
+    get(widgetId) {
+      if (widgetId) {
+        return tenants.get(widgetId) || null;
+      }
+      if (tenants.size === 1) {
+        return tenants.values().next().value;
+      }
+      return tenants.get(DEFAULT_TENANT_ID) || null;
+    },
+    all() {
+      return [...tenants.values()];
+    },
+  };
+}
@@ -0,0 +1,101 @@
+// lib/tool-args.js
+
+import { ToolArgumentError } from "./errors.js";
+
+// Checks for the arguments a model passes to a tool call, before any of it
+// reaches Block. Problems are thrown as ToolArgumentError, which /api/chat
+// hands back to the model as the tool result.
+
+// Parse a tool call's JSON arguments string into an object.
+export function parseToolArguments(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return {};
+  }
+
+  let args = raw;
+  if (typeof raw === "string") {
+    try {
+      args = JSON.parse(raw);
+    } catch (error) {
+      throw new ToolArgumentError(
+        `The arguments were not valid JSON (${error.message}); call the tool again with a JSON object`
+      );
+    }
+  }
+
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    throw new ToolArgumentError("The arguments must be a JSON object of named parameters");
+  }
+  return args;
+}
+
+// Check args against a tool's JSON Schema `parameters` (the subset TOOLS
+// uses: an object of typed properties, `required` and `enum`). Strings are
+// trimmed, empty values count as missing, numbers are accepted where a
+// string is expected (e.g. a phone number) and unknown properties are
+// dropped. Every problem is reported at once, so the model can fix them in
+// one go.
+export function validateToolArguments(parameters, args) {
+  const properties = parameters?.properties || {};
+  const problems = [];
+  const valid = {};
+
+  for (const [name, schema] of Object.entries(properties)) {
+    let value = args[name];
+    if (schema.type === "string" && typeof value === "number") {
+      value = String(value);
+    }
+    if (typeof value === "string") {
+      value = value.trim();
+    }
+    if (value === undefined || value === null || value === "") {
+      continue;
+    }
+
+    const problem = checkValue(schema, value);
+    if (problem) {
+      problems.push(`${name} ${problem}`);
+    } else {
+      valid[name] = value;
+    }
+  }
+
+  for (const name of parameters?.required || []) {
+    if (!(name in valid) && !problems.some((problem) => problem.startsWith(`${name} `))) {
+      problems.push(`${name} is required`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ToolArgumentError(`Invalid arguments: ${problems.join("; ")}`);
+  }
+  return valid;
+}
+
+function checkValue(schema, value) {
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      break;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) return "must be a whole number";
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return "must be true or false";
+      break;
+    case "array":
+      if (!Array.isArray(value)) return "must be an array";
+      break;
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return "must be an object";
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of: ${schema.enum.join(", ")}`;
+  }
+  return null;
+}
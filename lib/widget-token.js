@@ -0,0 +1,33 @@
+// lib/widget-token.js
+
+import crypto from "crypto";
+
+// Signed widget tokens: a light bot challenge for /api/chat. The widget gets
+// a token from /api/session when it loads and sends it back as
+// X-Widget-Token with every message, so a script that posts straight to
+// /api/chat without loading the widget is turned away.
+//
+// A token is "<expiresAt>.<signature>", the signature an HMAC-SHA256 (keyed
+// with WIDGET_TOKEN_SECRET) of the tenant id, the client IP and the expiry.
+// It's only good for the widget and address it was issued to, until it
+// expires; nothing is stored server-side.
+
+export function createWidgetToken({ tenantId, ip }, secret, { ttl = 60 * 60 * 1000, now = Date.now() } = {}) {
+  const expiresAt = now + ttl;
+  return `${expiresAt}.${sign({ tenantId, ip, expiresAt }, secret)}`;
+}
+
+export function verifyWidgetToken(token, { tenantId, ip }, secret, { now = Date.now() } = {}) {
+  const [expiresAt, signature] = String(token || "").split(".");
+  if (!/^\d+$/.test(expiresAt) || !signature || Number(expiresAt) <= now) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign({ tenantId, ip, expiresAt: Number(expiresAt) }, secret));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function sign({ tenantId, ip, expiresAt }, secret) {
+  return crypto.createHmac("sha256", secret).update(`${tenantId}\n${ip}\n${expiresAt}`).digest("base64url");
+}
@@ -0,0 +1,596 @@
+// public/chat.js
+
+// The chat UI, shared by the full-page demo (app.js) and the embeddable
+// widget (widget.js). mountChat() wires it to existing markup under `root`:
+// #chat, #chat-form, #chat-input and an optional .chat-header h1.
+//
+// Options:
+//   root        - document or a shadow root holding the markup
+//   apiBase     - origin of the chat server ("" for same-origin)
+//   widgetId    - which business this chat is for (see tenants.json)
+//   greeting    - first assistant message
+//   sessionKey  - localStorage key for the session id; set this when the
+//                 widget runs on another site, where the session cookie
+//                 would be a blocked third-party cookie
+
+const DEFAULT_GREETING =
+  "Hi! 👋 I can help you book an appointment. What can I do for you today?";
+
+export function mountChat({
+  root = document,
+  apiBase = "",
+  widgetId = null,
+  greeting = DEFAULT_GREETING,
+  sessionKey = null,
+} = {}) {
+  const chatEl = root.querySelector("#chat");
+  const formEl = root.querySelector("#chat-form");
+  const inputEl = root.querySelector("#chat-input");
+  const headerTitleEl = root.querySelector(".chat-header h1");
+
+  // The conversation history lives on the server (keyed by a session cookie
+  // or X-Session-Id header), so the widget only renders what it's told.
+  let statusIndicator = null;
+
+  // Tells the server which business this widget is for
+  const widgetQuery = widgetId ? `?widgetId=${encodeURIComponent(widgetId)}` : "";
+
+  // Proves to the server that messages come from a loaded widget, when it
+  // asks for that (see restoreSession / refreshWidgetToken)
+  let widgetToken = null;
+
+  // fetch() against the chat server, carrying the session id header when the
+  // session isn't cookie-based
+  async function apiFetch(path, init = {}) {
+    const headers = { ...init.headers };
+    if (sessionKey && localStorage.getItem(sessionKey)) {
+      headers["X-Session-Id"] = localStorage.getItem(sessionKey);
+    }
+    if (widgetToken) {
+      headers["X-Widget-Token"] = widgetToken;
+    }
+
+    const res = await fetch(`${apiBase}${path}`, { ...init, headers });
+
+    const sessionId = res.headers.get("X-Session-Id");
+    if (sessionKey && sessionId) {
+      localStorage.setItem(sessionKey, sessionId);
+    }
+    return res;
+  }
+
+  function appendMessage(role, content) {
+    const div = document.createElement("div");
+    div.className = `message ${role}`;
+    div.textContent = content;
+    chatEl.appendChild(div);
+    chatEl.scrollTop = chatEl.scrollHeight;
+    return div;
+  }
+
+  // Replace a message bubble's text (e.g. while a reply streams in)
+  function updateMessage(div, content) {
+    div.textContent = content;
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  // Read a text/event-stream response body, calling onEvent(event, data) for
+  // each event as it arrives.
+  async function readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = "message";
+        let data = "";
+        for (const line of rawEvent.split("\n")) {
+          if (line.startsWith("event:")) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith("data:")) {
+            data += line.slice(5).trim();
+          }
+        }
+
+        try {
+          onEvent(event, data ? JSON.parse(data) : {});
+        } catch (e) {
+          console.error("[chat] Failed to handle stream event:", e);
+        }
+      }
+    }
+  }
+
+  function showStatus(text) {
+    hideStatus();
+    statusIndicator = document.createElement("div");
+    statusIndicator.className = "status-indicator";
+    const spinner = document.createElement("span");
+    spinner.className = "status-spinner";
+    statusIndicator.append(spinner, text);
+    chatEl.appendChild(statusIndicator);
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  function hideStatus() {
+    if (statusIndicator) {
+      statusIndicator.remove();
+      statusIndicator = null;
+    }
+  }
+
+  // The last assistant bubble - the placeholder a Block job's reply replaces
+  function lastAssistantMessage() {
+    const messages = chatEl.querySelectorAll(".message.assistant");
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+  }
+
+  // A booking summary with Confirm / Edit buttons. Nothing is booked until
+  // Confirm is pressed; only the newest card can be used.
+  function showConfirmationCard(pending) {
+    chatEl.querySelectorAll(".booking-card button").forEach((button) => {
+      button.disabled = true;
+    });
+
+    const card = document.createElement("div");
+    card.className = "booking-card";
+
+    const { business, customer } = pending.startTimeDisplay || {};
+    const rows = [
+      ["Service", pending.service],
+      ["With", pending.provider],
+      ["When", customer ? `${business} (${customer} your time)` : business || pending.startTime],
+      ["Name", pending.customerName],
+      ["Phone", pending.customerPhone],
+    ];
+    if (pending.customerEmail) {
+      rows.push(["Email", pending.customerEmail]);
+    }
+    if (pending.notes) {
+      rows.push(["Notes", pending.notes]);
+    }
+
+    const details = document.createElement("dl");
+    for (const [label, value] of rows) {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = value;
+      details.append(term, description);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "booking-card-actions";
+    const confirmButton = document.createElement("button");
+    confirmButton.className = "booking-card-confirm";
+    confirmButton.textContent = "Confirm";
+    const editButton = document.createElement("button");
+    editButton.className = "booking-card-edit";
+    editButton.textContent = "Edit";
+    actions.append(confirmButton, editButton);
+
+    const setBusy = (busy) => {
+      confirmButton.disabled = busy;
+      editButton.disabled = busy;
+    };
+
+    confirmButton.addEventListener("click", async () => {
+      setBusy(true);
+      const ok = await answerPendingBooking(pending.id, "confirm");
+      if (!ok) setBusy(false);
+    });
+    editButton.addEventListener("click", async () => {
+      setBusy(true);
+      const ok = await answerPendingBooking(pending.id, "edit");
+      if (ok) {
+        inputEl.focus();
+      } else {
+        setBusy(false);
+      }
+    });
+
+    card.append(details, actions);
+    chatEl.appendChild(card);
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  // "Add to calendar" buttons under a booking's final message. Google and
+  // Outlook open their add-event pages; the Apple Calendar button downloads
+  // the .ics file, which any calendar app can open.
+  function showCalendarLinks(calendar) {
+    const links = document.createElement("div");
+    links.className = "calendar-links";
+
+    for (const [label, href] of [
+      ["Google Calendar", calendar.google],
+      ["Outlook", calendar.outlook],
+    ]) {
+      const link = document.createElement("a");
+      link.href = href;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = `Add to ${label}`;
+      links.appendChild(link);
+    }
+
+    const appleButton = document.createElement("button");
+    appleButton.type = "button";
+    appleButton.textContent = "Add to Apple Calendar";
+    appleButton.addEventListener("click", () => downloadCalendarFile(calendar.ics));
+    links.appendChild(appleButton);
+
+    chatEl.appendChild(links);
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  // Fetched rather than linked, so the session id header goes along when
+  // the widget is embedded on another site
+  async function downloadCalendarFile(path) {
+    try {
+      const res = await apiFetch(path);
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "appointment.ics";
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      console.error("[calendar] Failed to download calendar file:", e);
+      appendMessage("assistant", "Sorry, I couldn't get the calendar file. Please add the appointment by hand.");
+    }
+  }
+
+  // One-tap service choices under the greeting of a new conversation; they
+  // go away once anything is sent
+  function showQuickReplies(services) {
+    const chips = document.createElement("div");
+    chips.className = "quick-replies";
+    for (const service of services) {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.textContent = service;
+      chip.addEventListener("click", () => sendMessage(`I'd like to book: ${service}`));
+      chips.appendChild(chip);
+    }
+    chatEl.appendChild(chips);
+    chatEl.scrollTop = chatEl.scrollHeight;
+  }
+
+  // Confirm or discard (Edit) a pending booking. Resolves false after a
+  // network error, so the card's buttons can be tried again.
+  async function answerPendingBooking(id, answer) {
+    try {
+      const res =
+        answer === "confirm"
+          ? await apiFetch(`/api/pending-bookings/${id}/confirm${widgetQuery}`, { method: "POST" })
+          : await apiFetch(`/api/pending-bookings/${id}${widgetQuery}`, { method: "DELETE" });
+      const data = await res.json();
+
+      if (!res.ok) {
+        // Expired, or already answered (e.g. in another tab)
+        appendMessage("assistant", data.error || "Sorry, that booking can't be changed any more.");
+        return true;
+      }
+
+      appendMessage("assistant", data.reply);
+      if (data.statusRequestId) {
+        connectToStatusStream(data.statusRequestId, data.statusMessage);
+      }
+      return true;
+    } catch (e) {
+      console.error("[booking] Failed to answer pending booking:", e);
+      appendMessage("assistant", "Network error – please try again in a moment.");
+      return false;
+    }
+  }
+
+  // recoveryAttempt counts how many times the stream was reopened after the
+  // server lost it (see recoverJobStatus)
+  function connectToStatusStream(requestId, initialStatus, recoveryAttempt = 0) {
+    // Show initial status when the Block job starts
+    showStatus(initialStatus || "Working on it...");
+
+    // EventSource reconnects on its own after a dropped connection and
+    // sends Last-Event-ID, so the server resumes where we left off. It can't
+    // send the session id header, so a header-based session goes in the URL.
+    const sessionId = sessionKey && localStorage.getItem(sessionKey);
+    const sessionQuery = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : "";
+    const eventSource = new EventSource(`${apiBase}/api/status/${requestId}${sessionQuery}`);
+    let streamedReply = null; // Reply text streamed so far, once the job is done
+
+    const on = (type, handler) => {
+      eventSource.addEventListener(type, (event) => {
+        // Connection errors also fire "error", without data (see onerror)
+        if (typeof event.data !== "string") return;
+        try {
+          const data = JSON.parse(event.data);
+          console.log(`[status] ${type}:`, data);
+          handler(data);
+        } catch (e) {
+          console.error("[status] Failed to parse status event:", e);
+        }
+      });
+    };
+
+    on("status", (data) => {
+      if (data.state === "in_progress") {
+        showStatus("In progress...");
+      }
+    });
+
+    on("progress", (data) => {
+      showStatus(data.message);
+    });
+
+    on("delta", (data) => {
+      // The job finished and the assistant's reply is streaming in:
+      // replace the placeholder bubble with the partial text
+      if (streamedReply === null) {
+        streamedReply = "";
+        hideStatus();
+      }
+      streamedReply += data.content;
+
+      const messageEl = lastAssistantMessage();
+      if (messageEl) {
+        updateMessage(messageEl, streamedReply);
+      }
+    });
+
+    on("final", (data) => {
+      const messageEl = lastAssistantMessage();
+      if (messageEl) {
+        updateMessage(messageEl, data.message);
+      }
+      hideStatus();
+      if (data.booking?.calendar) {
+        showCalendarLinks(data.booking.calendar);
+      }
+    });
+
+    on("error", (data) => {
+      const errorMessage = `Error: ${data.message}`;
+
+      const messageEl = lastAssistantMessage();
+      if (messageEl) {
+        updateMessage(messageEl, errorMessage);
+      }
+
+      // Show in status indicator briefly, then hide
+      showStatus(errorMessage);
+      setTimeout(() => {
+        hideStatus();
+      }, 3000);
+    });
+
+    on("done", () => {
+      // Stream is complete, close connection
+      console.log("[status] Stream completed, closing connection");
+      eventSource.close();
+      if (streamedReply !== null) {
+        hideStatus();
+      }
+    });
+
+    eventSource.onopen = () => {
+      console.log("[status] SSE connection opened");
+    };
+
+    eventSource.onerror = () => {
+      if (eventSource.readyState === EventSource.CLOSED) {
+        // The server refused the stream (e.g. it expired or the server
+        // restarted) - ask it how the job ended instead
+        console.error("[status] SSE connection closed by server");
+        recoverJobStatus(requestId, recoveryAttempt + 1);
+      } else {
+        console.warn("[status] SSE connection dropped, reconnecting...");
+      }
+    };
+  }
+
+  // Look a job up after losing its status stream. A finished job's reply
+  // (or error) replaces the placeholder; one the server is still working on
+  // (e.g. resumed after a restart) is followed on its new stream.
+  async function recoverJobStatus(requestId, attempt) {
+    let job = null;
+    try {
+      const res = await apiFetch(`/api/bookings/${requestId}`);
+      if (res.ok) {
+        job = await res.json();
+      }
+    } catch (e) {
+      console.error("[status] Failed to look up job:", e);
+    }
+
+    const messageEl = lastAssistantMessage();
+    if (job?.status === "completed" || job?.status === "failed") {
+      if (messageEl) {
+        updateMessage(messageEl, job.status === "completed" ? job.reply : `Error: ${job.error}`);
+      }
+      hideStatus();
+      if (job.booking?.calendar) {
+        showCalendarLinks(job.booking.calendar);
+      }
+    } else if (job && attempt <= 3) {
+      setTimeout(() => connectToStatusStream(requestId, "Still working on it...", attempt), 2000);
+    } else {
+      // Unknown job, or it keeps failing - give up
+      setTimeout(() => {
+        if (statusIndicator) {
+          hideStatus();
+        }
+      }, 1000);
+    }
+  }
+
+  async function sendMessage(text) {
+    chatEl.querySelector(".quick-replies")?.remove();
+    appendMessage("user", text);
+    let replyEl = null;
+
+    // Disable UI while request is in flight
+    inputEl.value = "";
+    inputEl.disabled = true;
+    formEl.querySelector("button").disabled = true;
+
+    try {
+      const postMessage = () =>
+        apiFetch("/api/chat", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "text/event-stream",
+          },
+          body: JSON.stringify({
+            message: text,
+            widgetId,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          }),
+        });
+
+      let res = await postMessage();
+      // The widget token expired (or the visitor's address changed): get a
+      // new one and try once more
+      if (res.status === 403 && (await refreshWidgetToken())) {
+        res = await postMessage();
+      }
+
+      if (!res.ok) {
+        const errText = await res.text();
+        console.error("Chat error:", errText);
+        appendMessage("assistant", rejectionMessage(errText));
+        return;
+      }
+
+      // Render the reply as it streams in
+      replyEl = appendMessage("assistant", "…");
+      let partialReply = "";
+
+      await readEventStream(res, (event, data) => {
+        if (event === "delta") {
+          partialReply += data.content;
+          updateMessage(replyEl, partialReply);
+        } else if (event === "tool") {
+          // The model decided to call a tool mid-stream
+          showStatus("Working on it...");
+        } else if (event === "done") {
+          hideStatus();
+          updateMessage(replyEl, data.reply || "[No reply]");
+
+          // A booking waiting for the customer to check it
+          if (data.pendingBooking) {
+            showConfirmationCard(data.pendingBooking);
+          }
+
+          // Only show status UI when a tool call was submitted (Block job started)
+          if (data.statusRequestId) {
+            connectToStatusStream(data.statusRequestId, data.statusMessage);
+          }
+        } else if (event === "error") {
+          console.error("Chat error:", data.error);
+          hideStatus();
+          updateMessage(replyEl, "Sorry, something went wrong talking to the server.");
+        }
+      });
+    } catch (e) {
+      console.error(e);
+      const networkError = "Network error – please try again in a moment.";
+      if (replyEl) {
+        updateMessage(replyEl, networkError);
+      } else {
+        appendMessage("assistant", networkError);
+      }
+    } finally {
+      inputEl.disabled = false;
+      formEl.querySelector("button").disabled = false;
+      inputEl.focus();
+    }
+  }
+
+  // Rate limits, an over-long message and the like come with a message
+  // meant for the visitor (and a code); anything else gets a generic apology
+  function rejectionMessage(errText) {
+    try {
+      const data = JSON.parse(errText);
+      if (data.code && data.error) {
+        return data.error;
+      }
+    } catch (e) {
+      // Not JSON, e.g. a proxy's error page
+    }
+    return "Sorry, something went wrong talking to the server.";
+  }
+
+  // Resolves with whether the server handed out a new token
+  async function refreshWidgetToken() {
+    try {
+      const res = await apiFetch(`/api/session${widgetQuery}`);
+      const data = res.ok ? await res.json() : {};
+      widgetToken = data.widgetToken || null;
+    } catch (e) {
+      console.error("[session] Failed to refresh widget token:", e);
+      widgetToken = null;
+    }
+    return Boolean(widgetToken);
+  }
+
+  async function restoreSession() {
+    let history = [];
+    let pendingBooking = null;
+    let runningJobs = [];
+    let services = [];
+    try {
+      const res = await apiFetch(`/api/session${widgetQuery}`);
+      if (res.ok) {
+        const data = await res.json();
+        widgetToken = data.widgetToken || null;
+        history = data.history || [];
+        pendingBooking = data.pendingBooking || null;
+        runningJobs = data.runningJobs || [];
+        services = data.services || [];
+        if (data.businessName && headerTitleEl) {
+          headerTitleEl.textContent = data.businessName;
+        }
+      }
+    } catch (e) {
+      console.error("[session] Failed to restore conversation:", e);
+    }
+
+    // Optional: greet user
+    appendMessage("assistant", greeting);
+
+    history.forEach((msg) => appendMessage(msg.role, msg.content));
+    if (history.length === 0 && services.length > 0) {
+      showQuickReplies(services);
+    }
+    if (pendingBooking) {
+      showConfirmationCard(pendingBooking);
+    }
+    // A job started before the reload is still going: follow it again, and
+    // its reply replaces the placeholder restored with the history
+    runningJobs.forEach((job) => connectToStatusStream(job.requestId, job.statusMessage));
+  }
+
+  formEl.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const text = inputEl.value.trim();
+    if (!text) return;
+    sendMessage(text);
+  });
+
+  restoreSession();
+}
@@ -0,0 +1,80 @@
+// public/widget.js
+
+// Embeddable chat widget. Drop this on any site:
+//
+//   <script
+//     type="module"
+//     src="https://your-chat-server.example/widget.js"
+//     data-widget-id="salon-sf"
+//     data-color="#2563eb"
+//     data-greeting="Hi! Want to book a haircut?"
+//     data-position="bottom-right"
+//   ></script>
+//
+// It adds a floating launcher button that opens the chat panel. Everything
+// renders inside a shadow DOM, so the host site's CSS can't leak in (or
+// ours out). The host site's origin must be in the tenant's allowedOrigins
+// (or CORS_ALLOWED_ORIGINS) on the chat server.
+
+import { mountChat } from "./chat.js";
+
+const apiBase = new URL(import.meta.url).origin;
+
+// Module scripts have no document.currentScript, so find our tag by URL
+const scriptEl = [...document.querySelectorAll("script[src]")].find(
+  (script) => script.src === import.meta.url
+);
+const config = scriptEl ? scriptEl.dataset : {};
+
+const position = config.position === "bottom-left" ? "bottom-left" : "bottom-right";
+
+const host = document.createElement("div");
+host.id = "block-chat-widget";
+if (config.color) {
+  host.style.setProperty("--chat-accent", config.color);
+}
+document.body.appendChild(host);
+
+const shadow = host.attachShadow({ mode: "open" });
+shadow.innerHTML = `
+  <link rel="stylesheet" href="${apiBase}/styles.css" />
+  <link rel="stylesheet" href="${apiBase}/widget.css" />
+  <div class="widget ${position}">
+    <div class="chat-container widget-panel" hidden>
+      <header class="chat-header">
+        <h1>Book with Block</h1>
+        <p>Ask me to book an appointment 📅</p>
+      </header>
+      <main id="chat" class="chat-messages"></main>
+      <form id="chat-form" class="chat-input">
+        <input type="text" id="chat-input" placeholder="Type a message..." autocomplete="off" />
+        <button type="submit">Send</button>
+      </form>
+    </div>
+    <button type="button" class="widget-launcher" aria-label="Open chat" aria-expanded="false">💬</button>
+  </div>
+`;
+
+const panelEl = shadow.querySelector(".widget-panel");
+const launcherEl = shadow.querySelector(".widget-launcher");
+
+launcherEl.addEventListener("click", () => {
+  panelEl.hidden = !panelEl.hidden;
+  launcherEl.setAttribute("aria-expanded", String(!panelEl.hidden));
+  launcherEl.setAttribute("aria-label", panelEl.hidden ? "Open chat" : "Close chat");
+  launcherEl.textContent = panelEl.hidden ? "💬" : "✕";
+  if (!panelEl.hidden) {
+    shadow.querySelector("#chat-input").focus();
+  }
+});
+
+const widgetId = config.widgetId || null;
+
+mountChat({
+  root: shadow,
+  apiBase,
+  widgetId,
+  ...(config.greeting && { greeting: config.greeting }),
+  // Third-party cookies are often blocked, so keep the session id ourselves
+  sessionKey: `block-chat-session:${widgetId || "default"}`,
+});
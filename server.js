@@ -3,32 +3,232 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import OpenAI from "openai";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { createSessionStore, updateSession } from "./lib/session-store.js";
+import { loadTenantRegistry } from "./lib/tenants.js";
+import { BlockApiError, ToolArgumentError } from "./lib/errors.js";
+import { createBlockClientFromEnv } from "./lib/block-client.js";
+import { createLlm } from "./lib/llm/index.js";
+import { parseToolArguments, validateToolArguments } from "./lib/tool-args.js";
+import { normalizePhone } from "./lib/phone.js";
+import { normalizeEmail } from "./lib/email.js";
+import { normalizeCustomerName, splitName } from "./lib/names.js";
+import { createCatalog, resolveProvider, resolveService } from "./lib/catalog.js";
+import { createStatusChannels } from "./lib/status-channels.js";
+import { createJobStore } from "./lib/job-store.js";
+import { createCustomerStore } from "./lib/customer-store.js";
+import { updateRecord } from "./lib/record-store.js";
+import {
+  customerId,
+  customerLookupResult,
+  findAppointment,
+  fromBlockCustomer,
+  recordBooking,
+  recordCancellation,
+  recordReschedule,
+} from "./lib/customers.js";
+import { bookingMessages, createNotificationTransports, verificationMessages } from "./lib/notifications.js";
+import { appointmentEvent, googleCalendarUrl, ICS_CONTENT_TYPE, outlookCalendarUrl, toIcs } from "./lib/calendar.js";
+import { createReminderStore, reminderId } from "./lib/reminder-store.js";
+import { addLogContext, getLogContext, logger, withLogContext } from "./lib/logger.js";
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createAppMetrics } from "./lib/metrics.js";
+import { createRateLimiter } from "./lib/rate-limit.js";
+import { createWidgetToken, verifyWidgetToken } from "./lib/widget-token.js";
+import {
+  filterConversations,
+  filterJobs,
+  groupJobsBySession,
+  jobDetails,
+  parseAdminFilters,
+  summarizeConversation,
+  summarizeJob,
+} from "./lib/admin.js";
+import {
+  formatInTimeZone,
+  isValidTimeZone,
+  normalizeDate,
+  normalizeStartTime,
+} from "./lib/datetime.js";
 
 dotenv.config();
 
 const app = express();
 
-app.use(cors());
-app.use(express.json());
+// Behind a load balancer or reverse proxy, TRUST_PROXY makes req.ip the
+// visitor's address (from X-Forwarded-For) rather than the proxy's, so rate
+// limits apply per visitor. "true", a hop count, or addresses/subnets.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Businesses served by this process (keyed by widget id)
+const tenants = loadTenantRegistry();
+
+// Origins allowed to call the API cross-origin (the embeddable widget):
+// CORS_ALLOWED_ORIGINS plus every tenant's allowedOrigins
+const allowedOrigins = new Set([
+  ...(process.env.CORS_ALLOWED_ORIGINS || "").split(",").map((origin) => origin.trim()).filter(Boolean),
+  ...tenants.all().flatMap((tenant) => tenant.allowedOrigins),
+]);
+
+// Same-origin requests (the demo page) are always fine; anything else must
+// be on the allowlist. Credentials are allowed so the session cookie works
+// where browsers still send it.
+function corsOptionsFor(req, callback) {
+  const origin = req.get("Origin");
+  const sameOrigin = origin === `${req.protocol}://${req.get("host")}`;
+
+  callback(null, {
+    origin: !origin || sameOrigin || allowedOrigins.has(origin),
+    credentials: true,
+    exposedHeaders: ["X-Session-Id", "X-Request-Id"],
+  });
+}
+
+app.use(cors(corsOptionsFor));
+app.use(
+  express.json({
+    // Keep the raw body around so webhook signatures can be verified
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.static("public"));
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Every request gets a correlation id (the caller's X-Request-Id, if it
+// sends a sensible one), which is on every log line for the request and
+// anything it starts, and is sent back in X-Request-Id
+const CORRELATION_ID_PATTERN = /^[\w-]{8,64}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", correlationId);
+  withLogContext({ correlationId }, next);
 });
 
+// Carry on an earlier request's correlation id, e.g. a chat's into the
+// status stream of the job it started
+function continueCorrelation(res, correlationId) {
+  if (correlationId) {
+    addLogContext({ correlationId });
+    res.set("X-Request-Id", correlationId);
+  }
+}
+
+// Booking funnel and latency metrics, served on /metrics
+const metrics = createAppMetrics();
+
+// The LLM behind the assistant (OpenAI, Anthropic or a local model), with
+// every call timed for /metrics
+const llm = timeLlmCalls(createLlm(), process.env.LLM_PROVIDER || "openai");
+
+function timeLlmCalls(adapter, provider) {
+  return {
+    ...adapter,
+    async chat(...args) {
+      const end = metrics.llmDuration.startTimer({ provider });
+      try {
+        const message = await adapter.chat(...args);
+        end({ outcome: "ok" });
+        return message;
+      } catch (error) {
+        end({ outcome: "error" });
+        throw error;
+      }
+    },
+  };
+}
+
+// Block API client (retries, timeouts and circuit breaker; see BLOCK_* in .env.example)
+const blockClient = createBlockClientFromEnv();
+
 const PORT = process.env.PORT || 3000;
 
-// Store active status update streams (keyed by request ID)
-const statusStreams = new Map();
-// Store queued status messages (keyed by request ID)
-const statusQueues = new Map();
+// Status event logs for running Block jobs (keyed by request ID)
+const statusChannels = createStatusChannels();
+// Comment line sent on idle status streams so proxies don't drop them
+const HEARTBEAT_INTERVAL = 15000; // 15 seconds
+// Jobs waiting on Block webhook updates (keyed by Block jobId)
+const jobWebhookWaiters = new Map();
+
+// Conversation sessions (keyed by the session id cookie)
+const sessionStore = createSessionStore();
+const SESSION_COOKIE = "webchat_sid";
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Persisted Block tool jobs, so a restart doesn't lose a booking in flight
+const jobStore = createJobStore();
+const REQUEST_ID_PATTERN = /^req_[\w-]+$/;
+const JOB_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Returning customers, remembered from the bookings made here (find_customer)
+const customerStore = createCustomerStore();
+
+// Booking confirmations and reminders for the customer; a channel without
+// a transport (NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT) is off
+const notificationTransports = createNotificationTransports();
+// Returning customers are only looked up when they can be sent a
+// verification code, on either channel (see lookUpCustomer)
+const CUSTOMER_LOOKUP_ENABLED = Boolean(notificationTransports.email || notificationTransports.sms);
+const reminderStore = createReminderStore();
+
+// Jobs by dedupe key (session + tool + normalized args), so asking for the
+// same booking again returns the existing one instead of booking twice
+const recentJobs = new Map();
+const DUPLICATE_WINDOW = 60 * 60 * 1000; // 1 hour
+
+// How long a booking summary waits for the customer to press Confirm
+const PENDING_BOOKING_TTL = Number(process.env.PENDING_BOOKING_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+
+// Abuse protection for /api/chat, where every message costs an LLM call.
+// Limits from CHAT_* / MAX_BOOKINGS_PER_SESSION; 0 turns one off.
+const numberFromEnv = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+const RATE_LIMIT_WINDOW = numberFromEnv("CHAT_RATE_LIMIT_WINDOW_MS", 60 * 1000); // 1 minute
+const chatLimiters = {
+  ip: createRateLimiter({ limit: numberFromEnv("CHAT_RATE_LIMIT_PER_IP", 30), windowMs: RATE_LIMIT_WINDOW }),
+  session: createRateLimiter({ limit: numberFromEnv("CHAT_RATE_LIMIT_PER_SESSION", 10), windowMs: RATE_LIMIT_WINDOW }),
+};
+const MAX_MESSAGE_LENGTH = numberFromEnv("CHAT_MAX_MESSAGE_LENGTH", 2000); // characters
+// Only the latest messages of a long conversation go to the model
+const MAX_HISTORY_MESSAGES = numberFromEnv("CHAT_MAX_HISTORY_MESSAGES", 40);
+const MAX_BOOKINGS_PER_SESSION = numberFromEnv("MAX_BOOKINGS_PER_SESSION", 3);
+// Model calls per chat message, tool calls included; the last must answer
+const MAX_AGENT_STEPS = numberFromEnv("CHAT_MAX_AGENT_STEPS", 5);
+// Customer lookups per visitor IP address and per phone number or email, so
+// the chat can't be used to go through a list of them or to flood someone
+// with verification codes
+const CUSTOMER_LOOKUP_WINDOW = numberFromEnv("CUSTOMER_LOOKUP_WINDOW_MS", 60 * 60 * 1000); // 1 hour
+const customerLookupLimiters = {
+  ip: createRateLimiter({ limit: numberFromEnv("CUSTOMER_LOOKUPS_PER_IP", 10), windowMs: CUSTOMER_LOOKUP_WINDOW }),
+  contact: createRateLimiter({
+    limit: numberFromEnv("CUSTOMER_LOOKUPS_PER_CONTACT", 3),
+    windowMs: CUSTOMER_LOOKUP_WINDOW,
+  }),
+};
+// How long a returning customer's verification code lasts, and how many
+// wrong tries it takes
+const CUSTOMER_VERIFICATION_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_VERIFICATION_ATTEMPTS = 5;
+// How long before an appointment its reminder goes out; 0 turns them off
+const REMINDER_LEAD = numberFromEnv("REMINDER_LEAD_MS", 24 * 60 * 60 * 1000); // 1 day
+const REMINDER_CHECK_INTERVAL = 60 * 1000; // 1 minute
+// Optional bot challenge: the widget must send a token from /api/session
+const WIDGET_TOKEN_SECRET = process.env.WIDGET_TOKEN_SECRET || null;
+const WIDGET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
 
 // --- System prompt for the assistant ---
 
-function getSystemPrompt() {
+function getSystemPrompt(tenant, visitorTimeZone = null, catalog = createCatalog(tenant)) {
   const now = new Date();
-  const dayOfWeek = now.toLocaleDateString("en-US", { weekday: "long" });
+  // "Now" is shown in the business's timezone, not the server's
+  const timeZone = tenant.timezone;
+  const dayOfWeek = now.toLocaleDateString("en-US", { weekday: "long", timeZone });
   const dateTime = now.toLocaleString("en-US", {
     year: "numeric",
     month: "long",
@@ -36,35 +236,124 @@ function getSystemPrompt() {
     hour: "numeric",
     minute: "2-digit",
     timeZoneName: "short",
+    timeZone,
   });
 
-  const defaultProvider = process.env.DEFAULT_PROVIDER_NAME || "";
+  const business = tenant.businessName
+    ? `${tenant.businessName}, ${tenant.businessDescription}`
+    : tenant.businessDescription;
+
+  const services = catalog.services.length > 0
+    ? `Services offered:\n${catalog.services.map(formatService).join("\n")}\n`
+    : "";
+
+  const providers = catalog.providers.length > 0
+    ? `Providers:\n${catalog.providers.map(formatProvider).join("\n")}\n`
+    : "";
+
+  const catalogNote = services || providers
+    ? "Only book services and providers from these lists. If the customer asks for something else, tell them what is offered.\n"
+    : "";
+
+  const lookupStep = CUSTOMER_LOOKUP_ENABLED
+    ? `- Ask for the phone number (or email) first and call "find_customer" with it. If they've booked before, it sends them a verification code: greet them by first name and ask for the code, then call "verify_customer" with it. Once verified, don't ask again for what's on file, mention any upcoming appointments and offer their usual service and provider (e.g. "Welcome back, Jane! Same stylist as last time?"). If they can't verify, or weren't found, collect their details as usual.\n`
+    : "";
+
+  const changeStep = CUSTOMER_LOOKUP_ENABLED
+    ? `- To reschedule or cancel, use the booking ID from earlier in the conversation (a booking made here, or one from "verify_customer"). If there isn't one, look the customer up with "find_customer" and verify them first; only appointments booked or verified in this conversation can be changed.`
+    : "- To reschedule or cancel, use the booking ID of a booking made earlier in this conversation. Appointments booked elsewhere can't be changed here: ask the customer to contact the business directly.";
+
+  const visitorZoneNote = visitorTimeZone && visitorTimeZone !== timeZone
+    ? `The customer's timezone is ${visitorTimeZone}, which differs from the business's. When confirming an appointment, show the time in both timezones (business time first).\n`
+    : "";
 
   return `
 
 You are an AI assistant embedded in a website chat widget.
 
-You help users book appointments for a hair salon in California.
+You help users book, reschedule, and cancel appointments for ${business}.
 
-Current date and time: ${dateTime} (${dayOfWeek})
+Current date and time at the business: ${dateTime} (${dayOfWeek})
 
-If customer does not specify a provider, use the default provider "${defaultProvider}".
+The business's timezone is ${timeZone}. Unless the customer says otherwise, times they mention are local time at the business. Pass times to tools as local time at the business without a UTC offset, e.g. 2025-11-20T10:00:00.
+${visitorZoneNote}
+If customer does not specify a provider, use the default provider "${tenant.defaultProvider}".
 
+${services}${providers}${catalogNote}
 You MUST:
 
 - Ask clarifying questions to collect: name, phone, service, and desired date/time.
-- Once you have enough information, call the "book_appointment" tool.
-- After booking, clearly confirm the date/time and any confirmation details.
+- Offer to email the confirmation too. If the customer gives an email address, pass it as customer_email; don't insist if they'd rather not.
+${lookupStep}- Before booking, call the "get_availability" tool for the requested service and date(s) and offer the customer specific open times. Do not book a time that was not returned as available.
+- Once the customer picks an available time and you have their name, phone, service and time, call the "book_appointment" tool. This doesn't book yet: the customer is shown a summary with Confirm and Edit buttons, and the booking is only made when they press Confirm. Don't ask them to confirm in text first.
+- If the customer wants to change something on that summary, call "book_appointment" again with the corrected details.
+- After booking, clearly confirm the date/time and any confirmation details, including the booking ID.
+${changeStep}
+- Before calling "reschedule_appointment" or "cancel_appointment", summarize exactly what will change and wait for the customer to explicitly confirm. Never reschedule or cancel without that confirmation.
+- For a reschedule, check availability for the new time first, just like a new booking.
 - If the phone number can be formatted properly, do it for the customer. If ambigous, ask the customer to clarify.
 
 If the user asks questions unrelated to booking, answer them briefly and politely.
 
+${tenant.instructions}
 `;
 }
 
+function formatService(service) {
+  const details = [
+    service.durationMinutes && `${service.durationMinutes} min`,
+    service.price,
+  ].filter(Boolean);
+  return `- ${service.name}${details.length > 0 ? ` (${details.join(", ")})` : ""}`;
+}
+
+function formatProvider(provider) {
+  return `- ${provider.name}${provider.services ? ` (${provider.services.join(", ")})` : ""}`;
+}
+
 // --- Tool definition: what the LLM "sees" ---
 
 const TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "find_customer",
+      description:
+        "Look up a returning customer by the phone number or email they give you, before asking for the rest of their details. When they've booked before, returns only their first name and sends them a verification code; pass the code they read back to verify_customer to get the rest.",
+      parameters: {
+        type: "object",
+        properties: {
+          customer_phone: {
+            type: "string",
+            description: "Phone number the customer gave.",
+          },
+          customer_email: {
+            type: "string",
+            description: "Email address the customer gave.",
+          },
+        },
+        required: [],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "verify_customer",
+      description:
+        "Check the verification code find_customer sent the customer. Returns their name, usual service and provider, and upcoming appointments with booking IDs once it matches.",
+      parameters: {
+        type: "object",
+        properties: {
+          code: {
+            type: "string",
+            description: "The 6-digit code the customer received.",
+          },
+        },
+        required: ["code"],
+      },
+    },
+  },
   {
     type: "function",
     function: {
@@ -76,7 +365,7 @@ const TOOLS = [
         properties: {
           provider_name: {
             type: "string",
-            description: "Name of the provider booking the appointment.",
+            description: "Name of the provider booking the appointment. Omit to use the default provider.",
           },
           customer_name: {
             type: "string",
@@ -87,6 +376,10 @@ const TOOLS = [
             description:
               "Customer phone number in a format usable by the business, e.g. +1-555-555-5555.",
           },
+          customer_email: {
+            type: "string",
+            description: "Optional email address the confirmation should also go to.",
+          },
           service_name: {
             type: "string",
             description: "The service being booked, e.g. 'haircut', 'AC repair'.",
@@ -94,7 +387,7 @@ const TOOLS = [
           start_time: {
             type: "string",
             description:
-              "Requested appointment start time in ISO 8601 format, e.g. 2025-11-20T10:00:00-08:00.",
+              "Requested appointment start time as local time at the business, in ISO 8601 without a UTC offset, e.g. 2025-11-20T10:00:00.",
           },
           notes: {
             type: "string",
@@ -102,487 +395,2722 @@ const TOOLS = [
               "Optional free-text notes to send to the business (pet name, special instructions, etc.).",
           },
         },
-        required: ["customer_name", "customer_phone", "service_name", "start_time", "provider_name"],
+        required: ["customer_name", "customer_phone", "service_name", "start_time"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "get_availability",
+      description:
+        "Look up open appointment slots via the Block API. Use this before booking so you can offer the customer concrete times.",
+      parameters: {
+        type: "object",
+        properties: {
+          service_name: {
+            type: "string",
+            description: "The service the customer wants, e.g. 'haircut'.",
+          },
+          provider_name: {
+            type: "string",
+            description: "Name of the provider to check. Omit to use the default provider.",
+          },
+          start_date: {
+            type: "string",
+            description: "First date to search in ISO 8601 format, e.g. 2025-11-20.",
+          },
+          end_date: {
+            type: "string",
+            description:
+              "Last date to search in ISO 8601 format. Omit to search only start_date.",
+          },
+        },
+        required: ["service_name", "start_date"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "reschedule_appointment",
+      description:
+        "Move an existing appointment to a new time via the Block API. Only call this after the customer has confirmed the change.",
+      parameters: {
+        type: "object",
+        properties: {
+          booking_id: {
+            type: "string",
+            description:
+              "Booking ID from a booking made in this conversation or returned by verify_customer, if known.",
+          },
+          customer_phone: {
+            type: "string",
+            description:
+              "Phone number the appointment was booked with, when booking_id is unknown. Only a phone number booked with or verified in this conversation is accepted.",
+          },
+          current_start_time: {
+            type: "string",
+            description:
+              "Start time of the existing appointment as local time at the business (ISO 8601, no UTC offset). Used with customer_phone when booking_id is unknown.",
+          },
+          new_start_time: {
+            type: "string",
+            description:
+              "New appointment start time as local time at the business, in ISO 8601 without a UTC offset, e.g. 2025-11-21T10:00:00.",
+          },
+        },
+        required: ["new_start_time"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "cancel_appointment",
+      description:
+        "Cancel an existing appointment via the Block API. Only call this after the customer has confirmed the cancellation.",
+      parameters: {
+        type: "object",
+        properties: {
+          booking_id: {
+            type: "string",
+            description:
+              "Booking ID from a booking made in this conversation or returned by verify_customer, if known.",
+          },
+          customer_phone: {
+            type: "string",
+            description:
+              "Phone number the appointment was booked with, when booking_id is unknown. Only a phone number booked with or verified in this conversation is accepted.",
+          },
+          current_start_time: {
+            type: "string",
+            description:
+              "Start time of the appointment as local time at the business (ISO 8601, no UTC offset). Used with customer_phone when booking_id is unknown.",
+          },
+          reason: {
+            type: "string",
+            description: "Optional reason for cancelling, passed on to the business.",
+          },
+        },
+        required: [],
       },
     },
   },
 ];
 
-// --- Helper: call Block API to book the appointment ---
-
-async function bookAppointmentViaBlock(args, onStatusUpdate = null) {
-  const baseUrl = process.env.BLOCK_API_BASE_URL;
-  const apiKey = process.env.BLOCK_API_KEY;
-  const connectionId = process.env.CONNECTION_ID;
-
-  if (!baseUrl || !apiKey || !connectionId) {
-    throw new Error(
-      "BLOCK_API_BASE_URL, BLOCK_API_KEY, or CONNECTION_ID is not configured"
-    );
+// Each tool's parameter schema, for checking the model's arguments
+const TOOL_PARAMETERS = Object.fromEntries(TOOLS.map((tool) => [tool.function.name, tool.function.parameters]));
+
+// Whether the model is offered the tool: the customer lookup tools need a
+// notification transport to send their codes
+const isToolOffered = (name) => CUSTOMER_LOOKUP_ENABLED || !INLINE_TOOL_HANDLERS[name]?.needsNotifications;
+
+// TOOLS as offered to the model for one business: service and provider
+// names are limited to its catalog. (The server still matches loose
+// wording to the catalog itself, see the prepare helpers.)
+function toolsFor(catalog) {
+  const tools = structuredClone(TOOLS).filter((tool) => isToolOffered(tool.function.name));
+  const serviceNames = catalog.services.map((service) => service.name);
+  const providerNames = catalog.providers.map((provider) => provider.name);
+
+  for (const { function: fn } of tools) {
+    const { service_name: service, provider_name: provider } = fn.parameters.properties;
+    if (service && serviceNames.length > 0) {
+      service.enum = serviceNames;
+    }
+    if (provider && providerNames.length > 0) {
+      provider.enum = providerNames;
+    }
   }
+  return tools;
+}
 
-  // Split customer name into first and last name
-  const nameParts = args.customer_name.trim().split(/\s+/);
-  const firstName = nameParts[0] || "";
-  const lastName = nameParts.slice(1).join(" ") || "";
+// --- Helper: the service/provider catalog for a tenant ---
 
-  // Use default provider if not specified
-  const providerName = args.provider_name?.trim() || process.env.DEFAULT_PROVIDER_NAME || "";
-
-  // Prepare Block API request payload
-  const blockPayload = {
-    action: "BookAppointment",
-    connectionId: connectionId,
-    payload: {
-      datetime: args.start_time,
-      provider: providerName,
-      service: args.service_name,
-      customer: {
-        firstName: firstName,
-        lastName: lastName,
-        phone: args.customer_phone,
-      },
-    },
-  };
+// From the tenant config, or (catalogSource "block") from a GetCatalog
+// action on its Block connection, cached for CATALOG_TTL. If loading from
+// Block fails, the config catalog is used and the load retried a few
+// minutes later.
+const catalogs = new Map();
+const CATALOG_TTL = 60 * 60 * 1000; // 1 hour
+const CATALOG_RETRY = 5 * 60 * 1000; // 5 minutes
 
-  // Add optional note if provided
-  if (args.notes) {
-    blockPayload.payload.note = args.notes;
+function catalogFor(tenant) {
+  const log = logger.child({ component: "catalogFor" });
+  if (tenant.catalogSource !== "block") {
+    return Promise.resolve(createCatalog(tenant));
   }
 
-  // Step 1: Submit the action to Block API
-  const actionsUrl = `${baseUrl}/v1/actions`;
-  console.log("[bookAppointmentViaBlock] Submitting action to:", actionsUrl);
-  console.log("[bookAppointmentViaBlock] Payload:", JSON.stringify(blockPayload, null, 2));
-
-  let actionsRes;
-  try {
-    actionsRes = await fetch(actionsUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(blockPayload),
-    });
-  } catch (fetchError) {
-    console.error("[bookAppointmentViaBlock] Fetch error:", fetchError);
-    throw new Error(`Failed to connect to Block API: ${fetchError.message}`);
+  const cached = catalogs.get(tenant.id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.catalog;
   }
 
-  if (!actionsRes.ok) {
-    const text = await actionsRes.text();
-    console.error("[bookAppointmentViaBlock] Block API error response:", {
-      status: actionsRes.status,
-      statusText: actionsRes.statusText,
-      body: text,
+  const catalog = runBlockAction(tenant, "GetCatalog", {})
+    .then(({ jobData }) => {
+      const loaded = createCatalog(jobData.result || {});
+      log.info("Loaded catalog from Block", {
+        tenantId: tenant.id,
+        services: loaded.services.length,
+        providers: loaded.providers.length,
+      });
+      return loaded;
+    })
+    .catch((error) => {
+      log.error("Failed to load catalog from Block, using the config catalog", { tenantId: tenant.id, error });
+      catalogs.set(tenant.id, { catalog, expiresAt: Date.now() + CATALOG_RETRY });
+      return createCatalog(tenant);
     });
-    throw new Error(
-      `Block API error (${actionsRes.status}): ${text || actionsRes.statusText}`
-    );
-  }
+  catalogs.set(tenant.id, { catalog, expiresAt: Date.now() + CATALOG_TTL });
+  return catalog;
+}
 
-  let actionsData;
-  try {
-    actionsData = await actionsRes.json();
-    console.log("[bookAppointmentViaBlock] Action submitted, response:", JSON.stringify(actionsData, null, 2));
-  } catch (parseError) {
-    console.error("[bookAppointmentViaBlock] Failed to parse response:", parseError);
-    const text = await actionsRes.text();
-    console.error("[bookAppointmentViaBlock] Raw response:", text);
-    throw new Error(`Failed to parse Block API response: ${parseError.message}`);
-  }
+// --- Helper: submit a Block action and poll until the job finishes ---
 
-  const jobId = actionsData.jobId;
+// blockJob.jobId resumes waiting on a job that was already submitted (e.g.
+// before a restart) instead of submitting a new one; otherwise
+// blockJob.onSubmitted(jobId) is awaited as soon as Block accepts the action.
+// blockJob.idempotencyKey is passed on to Block with the submit, which also
+// lets the client retry it safely.
+async function runBlockAction(tenant, action, payload, onStatusUpdate = null, blockJob = {}) {
+  const log = logger.child({ component: "runBlockAction" });
+  const apiKey = tenant.blockApiKey || process.env.BLOCK_API_KEY;
+  const connectionId = tenant.connectionId;
 
-  if (!jobId) {
-    console.error("[bookAppointmentViaBlock] No jobId in response:", actionsData);
-    throw new Error("Block API did not return a jobId");
+  if (!blockClient.baseUrl || !apiKey || !connectionId) {
+    throw new Error(
+      `BLOCK_API_BASE_URL, BLOCK_API_KEY, or CONNECTION_ID is not configured (tenant "${tenant.id}")`
+    );
   }
 
-  console.log("[bookAppointmentViaBlock] Job created, jobId:", jobId);
+  // Step 1: Submit the action to Block API (unless resuming)
+  let jobId = blockJob.jobId;
+  if (jobId) {
+    log.info("Resuming Block job", { action, jobId });
+  } else {
+    log.info("Submitting action", { action, payload });
+    const endSubmit = metrics.blockSubmitDuration.startTimer({ action });
+    try {
+      jobId = await blockClient.submitAction({
+        apiKey,
+        connectionId,
+        action,
+        payload,
+        idempotencyKey: blockJob.idempotencyKey,
+      });
+      endSubmit({ outcome: "ok" });
+    } catch (error) {
+      endSubmit({ outcome: "error" });
+      throw error;
+    }
+    log.info("Job created", { action, jobId });
+    await blockJob.onSubmitted?.(jobId);
+  }
 
-  // Step 2: Poll for job completion
-  const jobsUrl = `${baseUrl}/v1/jobs/${jobId}`;
-  const maxAttempts = 60; // 60 attempts
-  const pollInterval = 2000; // 2 seconds between polls
-  const timeout = maxAttempts * pollInterval; // 2 minutes total
+  // Step 2: Wait for job completion. With webhooks configured, Block pushes
+  // job updates to /api/webhooks/block and polling only runs as a slow
+  // fallback in case a webhook never arrives.
+  const webhooksEnabled = Boolean(process.env.BLOCK_WEBHOOK_SECRET);
+  const pollInterval = blockClient.pollInterval;
+  const timeout = blockClient.jobTimeout;
 
   const startTime = Date.now();
+  const endJob = metrics.blockJobDuration.startTimer({ action });
   let attemptCount = 0;
   let lastProcessedTimestamp = null; // Track last processed event timestamp
+  let lastStatus = null; // Track job state changes to report
+  let jobData = null; // Latest job state, from a webhook or a poll
 
-  console.log("[bookAppointmentViaBlock] Starting to poll for job completion...");
+  const webhookWatcher = webhooksEnabled ? watchJobWebhooks(jobId) : null;
+  const recordJobMetrics = (outcome) => {
+    endJob({ outcome });
+    metrics.blockJobPolls.observe({ action, outcome }, attemptCount);
+  };
 
-  while (Date.now() - startTime < timeout) {
-    attemptCount++;
-    console.log(`[bookAppointmentViaBlock] Polling attempt ${attemptCount}, jobId: ${jobId}`);
+  log.debug("Waiting for job completion", { jobId, via: webhooksEnabled ? "webhooks + fallback polling" : "polling" });
 
-    let jobRes;
-    try {
-      jobRes = await fetch(jobsUrl, {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-      });
-    } catch (fetchError) {
-      console.error("[bookAppointmentViaBlock] Poll fetch error:", fetchError);
-      throw new Error(`Failed to poll job status: ${fetchError.message}`);
-    }
+  try {
+    while (Date.now() - startTime < timeout) {
+      if (!jobData) {
+        log.debug("Polling job", { jobId, attempt: ++attemptCount });
+        jobData = await blockClient.getJob({ apiKey, jobId });
+      }
 
-    if (!jobRes.ok) {
-      const text = await jobRes.text();
-      console.error("[bookAppointmentViaBlock] Job polling error response:", {
-        status: jobRes.status,
-        statusText: jobRes.statusText,
-        body: text,
-      });
-      throw new Error(
-        `Block API job polling error (${jobRes.status}): ${text || jobRes.statusText}`
-      );
-    }
+      const status = jobData.status;
+      log.debug("Job status", { jobId, status, job: jobData });
 
-    let jobData;
-    try {
-      jobData = await jobRes.json();
-    } catch (parseError) {
-      console.error("[bookAppointmentViaBlock] Failed to parse job response:", parseError);
-      const text = await jobRes.text();
-      console.error("[bookAppointmentViaBlock] Raw job response:", text);
-      throw new Error(`Failed to parse job status response: ${parseError.message}`);
-    }
-
-    const status = jobData.status;
-    console.log(`[bookAppointmentViaBlock] Job status: ${status}`, JSON.stringify(jobData, null, 2));
-
-    // Extract and send new messages from recentEvents
-    if (onStatusUpdate && jobData.recentEvents && jobData.recentEvents.length > 0) {
-      // recentEvents are in chronological order (oldest first)
-      for (const event of jobData.recentEvents) {
-        const eventTimestamp = event.created_at;
-
-        // Only process events we haven't seen yet
-        if (eventTimestamp && (!lastProcessedTimestamp || eventTimestamp > lastProcessedTimestamp)) {
-          if (event.message) {
-            console.log(`[bookAppointmentViaBlock] Sending status update: ${event.message}`);
-            onStatusUpdate(event.message);
+      // Report the job moving from queued to in_progress (the end states are
+      // reported by the caller, once it has shaped the result)
+      if (onStatusUpdate && status !== lastStatus && status !== "success" && status !== "error") {
+        onStatusUpdate("status", { state: status });
+      }
+      lastStatus = status;
+
+      // Extract and send new messages from recentEvents
+      if (onStatusUpdate && jobData.recentEvents && jobData.recentEvents.length > 0) {
+        // recentEvents are in chronological order (oldest first)
+        for (const event of jobData.recentEvents) {
+          const eventTimestamp = event.created_at;
+
+          // Only process events we haven't seen yet
+          if (eventTimestamp && (!lastProcessedTimestamp || eventTimestamp > lastProcessedTimestamp)) {
+            if (event.message) {
+              log.debug("Progress update", { jobId, message: event.message });
+              onStatusUpdate("progress", { message: event.message, at: eventTimestamp });
+            }
+            // Update last processed timestamp (even if no message, to avoid reprocessing)
+            lastProcessedTimestamp = eventTimestamp;
           }
-          // Update last processed timestamp (even if no message, to avoid reprocessing)
-          lastProcessedTimestamp = eventTimestamp;
         }
       }
-    }
-
-    if (status === "success") {
-      // Job completed successfully
-      const result = jobData.result || {};
-      console.log("[bookAppointmentViaBlock] Booking successful!", JSON.stringify(result, null, 2));
-
-      // Don't close stream here - let the async handler send the final formatted message
-      // The async function will handle closing the stream after sending the final message
 
-      return {
-        booking_id: result.appointmentId || jobId,
-        start_time: args.start_time,
-        service_name: args.service_name,
-        customer_name: args.customer_name,
-        status: "success",
-        raw: jobData,
-      };
-    } else if (status === "error") {
-      // Job failed
-      const errorMessage =
-        jobData.errorMessage || jobData.result?.error || "Unknown error";
-      console.error("[bookAppointmentViaBlock] Booking failed:", errorMessage, JSON.stringify(jobData, null, 2));
-
-      // Don't send error message here - let the async handler's catch block handle it
-      // This prevents duplicate error messages and stream closing issues
+      if (status === "success") {
+        // Job completed successfully - the caller shapes the result for the LLM.
+        // Don't close the stream here either; the async handler sends the final
+        // formatted message and closes it afterwards.
+        log.info("Action succeeded", { action, jobId, result: jobData.result || {} });
+        recordJobMetrics("success");
+        return { jobId, jobData };
+      } else if (status === "error") {
+        // Job failed
+        const errorMessage =
+          jobData.errorMessage || jobData.result?.error || "Unknown error";
+        log.error("Action failed", { action, jobId, errorMessage, job: jobData });
+        recordJobMetrics("error");
+
+        // Don't send error message here - let the async handler's catch block handle it
+        // This prevents duplicate error messages and stream closing issues
+
+        throw new BlockApiError(errorMessage, { kind: "job_failed" });
+      }
 
-      throw new Error(`Booking failed: ${errorMessage}`);
+      // Status is "queued" or "in_progress": wait for a webhook or the next poll
+      log.debug("Job still running, waiting for an update", { jobId, status, waitMs: pollInterval });
+      if (webhookWatcher) {
+        jobData = await webhookWatcher.next(pollInterval);
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, pollInterval));
+        jobData = null;
+      }
     }
-
-    // Status is "queued" or "in_progress", wait and poll again
-    console.log(`[bookAppointmentViaBlock] Job still ${status}, waiting ${pollInterval}ms before next poll...`);
-    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  } finally {
+    webhookWatcher?.stop();
   }
 
   // Timeout reached
-  const timeoutMessage = `Booking timed out after ${timeout / 1000} seconds`;
-  console.error(`[bookAppointmentViaBlock] ${timeoutMessage}. Job ID: ${jobId}`);
+  const timeoutMessage = `timed out after ${timeout / 1000} seconds`;
+  log.error("Action timed out", { action, jobId, timeoutMs: timeout });
+  recordJobMetrics("timeout");
 
   // Don't send error message here - let the async handler's catch block handle it
   // This prevents duplicate error messages and stream closing issues
 
-  throw new Error(timeoutMessage);
+  throw new BlockApiError(timeoutMessage, { kind: "timeout" });
 }
 
-// --- /api/status endpoint (SSE for job status updates) ---
+// --- Helper: receive job updates pushed by the Block webhook ---
+
+// Returns a watcher whose next(ms) resolves with the next job update
+// delivered to /api/webhooks/block, or null if none arrives within ms.
+// Updates that arrive while nobody is waiting are buffered, so a webhook
+// landing mid-poll isn't lost.
+function watchJobWebhooks(jobId) {
+  // The webhook request logs under the job's correlation id
+  const waiter = { updates: [], wake: null, logContext: getLogContext() };
+  jobWebhookWaiters.set(jobId, waiter);
+
+  return {
+    next(ms) {
+      if (waiter.updates.length > 0) {
+        return Promise.resolve(waiter.updates.shift());
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          waiter.wake = null;
+          resolve(null);
+        }, ms);
+        waiter.wake = () => {
+          clearTimeout(timer);
+          waiter.wake = null;
+          resolve(waiter.updates.shift());
+        };
+      });
+    },
+    stop() {
+      jobWebhookWaiters.delete(jobId);
+    },
+  };
+}
 
-app.get("/api/status/:requestId", (req, res) => {
-  const requestId = req.params.requestId;
+// --- Helper: verify the Block webhook signature ---
 
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.setHeader("Access-Control-Allow-Origin", "*");
+// Block signs the raw request body with HMAC-SHA256 using the webhook secret
+// and sends the hex digest in the X-Block-Signature header ("sha256=<hex>").
+function verifyBlockSignature(rawBody, signatureHeader, secret) {
+  if (!rawBody || !signatureHeader) {
+    return false;
+  }
 
-  let streamClosed = false;
-  const sendStatus = (message) => {
-    if (streamClosed) {
-      console.warn(`[api/status] Attempted to send message to closed stream: ${message}`);
-      return;
-    }
-    try {
-      if (message === null) {
-        // null signals completion - send close signal and end stream
-        res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-        res.end();
-        streamClosed = true;
-      } else {
-        res.write(`data: ${JSON.stringify({ message })}\n\n`);
-        // Flush to ensure message is sent immediately
-        if (res.flush) {
-          res.flush();
-        }
-      }
-    } catch (e) {
-      console.error(`[api/status] Error sending status: ${e.message}`);
-      streamClosed = true;
-    }
-  };
+  const received = signatureHeader.replace(/^sha256=/, "");
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
 
-  statusStreams.set(requestId, sendStatus);
+  const receivedBuf = Buffer.from(received, "hex");
+  const expectedBuf = Buffer.from(expected, "hex");
 
-  // Send any queued messages
-  const queue = statusQueues.get(requestId) || [];
-  console.log(`[api/status] Frontend connected, sending ${queue.length} queued messages`);
-  queue.forEach(msg => {
-    if (msg !== null) {
-      sendStatus(msg);
-    }
-  });
-  statusQueues.delete(requestId);
+  return (
+    receivedBuf.length === expectedBuf.length &&
+    crypto.timingSafeEqual(receivedBuf, expectedBuf)
+  );
+}
 
-  req.on("close", () => {
-    statusStreams.delete(requestId);
-    statusQueues.delete(requestId);
-  });
+// --- Helper: call Block API to book the appointment ---
 
-  // Send initial connection message
-  res.write(`data: ${JSON.stringify({ message: "Connected" })}\n\n`);
-});
+async function bookAppointmentViaBlock(tenant, args, onStatusUpdate = null, blockJob = {}) {
+  // Split customer name into first and last name
+  const { firstName, lastName } = splitName(args.customer_name);
 
-// --- /api/chat endpoint ---
+  // Use default provider if not specified
+  const providerName = args.provider_name?.trim() || tenant.defaultProvider;
+
+  const payload = {
+    datetime: args.start_time,
+    provider: providerName,
+    service: args.service_name,
+    customer: {
+      firstName: firstName,
+      lastName: lastName,
+      phone: args.customer_phone,
+      ...(args.customer_email && { email: args.customer_email }),
+    },
+  };
 
-app.post("/api/chat", async (req, res) => {
+  // Add optional note if provided
+  if (args.notes) {
+    payload.note = args.notes;
+  }
+
+  let job;
   try {
-    const { message, history } = req.body;
+    job = await runBlockAction(tenant, "BookAppointment", payload, onStatusUpdate, blockJob);
+  } catch (error) {
+    throw new Error(`Booking failed: ${error.message}`, { cause: error });
+  }
 
-    if (!message) {
-      return res.status(400).json({ error: "Missing 'message' in request body" });
-    }
+  const result = job.jobData.result || {};
 
-    // History is an array of { role, content } from previous turns.
-    const priorMessages = Array.isArray(history) ? history : [];
+  return {
+    booking_id: result.appointmentId || job.jobId,
+    start_time: args.start_time,
+    service_name: args.service_name,
+    provider_name: providerName,
+    customer_name: args.customer_name,
+    status: "success",
+    raw: job.jobData,
+  };
+}
 
-    const messages = [
-      { role: "system", content: getSystemPrompt() },
-      ...priorMessages,
-      { role: "user", content: message },
-    ];
+// --- Helper: call Block API to look up open slots ---
 
-    // 1) First call: let the model decide whether to call the tool
+async function getAvailabilityViaBlock(tenant, args, onStatusUpdate = null, blockJob = {}) {
+  // Use default provider if not specified
+  const providerName = args.provider_name?.trim() || tenant.defaultProvider;
 
-    const first = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // or any tool-capable model
-      messages,
-      tools: TOOLS,
-      tool_choice: "auto",
-    });
+  const payload = {
+    service: args.service_name,
+    provider: providerName,
+    startDate: args.start_date,
+    endDate: args.end_date || args.start_date,
+  };
 
-    const assistantMessage = first.choices[0]?.message;
+  let job;
+  try {
+    job = await runBlockAction(tenant, "GetAvailability", payload, onStatusUpdate, blockJob);
+  } catch (error) {
+    throw new Error(`Availability check failed: ${error.message}`, { cause: error });
+  }
 
-    if (!assistantMessage) {
-      return res.status(500).json({ error: "No message returned from LLM" });
-    }
+  const result = job.jobData.result || {};
 
-    // If the model decided to call a tool, handle it:
+  return {
+    service_name: args.service_name,
+    provider_name: providerName,
+    start_date: payload.startDate,
+    end_date: payload.endDate,
+    // Each slot is typically { start, end } in ISO 8601
+    slots: result.slots || result.availability || [],
+    status: "success",
+  };
+}
 
-    let finalAssistantMessage = assistantMessage;
-    const toolCalls = assistantMessage.tool_calls || [];
-    let bookingRequestId = null;
+// --- Helper: identify an existing appointment for reschedule/cancel ---
 
-    if (toolCalls.length > 0) {
-      for (const toolCall of toolCalls) {
-        const fn = toolCall.function;
+// Block matches on appointmentId when we have it; otherwise it looks the
+// appointment up from the customer's phone number and its current time
+// (prepareRescheduleArgs and prepareCancelArgs make sure there's one or the
+// other).
+function existingAppointmentPayload(args) {
+  if (args.booking_id?.trim()) {
+    return { appointmentId: args.booking_id.trim() };
+  }
 
-        if (!fn) continue;
+  return {
+    datetime: args.current_start_time,
+    customer: {
+      phone: args.customer_phone,
+    },
+  };
+}
 
-        if (fn.name === "book_appointment") {
-          const args = JSON.parse(fn.arguments || "{}");
-          console.log("[api/chat] Calling bookAppointmentViaBlock with args:", JSON.stringify(args, null, 2));
+// --- Helper: call Block API to reschedule an appointment ---
 
-          // Generate request ID for status streaming
-          bookingRequestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+async function rescheduleAppointmentViaBlock(tenant, args, onStatusUpdate = null, blockJob = {}) {
+  const payload = {
+    ...existingAppointmentPayload(args),
+    newDatetime: args.new_start_time,
+  };
 
-          // Set up status update callback
-          const onStatusUpdate = (message) => {
-            const sendStatus = statusStreams.get(bookingRequestId);
-            if (sendStatus) {
-              console.log(`[api/chat] Sending status update to stream: ${message || '(close signal)'}`);
-              sendStatus(message);
-            } else {
-              // Queue message if frontend hasn't connected yet
-              console.log(`[api/chat] Queueing status update (frontend not connected): ${message || '(close signal)'}`);
-              if (!statusQueues.has(bookingRequestId)) {
-                statusQueues.set(bookingRequestId, []);
-              }
-              statusQueues.get(bookingRequestId).push(message);
-            }
-          };
+  let job;
+  try {
+    job = await runBlockAction(tenant, "RescheduleAppointment", payload, onStatusUpdate, blockJob);
+  } catch (error) {
+    throw new Error(`Reschedule failed: ${error.message}`, { cause: error });
+  }
 
-          // Process booking asynchronously - don't await here!
-          (async () => {
-            try {
-              const bookingResult = await bookAppointmentViaBlock(args, onStatusUpdate);
-              console.log("[api/chat] Booking result:", JSON.stringify(bookingResult, null, 2));
-
-              // Generate final assistant message with the booking result
-              const toolMessages = [{
-                role: "tool",
-                tool_call_id: toolCall.id,
-                content: JSON.stringify(bookingResult),
-              }];
-
-              const secondMessages = [
-                ...messages,
-                assistantMessage,
-                ...toolMessages,
-              ];
-
-              const second = await openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: secondMessages,
-              });
-
-              const finalMessage = second.choices[0]?.message?.content || "Booking completed.";
-              console.log("[api/chat] Generated final message:", finalMessage);
-
-              // Send final message via SSE
-              const sendStatus = statusStreams.get(bookingRequestId);
-              if (sendStatus) {
-                console.log("[api/chat] Sending final message via SSE");
-                sendStatus(`final:${finalMessage}`);
-                // Small delay before closing
-                setTimeout(() => {
-                  try {
-                    console.log("[api/chat] Closing SSE stream");
-                    sendStatus(null);
-                  } catch (e) {
-                    console.error("[api/chat] Error closing stream:", e);
-                    // Ignore errors if stream is already closed
-                  }
-                }, 100);
-              } else {
-                console.warn("[api/chat] No status stream found for bookingRequestId:", bookingRequestId);
-              }
-
-              // Clean up
-              statusStreams.delete(bookingRequestId);
-              statusQueues.delete(bookingRequestId);
-            } catch (error) {
-              // Handle booking errors gracefully
-              console.error("[api/chat] Booking error:", error);
-              console.error("[api/chat] Error stack:", error.stack);
-
-              // Send error message via SSE and close stream
-              const sendStatus = statusStreams.get(bookingRequestId);
-              if (sendStatus) {
-                try {
-                  const errorMessage = error.message || "Failed to book appointment";
-                  sendStatus(`Error: ${errorMessage}`);
-                  // Small delay to ensure message is sent before closing
-                  setTimeout(() => {
-                    try {
-                      sendStatus(null);
-                    } catch (e) {
-                      // Ignore errors if stream is already closed
-                      console.warn("[api/chat] Stream already closed when trying to close:", e.message);
-                    }
-                  }, 100);
-                } catch (e) {
-                  // Ignore errors if stream is already closed
-                  console.warn("[api/chat] Error sending status update:", e.message);
-                }
-              }
-              statusStreams.delete(bookingRequestId);
-              statusQueues.delete(bookingRequestId);
-            }
-          })();
-
-          // Return immediately with placeholder message and statusRequestId
-          // The actual result will come via SSE
-          const updatedHistory = [
-            ...priorMessages,
-            { role: "user", content: message },
-            { role: "assistant", content: "I'm processing your booking request..." },
-          ];
-
-          return res.json({
-            reply: "I'm processing your booking request...",
-            history: updatedHistory,
-            statusRequestId: bookingRequestId,
-          });
-        } else {
-          // Unknown tool - handle synchronously
-          const toolMessages = [{
-            role: "tool",
-            tool_call_id: toolCall.id,
-            content: JSON.stringify({
-              error: `Unknown tool: ${fn.name}`,
-            }),
-          }];
-
-          const secondMessages = [
-            ...messages,
-            assistantMessage,
-            ...toolMessages,
-          ];
-
-          const second = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: secondMessages,
-          });
-
-          finalAssistantMessage = second.choices[0]?.message || assistantMessage;
-        }
-      }
-    }
+  const result = job.jobData.result || {};
 
-    // Store only user + assistant messages on the client
+  return {
+    booking_id: result.appointmentId || args.booking_id || job.jobId,
+    previous_start_time: args.current_start_time,
+    start_time: args.new_start_time,
+    status: "success",
+    raw: job.jobData,
+  };
+}
 
-    const updatedHistory = [
-      ...priorMessages,
-      { role: "user", content: message },
-      { role: "assistant", content: finalAssistantMessage.content },
-    ];
+// --- Helper: call Block API to cancel an appointment ---
+
+async function cancelAppointmentViaBlock(tenant, args, onStatusUpdate = null, blockJob = {}) {
+  const payload = existingAppointmentPayload(args);
+
+  // Add optional reason if provided
+  if (args.reason) {
+    payload.note = args.reason;
+  }
+
+  let job;
+  try {
+    job = await runBlockAction(tenant, "CancelAppointment", payload, onStatusUpdate, blockJob);
+  } catch (error) {
+    throw new Error(`Cancellation failed: ${error.message}`, { cause: error });
+  }
+
+  const result = job.jobData.result || {};
+
+  return {
+    booking_id: result.appointmentId || args.booking_id || job.jobId,
+    start_time: args.current_start_time,
+    status: "cancelled",
+    raw: job.jobData,
+  };
+}
+
+// --- Helpers: check tool call times before anything reaches Block ---
+
+// Each returns the args with times normalized into the business's timezone
+// (names and phone numbers tidied, services and providers matched to the
+// catalog), or throws a ToolArgumentError for the model to relay to the
+// customer. The args have already been checked against the tool's
+// parameters in TOOLS.
+
+function prepareBookingArgs(tenant, args, catalog) {
+  const serviceName = resolveService(catalog, args.service_name);
+  return {
+    ...args,
+    service_name: serviceName,
+    ...(args.provider_name && {
+      provider_name: resolveProvider(catalog, args.provider_name, {
+        serviceName,
+        defaultProvider: tenant.defaultProvider,
+      }),
+    }),
+    customer_name: normalizeCustomerName(args.customer_name),
+    customer_phone: normalizePhone(args.customer_phone, tenant.phoneRegion),
+    ...(args.customer_email && { customer_email: normalizeEmail(args.customer_email) }),
+    start_time: normalizeStartTime(args.start_time, tenant.timezone),
+  };
+}
+
+function prepareAvailabilityArgs(tenant, args, catalog) {
+  const serviceName = resolveService(catalog, args.service_name);
+  return {
+    ...args,
+    service_name: serviceName,
+    ...(args.provider_name && {
+      provider_name: resolveProvider(catalog, args.provider_name, {
+        serviceName,
+        defaultProvider: tenant.defaultProvider,
+      }),
+    }),
+    start_date: normalizeDate(args.start_date, { field: "start_date" }),
+    ...(args.end_date && { end_date: normalizeDate(args.end_date, { field: "end_date" }) }),
+  };
+}
+
+// Reschedules and cancellations find the appointment by booking_id, or by
+// the phone number and time it was booked with
+function requireExistingAppointment(args) {
+  if (!args.booking_id?.trim() && !(args.customer_phone && args.current_start_time)) {
+    throw new ToolArgumentError(
+      "Need either booking_id, or customer_phone and current_start_time, to find the appointment"
+    );
+  }
+}
+
+function prepareRescheduleArgs(tenant, args) {
+  requireExistingAppointment(args);
+  return {
+    ...args,
+    ...(args.customer_phone && { customer_phone: normalizePhone(args.customer_phone, tenant.phoneRegion) }),
+    new_start_time: normalizeStartTime(args.new_start_time, tenant.timezone, { field: "new_start_time" }),
+    ...(args.current_start_time && {
+      current_start_time: normalizeStartTime(args.current_start_time, tenant.timezone, {
+        field: "current_start_time",
+        allowPast: true,
+      }),
+    }),
+  };
+}
+
+function prepareCancelArgs(tenant, args) {
+  requireExistingAppointment(args);
+  return {
+    ...args,
+    ...(args.customer_phone && { customer_phone: normalizePhone(args.customer_phone, tenant.phoneRegion) }),
+    ...(args.current_start_time && {
+      current_start_time: normalizeStartTime(args.current_start_time, tenant.timezone, {
+        field: "current_start_time",
+        allowPast: true,
+      }),
+    }),
+  };
+}
+
+function prepareVerifyCustomerArgs(tenant, args) {
+  const code = args.code.replace(/[\s-]/g, "");
+  if (!/^\d{6}$/.test(code)) {
+    throw new ToolArgumentError("code must be the 6-digit code the customer received");
+  }
+  return { code };
+}
+
+function prepareFindCustomerArgs(tenant, args) {
+  if (!args.customer_phone && !args.customer_email) {
+    throw new ToolArgumentError("Need customer_phone or customer_email to look the customer up");
+  }
+  return {
+    ...(args.customer_phone && { customer_phone: normalizePhone(args.customer_phone, tenant.phoneRegion) }),
+    ...(args.customer_email && { customer_email: normalizeEmail(args.customer_email) }),
+  };
+}
+
+// Add readable versions of a tool result's start_time for the model to use
+// in its confirmation: business time, plus the customer's when it differs.
+// Availability slots and a customer's upcoming appointments get the same
+// treatment for their start times.
+function withDisplayTimes(result, tenant, visitorTimeZone) {
+  const displayTimes = (iso) => {
+    const display = { business: formatInTimeZone(iso, tenant.timezone) };
+    if (visitorTimeZone && visitorTimeZone !== tenant.timezone) {
+      display.customer = formatInTimeZone(iso, visitorTimeZone);
+    }
+    return display;
+  };
+
+  const decorated = { ...result };
+  if (result.start_time) {
+    decorated.start_time_display = displayTimes(result.start_time);
+  }
+  if (Array.isArray(result.slots)) {
+    decorated.slots = result.slots.map((slot) =>
+      slot?.start ? { ...slot, start_display: displayTimes(slot.start) } : slot
+    );
+  }
+  if (Array.isArray(result.upcoming_appointments)) {
+    decorated.upcoming_appointments = result.upcoming_appointments.map((appointment) => ({
+      ...appointment,
+      start_time_display: displayTimes(appointment.start_time),
+    }));
+  }
+  return decorated;
+}
+
+// --- Helper: structured booking details for the widget ---
+
+// The "final" status event carries these alongside the reply text, so the
+// widget doesn't have to parse the model's wording. runToolJob adds
+// `calendar` links for new bookings (see calendarLinks).
+function bookingSummary(result) {
+  return {
+    id: result.booking_id,
+    status: result.status,
+    startTime: result.start_time || null,
+    startTimeDisplay: result.start_time_display || null,
+    provider: result.provider_name || null,
+    service: result.service_name || null,
+  };
+}
+
+// --- Helpers: calendar entries for a booking ---
+
+// Used when the catalog doesn't say how long the service takes
+const DEFAULT_APPOINTMENT_MINUTES = 60;
+
+// The calendar event for a booking summary: the service's duration from
+// the catalog, the business's address, and the provider and booking id
+async function bookingCalendarEvent(tenant, booking) {
+  const catalog = await catalogFor(tenant);
+  const service = catalog.services.find((entry) => entry.name.toLowerCase() === booking.service?.toLowerCase());
+
+  return appointmentEvent({
+    uid: `${booking.id}@${tenant.id}`,
+    startTime: booking.startTime,
+    durationMinutes: service?.durationMinutes || DEFAULT_APPOINTMENT_MINUTES,
+    title: [booking.service || "Appointment", tenant.businessName].filter(Boolean).join(" at "),
+    description: [
+      booking.provider && `With ${booking.provider}`,
+      `Booking id: ${booking.id}`,
+      "To change or cancel it, chat with us again and give your booking id.",
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: tenant.address,
+  });
+}
+
+// The widget's "Add to calendar" buttons: Google and Outlook add-event
+// pages, and the job's .ics file for everything else
+async function calendarLinks(tenant, requestId, booking) {
+  const event = await bookingCalendarEvent(tenant, booking);
+  return {
+    ics: `/api/bookings/${requestId}/calendar.ics`,
+    google: googleCalendarUrl(event),
+    outlook: outlookCalendarUrl(event),
+  };
+}
+
+// --- Helper: what makes two bookings the same booking ---
+
+// Cosmetic differences (case, spacing, phone punctuation, an omitted
+// default provider) don't make a booking request a new one. Notes don't
+// count either.
+function bookingIdentity(tenant, args) {
+  const normalize = (value) => String(value || "").trim().replace(/\s+/g, " ").toLowerCase();
+  return {
+    start_time: args.start_time,
+    service_name: normalize(args.service_name),
+    provider_name: normalize(args.provider_name || tenant.defaultProvider),
+    customer_name: normalize(args.customer_name),
+    customer_phone: String(args.customer_phone || "").replace(/[^\d+]/g, ""),
+  };
+}
+
+// --- Tools that run as Block jobs ---
+
+// These return a placeholder reply right away; the real answer is generated
+// once the job finishes and is delivered over the /api/status stream.
+// prepare(tenant, args, catalog) validates the arguments first. identify(tenant,
+// args), where present, marks repeats of the same request as duplicates;
+// releasesBooking tools free a booking to be made again once they finish.
+// needsConfirmation tools answer with a summary (confirmReply) and only run
+// once the customer confirms it (see /api/pending-bookings). maxPerSession
+// caps how many jobs of the tool (failed ones aside) one conversation starts;
+// over it, the model gets limitError. addsToCalendar tools' bookings come
+// with add-to-calendar links. readOnly tools only look things up, so any
+// number of them can run side by side (see /api/chat). ownBookingOnly tools
+// only change an appointment the session booked or verified (see
+// ownsAppointment).
+const BLOCK_TOOL_HANDLERS = {
+  book_appointment: {
+    prepare: prepareBookingArgs,
+    identify: bookingIdentity,
+    run: bookAppointmentViaBlock,
+    needsConfirmation: true,
+    addsToCalendar: true,
+    maxPerSession: MAX_BOOKINGS_PER_SESSION,
+    limitError:
+      "This conversation has reached its booking limit. Tell the customer nothing new was booked and that they can contact the business directly for more appointments.",
+    confirmReply: "Please check the details below and confirm your booking.",
+    pendingReply: "I'm processing your booking request...",
+    statusMessage: "Booking your appointment...",
+    fallbackReply: "Booking completed.",
+    errorReply: "Failed to book appointment",
+  },
+  get_availability: {
+    prepare: prepareAvailabilityArgs,
+    run: getAvailabilityViaBlock,
+    readOnly: true,
+    pendingReply: "Let me check what's available...",
+    statusMessage: "Checking availability...",
+    fallbackReply: "I checked availability but couldn't summarize the results.",
+    errorReply: "Failed to check availability",
+  },
+  reschedule_appointment: {
+    prepare: prepareRescheduleArgs,
+    run: rescheduleAppointmentViaBlock,
+    releasesBooking: true,
+    ownBookingOnly: true,
+    pendingReply: "I'm moving your appointment...",
+    statusMessage: "Rescheduling your appointment...",
+    fallbackReply: "Your appointment has been rescheduled.",
+    errorReply: "Failed to reschedule appointment",
+  },
+  cancel_appointment: {
+    prepare: prepareCancelArgs,
+    run: cancelAppointmentViaBlock,
+    releasesBooking: true,
+    ownBookingOnly: true,
+    pendingReply: "I'm cancelling your appointment...",
+    statusMessage: "Cancelling your appointment...",
+    fallbackReply: "Your appointment has been cancelled.",
+    errorReply: "Failed to cancel appointment",
+  },
+};
+
+// --- Tools answered within the chat request ---
+
+// run(tenant, args, { session, visitorTimeZone }) resolves with the tool
+// result, and the model carries on with it. prepare works as for the Block
+// tools. isRateLimited(tenant, args, { ip }), where present, counts the call
+// against rate limits and says whether it's over one; the model gets
+// limitError then. updatesSession tools change the stored session, so
+// /api/chat reads it again after them. needsNotifications tools are only
+// offered when an email or SMS transport is configured (see isToolOffered).
+const INLINE_TOOL_HANDLERS = {
+  find_customer: {
+    prepare: prepareFindCustomerArgs,
+    run: lookUpCustomer,
+    updatesSession: true,
+    needsNotifications: true,
+    isRateLimited: (tenant, args, { ip }) =>
+      !customerLookupLimiters.ip.hit(ip).allowed ||
+      !customerLookupLimiters.contact.hit(`${tenant.id}:${args.customer_phone || args.customer_email}`).allowed,
+    limitError:
+      "Too many customer lookups have been made recently, from this visitor or for this phone number or email. Ask the customer for their details instead.",
+  },
+  verify_customer: {
+    prepare: prepareVerifyCustomerArgs,
+    run: verifyCustomer,
+    updatesSession: true,
+    needsNotifications: true,
+  },
+};
+
+// --- Helpers: look up and verify a returning customer ---
+
+// find_customer only tells the model a returning customer's first name: a
+// phone number or email address is easy to come by, so the customer first
+// shows it's theirs. lookUpCustomer sends a one-time code to the phone or
+// email on the record found, never to what the visitor gave (a phone number
+// of their own with someone else's email would otherwise get the code), and
+// keeps the code's hash in the session with the record:
+//
+//   session.customerVerification = { customer, codeHash, attempts, expiresAt }
+//
+// verifyCustomer then gives the model the record for the right code, and
+// the session may change their appointments (see ownsAppointment).
+async function lookUpCustomer(tenant, args, { session }) {
+  const log = logger.child({ component: "lookUpCustomer" });
+  const customer = await findCustomer(tenant, args);
+  if (!customer) {
+    return customerLookupResult(null);
+  }
+
+  const firstName = customer.name?.split(" ")[0] || null;
+  // The record's own contact, the kind the visitor gave first
+  const [channel, to] =
+    [
+      ["sms", args.customer_phone && customer.phone],
+      ["email", args.customer_email && customer.email],
+      ["sms", customer.phone],
+      ["email", customer.email],
+    ].find(([via, address]) => address && notificationTransports[via]) || [];
+  if (!channel) {
+    return {
+      found: true,
+      first_name: firstName,
+      message:
+        "They can't be verified here, so nothing else on file can be shared. Collect their details as usual.",
+    };
+  }
+
+  const code = String(crypto.randomInt(1000000)).padStart(6, "0");
+  try {
+    const messages = verificationMessages(code, CUSTOMER_VERIFICATION_TTL / 60000, tenant);
+    await notificationTransports[channel].send({ to, ...messages[channel] });
+  } catch (error) {
+    log.error("Failed to send verification code", { tenantId: tenant.id, channel, error });
+    return {
+      found: true,
+      first_name: firstName,
+      message:
+        "Sending them a verification code failed, so nothing else on file can be shared. Collect their details as usual.",
+    };
+  }
+
+  await updateSession(sessionStore, session.id, (stored) => {
+    stored.customerVerification = {
+      customer,
+      codeHash: verificationCodeHash(session.id, code),
+      attempts: 0,
+      expiresAt: new Date(Date.now() + CUSTOMER_VERIFICATION_TTL).toISOString(),
+    };
+  });
+  return {
+    found: true,
+    first_name: firstName,
+    message: `A 6-digit verification code was sent to them by ${channel === "sms" ? "text message" : "email"}. Greet them by first name, ask for the code and call verify_customer with it. Until then, nothing else on file can be shared.`,
+  };
+}
+
+const verificationCodeHash = (sessionId, code) =>
+  crypto.createHash("sha256").update(`${sessionId}:${code}`).digest("hex");
+
+// verify_customer: the customer's record for the right code. A code works
+// once, and MAX_VERIFICATION_ATTEMPTS wrong ones use it up.
+async function verifyCustomer(tenant, { code }, { session, visitorTimeZone }) {
+  let outcome = "none";
+  let customer = null;
+  await updateSession(sessionStore, session.id, (stored) => {
+    const pending = stored.customerVerification;
+    if (!pending || Date.parse(pending.expiresAt) <= Date.now()) {
+      delete stored.customerVerification;
+      return;
+    }
+    const expected = Buffer.from(pending.codeHash, "hex");
+    const given = Buffer.from(verificationCodeHash(session.id, code), "hex");
+    if (!crypto.timingSafeEqual(expected, given)) {
+      pending.attempts++;
+      outcome = pending.attempts >= MAX_VERIFICATION_ATTEMPTS ? "used_up" : "wrong";
+      if (outcome === "used_up") {
+        delete stored.customerVerification;
+      }
+      return;
+    }
+
+    outcome = "verified";
+    customer = pending.customer;
+    delete stored.customerVerification;
+    const bookingIds = customer.appointments.map((appointment) => appointment.bookingId).filter(Boolean);
+    stored.bookingIds = [...new Set([...(stored.bookingIds || []), ...bookingIds])];
+    const phone = sessionPhone(tenant, customer.phone);
+    if (phone) {
+      stored.customerPhones = [...new Set([...(stored.customerPhones || []), phone])];
+    }
+  });
+
+  switch (outcome) {
+    case "verified":
+      return withDisplayTimes({ verified: true, ...customerLookupResult(customer) }, tenant, visitorTimeZone);
+    case "wrong":
+      return { verified: false, error: "That code doesn't match. Ask the customer to check it and try again." };
+    case "used_up":
+      return {
+        verified: false,
+        error: "That code doesn't match, and there have been too many wrong tries. Collect their details as usual.",
+      };
+    default:
+      return {
+        verified: false,
+        error:
+          "No verification code is waiting, or it has expired. Look the customer up with find_customer again to send a new one.",
+      };
+  }
+}
+
+// Whether the session may reschedule or cancel the appointment args point
+// at. By booking_id: it booked it, or verified the customer it belongs to.
+// By customer_phone and current_start_time: it booked with that phone
+// number, or verified the customer it belongs to.
+function ownsAppointment(session, args) {
+  const bookingId = args.booking_id?.trim();
+  if (bookingId) {
+    return (session.bookingIds || []).includes(bookingId);
+  }
+  return Boolean(args.customer_phone) && (session.customerPhones || []).includes(args.customer_phone);
+}
+
+// A customer's phone number as the tool args have it (E.164), or null when
+// it can't be read (a Block record may have it any way)
+function sessionPhone(tenant, phone) {
+  try {
+    return phone ? normalizePhone(phone, tenant.phoneRegion) : null;
+  } catch (error) {
+    if (!(error instanceof ToolArgumentError)) throw error;
+    return null;
+  }
+}
+
+// Remember that the session made (or moved) a booking, and the phone number
+// it was made with. Never fails the job.
+async function addSessionBooking(sessionId, bookingId, phone = null) {
+  try {
+    await updateSession(sessionStore, sessionId, (session) => {
+      session.bookingIds = [...new Set([...(session.bookingIds || []), bookingId])];
+      if (phone) {
+        session.customerPhones = [...new Set([...(session.customerPhones || []), phone])];
+      }
+    });
+  } catch (error) {
+    logger.error("Failed to store booking id in session", { component: "addSessionBooking", bookingId, error });
+  }
+}
+
+// From a FindCustomer action on the tenant's Block connection (customerLookup
+// "block"), then among the customers who booked through the chat. A failed
+// Block lookup falls back to those.
+async function findCustomer(tenant, { customer_phone: phone, customer_email: email }) {
+  const log = logger.child({ component: "findCustomer" });
+
+  if (tenant.customerLookup === "block") {
+    try {
+      const { jobData } = await runBlockAction(tenant, "FindCustomer", {
+        ...(phone && { phone }),
+        ...(email && { email }),
+      });
+      if (jobData.result?.customer) {
+        return fromBlockCustomer(tenant.id, jobData.result.customer);
+      }
+    } catch (error) {
+      log.error("Customer lookup in Block failed, checking remembered customers", { tenantId: tenant.id, error });
+    }
+  }
+
+  const byPhone = phone && (await customerStore.get(customerId(tenant.id, phone)));
+  if (byPhone || !email) {
+    return byPhone || null;
+  }
+  const customers = await customerStore.list();
+  return customers.find((customer) => customer.tenantId === tenant.id && customer.email === email) || null;
+}
+
+// Keep remembered customers up to date with a finished job: a booking adds
+// the appointment (and the customer, the first time), a reschedule or
+// cancellation changes it. Updates go through updateRecord, as two jobs can
+// finish for the same customer at once. Never fails the job.
+async function rememberCustomer(job, toolResult) {
+  const { tenantId, tool, args } = job;
+  try {
+    if (tool === "book_appointment") {
+      await updateRecord(customerStore, customerId(tenantId, args.customer_phone), (customer) =>
+        recordBooking(
+          customer,
+          { tenantId, phone: args.customer_phone, name: args.customer_name, email: args.customer_email },
+          toolResult
+        )
+      );
+      return;
+    }
+    if (tool !== "reschedule_appointment" && tool !== "cancel_appointment") {
+      return;
+    }
+
+    // Without the phone number, the booking id says whose appointment it was
+    const bookingId = args.booking_id?.trim() || null;
+    const id = args.customer_phone
+      ? customerId(tenantId, args.customer_phone)
+      : bookingId &&
+        (await customerStore.list()).find(
+          (other) => other.tenantId === tenantId && other.appointments.some((a) => a.bookingId === bookingId)
+        )?.id;
+    if (!id) {
+      return;
+    }
+
+    await updateRecord(customerStore, id, (customer) => {
+      const appointment = customer && findAppointment(customer, { bookingId, startTime: args.current_start_time });
+      if (!appointment) {
+        return null;
+      }
+      return tool === "cancel_appointment"
+        ? recordCancellation(customer, appointment)
+        : recordReschedule(customer, appointment, { bookingId: toolResult.booking_id, startTime: args.new_start_time });
+    });
+  } catch (error) {
+    logger.error("Failed to update remembered customer", { component: "rememberCustomer", tool, error });
+  }
+}
+
+// --- Helpers: booking confirmations and reminders ---
+
+// Keep the customer informed of a finished job: a booking sends the
+// confirmation and schedules its reminder, a reschedule moves the reminder
+// and a cancellation drops it. Never fails the job.
+async function notifyCustomer(job, toolResult) {
+  const { tenantId, tool, args } = job;
+  const tenant = tenants.get(tenantId);
+  try {
+    if (tool === "book_appointment") {
+      // An email address on file from an earlier booking will do
+      const customer = await customerStore.get(customerId(tenantId, args.customer_phone));
+      const booking = {
+        bookingId: toolResult.booking_id,
+        startTime: toolResult.start_time,
+        service: toolResult.service_name || null,
+        provider: toolResult.provider_name || null,
+        customerName: args.customer_name,
+        phone: args.customer_phone,
+        email: args.customer_email || customer?.email || null,
+      };
+      await sendBookingMessages(tenant, "confirmation", booking);
+      await scheduleReminder(tenant, booking);
+      return;
+    }
+    if (tool !== "reschedule_appointment" && tool !== "cancel_appointment") {
+      return;
+    }
+
+    const reminder = await findReminder(tenantId, args);
+    if (!reminder) {
+      return;
+    }
+    await reminderStore.delete(reminder.id);
+    if (tool === "reschedule_appointment") {
+      await scheduleReminder(tenant, {
+        ...reminder,
+        bookingId: toolResult.booking_id || reminder.bookingId,
+        startTime: args.new_start_time,
+      });
+    }
+  } catch (error) {
+    logger.error("Failed to notify customer", { component: "notifyCustomer", tool, error });
+  }
+}
+
+// Send one kind of message on every channel that's on and has an address
+// for the customer. A failed channel is logged and doesn't stop the others.
+// Resolves with whether each message went out, e.g. [true, false].
+async function sendBookingMessages(tenant, kind, booking) {
+  const log = logger.child({ component: "sendBookingMessages" });
+  const messages = bookingMessages(kind, booking, tenant);
+  const deliveries = [
+    { channel: "email", to: booking.email, message: messages.email },
+    { channel: "sms", to: booking.phone, message: messages.sms },
+  ].filter(({ channel, to }) => notificationTransports[channel] && to);
+
+  return Promise.all(
+    deliveries.map(async ({ channel, to, message }) => {
+      try {
+        await notificationTransports[channel].send({ to, ...message });
+        log.info("Notification sent", { channel, kind, bookingId: booking.bookingId });
+        metrics.notifications.inc({ tenant: tenant.id, channel, kind, outcome: "sent" });
+        return true;
+      } catch (error) {
+        log.error("Notification failed", { channel, kind, bookingId: booking.bookingId, error });
+        metrics.notifications.inc({ tenant: tenant.id, channel, kind, outcome: "failed" });
+        return false;
+      }
+    })
+  );
+}
+
+// Store the booking's reminder, REMINDER_LEAD before it starts. Nothing to
+// do when reminders are off or the appointment is sooner than that.
+async function scheduleReminder(tenant, booking) {
+  const sendAt = Date.parse(booking.startTime) - REMINDER_LEAD;
+  const channelsOn = notificationTransports.email || notificationTransports.sms;
+  if (!REMINDER_LEAD || !channelsOn || !(sendAt > Date.now())) {
+    return;
+  }
+
+  await reminderStore.save({
+    id: reminderId(tenant.id, booking.bookingId),
+    tenantId: tenant.id,
+    bookingId: booking.bookingId,
+    sendAt: new Date(sendAt).toISOString(),
+    startTime: booking.startTime,
+    service: booking.service,
+    provider: booking.provider,
+    customerName: booking.customerName,
+    phone: booking.phone,
+    email: booking.email,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// The reminder for the appointment a reschedule or cancellation was about:
+// by booking id, or by phone number and start time
+async function findReminder(tenantId, args) {
+  const bookingId = args.booking_id?.trim();
+  if (bookingId) {
+    return reminderStore.get(reminderId(tenantId, bookingId));
+  }
+  if (!args.customer_phone || !args.current_start_time) {
+    return null;
+  }
+  const reminders = await reminderStore.list();
+  return (
+    reminders.find(
+      (reminder) =>
+        reminder.tenantId === tenantId &&
+        reminder.phone === args.customer_phone &&
+        Date.parse(reminder.startTime) === Date.parse(args.current_start_time)
+    ) || null
+  );
+}
+
+let reminderSweep = null;
+
+// Send the reminders that are due, resolving with how many went out. Runs
+// every REMINDER_CHECK_INTERVAL, one sweep at a time. A reminder whose
+// every channel failed is tried again next time, until the appointment
+// starts.
+function sendDueReminders(now = new Date()) {
+  reminderSweep ||= sweepReminders(now).finally(() => {
+    reminderSweep = null;
+  });
+  return reminderSweep;
+}
+
+async function sweepReminders(now) {
+  const log = logger.child({ component: "sendDueReminders" });
+  let sent = 0;
+
+  try {
+    for (const reminder of await reminderStore.list()) {
+      if (Date.parse(reminder.sendAt) > now.getTime()) {
+        continue;
+      }
+
+      const tenant = tenants.get(reminder.tenantId);
+      if (!tenant || Date.parse(reminder.startTime) <= now.getTime()) {
+        log.warn("Dropping reminder that can no longer be sent", { bookingId: reminder.bookingId });
+        await reminderStore.delete(reminder.id);
+        continue;
+      }
+
+      const delivered = await sendBookingMessages(tenant, "reminder", reminder);
+      if (delivered.length > 0 && !delivered.some(Boolean)) {
+        continue;
+      }
+      await reminderStore.delete(reminder.id);
+      sent += delivered.length > 0 ? 1 : 0;
+    }
+  } catch (error) {
+    log.error("Failed to send reminders", { error });
+  }
+
+  return sent;
+}
+
+// --- Helper: server-sent events over a POST response ---
+
+// /api/chat streams its reply when the client sends
+// "Accept: text/event-stream": "delta" events carry reply text, "tool"
+// announces a tool call, and the stream ends with "done" (the same body the
+// JSON response would have) or "error".
+function startEventStream(res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    send,
+    end(event, data) {
+      send(event, data);
+      res.end();
+    },
+  };
+}
+
+// --- Helpers: conversation sessions ---
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+// Look up the session named by the request's X-Session-Id header (sent by the
+// embedded widget, where third-party cookies are often blocked) or cookie,
+// or null if there is none. Sessions belong to one tenant and aren't shared
+// across widgets. `sessionId` names it instead where a header can't be sent.
+async function getSession(req, tenant, sessionId = null) {
+  const id = sessionId || req.get("X-Session-Id") || parseCookies(req.get("Cookie"))[SESSION_COOKIE];
+
+  // Only well-formed ids reach the store (file store uses them as filenames)
+  if (!id || !SESSION_ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  const session = await sessionStore.get(id);
+  return session && session.tenantId === tenant.id && !isSessionExpired(session) ? session : null;
+}
+
+// Like getSession, but starts a new session and sets its cookie when the
+// visitor doesn't have one yet. Resolves with { session, isNew }; a new
+// session isn't stored until the caller has something to put in it, so
+// requests that never get that far leave nothing behind.
+async function loadSession(req, res, tenant) {
+  const existing = await getSession(req, tenant);
+  if (existing) {
+    return { session: existing, isNew: false };
+  }
+
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    tenantId: tenant.id,
+    history: [],
+    toolCalls: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  // Cross-site cookies need SameSite=None, which browsers only accept with Secure
+  const crossSite = Boolean(req.get("Origin")) && allowedOrigins.has(req.get("Origin"));
+  res.cookie(SESSION_COOKIE, session.id, {
+    httpOnly: true,
+    sameSite: crossSite && req.secure ? "none" : "lax",
+    secure: req.secure,
+    maxAge: SESSION_MAX_AGE,
+  });
+  res.set("X-Session-Id", session.id);
+
+  return { session, isNew: true };
+}
+
+// A session nobody has used for SESSION_MAX_AGE is gone, like its cookie
+const isSessionExpired = (session, now = Date.now()) => now - Date.parse(session.updatedAt) > SESSION_MAX_AGE;
+
+// Delete the expired sessions from the store, resolving with how many went.
+// Runs at startup and every SESSION_PRUNE_INTERVAL.
+async function pruneExpiredSessions(now = Date.now()) {
+  const log = logger.child({ component: "pruneExpiredSessions" });
+  let pruned = 0;
+
+  try {
+    for (const session of await sessionStore.list()) {
+      if (isSessionExpired(session, now)) {
+        await sessionStore.delete(session.id);
+        pruned++;
+      }
+    }
+  } catch (error) {
+    log.error("Failed to prune expired sessions", { error });
+  }
+
+  if (pruned > 0) {
+    log.info("Removed expired sessions", { count: pruned });
+  }
+  return pruned;
+}
+
+// Append messages to a session's history. Resolves with the index of the
+// first appended message.
+async function appendToHistory(sessionId, newMessages) {
+  let firstIndex = -1;
+  await updateSession(sessionStore, sessionId, (session) => {
+    firstIndex = session.history.length;
+    session.history.push(...newMessages);
+  });
+  return firstIndex;
+}
+
+// Swap the text of one stored message, e.g. a Block tool's placeholder reply
+// once the job has finished.
+async function replaceHistoryMessage(sessionId, index, content) {
+  await updateSession(sessionStore, sessionId, (session) => {
+    if (session.history[index]) {
+      session.history[index].content = content;
+    }
+  });
+}
+
+// Record what became of one of the model's tool calls (outcome "answered",
+// "rejected", "duplicate", "limited", "unavailable", "skipped", "awaiting_confirmation",
+// "started", ...), for the admin dashboard. Later calls for the same toolCallId update its entry,
+// e.g. when the customer confirms a booking summary.
+async function recordToolCall(sessionId, toolCallId, changes) {
+  await updateSession(sessionStore, sessionId, (session) => {
+    const now = new Date().toISOString();
+    session.toolCalls ||= [];
+    const entry = session.toolCalls.find((call) => call.id === toolCallId);
+    if (entry) {
+      Object.assign(entry, changes, { updatedAt: now });
+    } else {
+      session.toolCalls.push({ id: toolCallId, ...changes, createdAt: now, updatedAt: now });
+    }
+  });
+}
+
+// --- Block tool jobs (persisted, so they survive a restart) ---
+
+// A job record is:
+//   { requestId, tenantId, sessionId, tool, args, toolCallId, llmMessages,
+//     placeholderIndex, visitorTimeZone, dedupeKey, correlationId, idempotencyKey,
+//     blockJobId, otherCalls, status, timeline, reply, booking, error,
+//     createdAt, updatedAt }
+// llmMessages is the transcript up to the assistant's tool call, which the
+// reply is generated from. otherCalls are readOnly calls from the same turn
+// that run alongside the job's own, as { tool, args, toolCallId,
+// idempotencyKey, blockJobId }. status goes "submitting" -> "running" (once
+// Block has returned blockJobId) -> "completed" or "failed". timeline is
+// every status event the job published, as { at, event, data }.
+
+const jobSaves = new Map();
+
+// Apply changes to a job and persist it. A failed write is only logged: the
+// job itself carries on, it just can't be resumed from this point. Saves of
+// the same job are queued, so they reach the store in order.
+function saveJob(job, changes = {}) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+
+  const previous = jobSaves.get(job.requestId) || Promise.resolve();
+  const save = previous.then(async () => {
+    try {
+      await jobStore.save(job);
+    } catch (error) {
+      logger.error("Failed to persist job", { component: "saveJob", requestId: job.requestId, error });
+    }
+  });
+  jobSaves.set(job.requestId, save);
+  save.then(() => {
+    if (jobSaves.get(job.requestId) === save) {
+      jobSaves.delete(job.requestId);
+    }
+  });
+  return save;
+}
+
+// --- Helpers: duplicate job detection ---
+
+// Hash of everything that makes two tool calls the same request
+function jobDedupeKey(sessionId, tool, identity) {
+  return crypto.createHash("sha256").update(JSON.stringify({ sessionId, tool, identity })).digest("hex");
+}
+
+// The Idempotency-Key a job is submitted to Block with. A booking's is its
+// dedupe key, so Block makes it once even when a repeat gets past
+// recentJobs (say the server restarted in between). `attempt` counts the
+// session's earlier jobs under that key: once one has failed or been
+// cancelled, trying again is a new request as far as Block is concerned.
+// Calls without a dedupe key get a key of their own.
+function jobIdempotencyKey({ tool, requestId, toolCallId, dedupeKey, attempt }) {
+  if (!dedupeKey) {
+    return crypto.createHash("sha256").update(`${tool}:${requestId}:${toolCallId}`).digest("hex");
+  }
+  return attempt === 0 ? dedupeKey : crypto.createHash("sha256").update(`${dedupeKey}:${attempt}`).digest("hex");
+}
+
+// How many jobs the session has started under dedupeKey
+function jobAttempts(session, dedupeKey) {
+  if (!dedupeKey) {
+    return 0;
+  }
+  return (session.toolCalls || []).filter((call) => call.outcome === "started" && call.dedupeKey === dedupeKey)
+    .length;
+}
+
+// A job repeats `previous` if that one is still going or finished recently;
+// a failed job can always be tried again. A job is only failed when Block
+// didn't do its part (see runToolJob), so trying again can't book twice.
+function isDuplicateOf(previous) {
+  if (previous.status === "submitting" || previous.status === "running") {
+    return true;
+  }
+  return previous.status === "completed" && Date.now() - Date.parse(previous.updatedAt) < DUPLICATE_WINDOW;
+}
+
+// Track a job under its dedupe key, dropping entries that can no longer
+// match anything
+function rememberJob(job) {
+  for (const [key, other] of recentJobs) {
+    if (!isDuplicateOf(other)) {
+      recentJobs.delete(key);
+    }
+  }
+  recentJobs.set(job.dedupeKey, job);
+}
+
+// After a cancel or reschedule, the original booking may be made again
+function forgetBooking(bookingId) {
+  for (const [key, other] of recentJobs) {
+    if (other.booking?.id === bookingId) {
+      recentJobs.delete(key);
+    }
+  }
+}
+
+// The tool result the model gets instead of a second booking
+function duplicateJobResult(previous) {
+  if (previous.status === "completed") {
+    return {
+      status: "already_booked",
+      message:
+        "This exact appointment was already booked earlier in this conversation. Tell the customer it's already booked; nothing new was booked.",
+      booking: previous.booking,
+    };
+  }
+  return {
+    status: "already_in_progress",
+    message:
+      "This exact booking was already submitted and is still being processed. Tell the customer it's on its way; nothing new was booked.",
+  };
+}
+
+// Record a new job, store its placeholder reply in the session (after
+// userMessage, when the job comes straight from a chat message) and run it
+// in the background. attempt is jobAttempts() for its dedupe key, and
+// otherCalls ({ tool, args, toolCallId }) the readOnly calls to run with it.
+// Resolves with the job once it's saved.
+async function startToolJob({
+  tenant,
+  sessionId,
+  tool,
+  args,
+  toolCallId,
+  llmMessages,
+  visitorTimeZone,
+  dedupeKey,
+  attempt = 0,
+  otherCalls = [],
+  userMessage = null,
+}) {
+  // Generate request ID for status streaming. It names the job in URLs, so
+  // it mustn't be guessable.
+  const requestId = `req_${crypto.randomUUID()}`;
+
+  // The job is recorded (and claims its dedupe key) before anything is
+  // awaited, so a concurrent repeat sees it
+  const now = new Date().toISOString();
+  const job = {
+    requestId,
+    tenantId: tenant.id,
+    sessionId,
+    tool,
+    args,
+    toolCallId,
+    llmMessages,
+    placeholderIndex: null,
+    visitorTimeZone,
+    dedupeKey: dedupeKey || null,
+    // The chat request that led to the job, for following it in the logs
+    correlationId: getLogContext().correlationId || null,
+    idempotencyKey: jobIdempotencyKey({ tool, requestId, toolCallId, dedupeKey, attempt }),
+    blockJobId: null,
+    otherCalls: otherCalls.map((call) => ({
+      ...call,
+      idempotencyKey: jobIdempotencyKey({ ...call, requestId }),
+      blockJobId: null,
+    })),
+    status: "submitting",
+    timeline: [],
+    reply: null,
+    booking: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (dedupeKey) {
+    rememberJob(job);
+  }
+  statusChannels.open(requestId);
+
+  // Store the placeholder now; it's replaced once the job finishes
+  const newMessages = [{ role: "assistant", content: BLOCK_TOOL_HANDLERS[tool].pendingReply }];
+  if (userMessage) {
+    newMessages.unshift({ role: "user", content: userMessage });
+  }
+  job.placeholderIndex = (await appendToHistory(sessionId, newMessages)) + newMessages.length - 1;
+
+  // Persist the job before answering, so it can be resumed (and looked up
+  // via /api/bookings) even if the server restarts
+  await saveJob(job);
+
+  // Process the Block job asynchronously - don't await here!
+  withLogContext({ requestId }, () => runToolJob(job));
+  return job;
+}
+
+// Add an event to the job's timeline and save it, with any other changes
+function recordJobEvent(job, event, data, changes = {}) {
+  job.timeline ||= []; // jobs saved before timelines existed
+  job.timeline.push({ at: new Date().toISOString(), event, data });
+  return saveJob(job, changes);
+}
+
+// Block accepted one of the job's calls. The job's own call marks the job
+// running; another keeps its jobId, to be resumed with the job.
+function recordSubmitted(job, call, blockJobId) {
+  if (call === job) {
+    return recordJobEvent(job, "submitted", { blockJobId }, { blockJobId, status: "running" });
+  }
+  call.blockJobId = blockJobId;
+  return recordJobEvent(job, "submitted", { blockJobId, toolCallId: call.toolCallId });
+}
+
+// Run (or resume) a job: wait for the Block job (and those of its
+// otherCalls, side by side), generate the reply, store it in the session in
+// place of the placeholder and report everything on the job's status
+// channel. The job only fails when all of its calls do; the model hears
+// about the ones that failed from their tool results. Once Block is done
+// the job is completed, even if the reply can't be generated.
+async function runToolJob(job) {
+  const { requestId } = job;
+  const tenant = tenants.get(job.tenantId);
+  const blockTool = BLOCK_TOOL_HANDLERS[job.tool];
+
+  // Events are logged on the channel, so a widget that connects late
+  // still gets all of them
+  if (!statusChannels.has(requestId)) {
+    statusChannels.open(requestId);
+  }
+  const log = logger.child({ component: "runToolJob" });
+  const onStatusUpdate = (event, data) => {
+    log.info("Status event", { event, data });
+    statusChannels.publish(requestId, event, data);
+    recordJobEvent(job, event, data);
+  };
+
+  let calls;
+  let results;
+  try {
+    if (!tenant || !blockTool) {
+      throw new Error(`Can't run ${job.tool} for tenant "${job.tenantId}"`);
+    }
+
+    calls = [job, ...(job.otherCalls || [])];
+    const outcomes = await Promise.allSettled(
+      calls.map((call) =>
+        BLOCK_TOOL_HANDLERS[call.tool].run(tenant, call.args, onStatusUpdate, {
+          jobId: call.blockJobId,
+          idempotencyKey: call.idempotencyKey,
+          onSubmitted: (blockJobId) => recordSubmitted(job, call, blockJobId),
+        })
+      )
+    );
+    if (outcomes.every((outcome) => outcome.status === "rejected")) {
+      throw outcomes[0].reason;
+    }
+    results = outcomes.map((outcome, i) => {
+      if (outcome.status === "rejected") {
+        log.warn("Tool call failed", { tool: calls[i].tool, error: outcome.reason });
+        return { error: outcome.reason.message || BLOCK_TOOL_HANDLERS[calls[i].tool].errorReply };
+      }
+      const result = withDisplayTimes(outcome.value, tenant, job.visitorTimeZone);
+      log.info("Tool result", { tool: calls[i].tool, result });
+      return result;
+    });
+  } catch (error) {
+    // Handle Block job errors gracefully
+    log.error("Tool job failed", { tool: job.tool, error });
+    // The tool handlers wrap Block's error (BlockApiError) for the customer
+    const errorClass = (error.cause || error).kind || "internal";
+    metrics.blockJobs.inc({
+      tenant: job.tenantId,
+      tool: job.tool,
+      outcome: errorClass === "timeout" ? "timeout" : "error",
+      error_class: errorClass,
+    });
+
+    const errorMessage = error.message || blockTool?.errorReply || "Unknown error";
+    try {
+      await replaceHistoryMessage(job.sessionId, job.placeholderIndex, `Error: ${errorMessage}`);
+    } catch (e) {
+      log.error("Failed to store error in session", { error: e });
+    }
+    await saveJob(job, { status: "failed", error: errorMessage });
+
+    // Send error message via SSE and close stream
+    onStatusUpdate("error", { message: errorMessage });
+    statusChannels.close(requestId);
+    return;
+  }
+
+  // Block has done its part, so the job is complete whatever happens to the
+  // reply. Record the booking before generating it: a booking lost to a
+  // failed reply would leave the job failed, and a retry would book again.
+  const [toolResult] = results;
+  const booking = toolResult.booking_id ? bookingSummary(toolResult) : null;
+  await saveJob(job, { status: "completed", booking });
+  if (booking) {
+    await addSessionBooking(job.sessionId, booking.id, job.args.customer_phone);
+  }
+  await rememberCustomer(job, toolResult);
+  metrics.blockJobs.inc({ tenant: job.tenantId, tool: job.tool, outcome: "success" });
+  if (blockTool.releasesBooking && booking) {
+    forgetBooking(booking.id);
+  }
+
+  // Generate final assistant message with the tool result. Stream it into
+  // the widget as it's generated; the "final" event below still carries
+  // the complete text. The model is offered the tools /api/chat offered,
+  // but has to answer in text, as on the agent loop's last step: the reply
+  // goes out on the status stream, which can't carry a booking summary or
+  // another job, so whatever comes next (booking one of the open times,
+  // say) waits for the customer's next message.
+  let finalMessage;
+  try {
+    const catalog = await catalogFor(tenant);
+    const second = await llm.chat(
+      {
+        messages: [
+          ...job.llmMessages,
+          ...calls.map((call, i) => ({
+            role: "tool",
+            tool_call_id: call.toolCallId,
+            content: JSON.stringify(results[i]),
+          })),
+        ],
+        tools: toolsFor(catalog),
+        toolChoice: "none",
+      },
+      {
+        // Not logged - one line per token is just noise
+        onDelta: (content) => statusChannels.publish(requestId, "delta", { content }),
+      }
+    );
+    finalMessage = second.content || blockTool.fallbackReply;
+  } catch (error) {
+    log.error("Failed to generate final message", { tool: job.tool, error });
+    finalMessage = blockTool.fallbackReply;
+  }
+  log.debug("Generated final message", { reply: finalMessage });
+
+  try {
+    await replaceHistoryMessage(job.sessionId, job.placeholderIndex, finalMessage);
+  } catch (e) {
+    // The job itself succeeded, so still deliver the message below
+    log.error("Failed to store final message in session", { error: e });
+  }
+
+  if (booking && blockTool.addsToCalendar) {
+    try {
+      booking.calendar = await calendarLinks(tenant, requestId, booking);
+    } catch (error) {
+      log.error("Failed to build calendar links", { bookingId: booking.id, error });
+    }
+  }
+  await saveJob(job, { reply: finalMessage, booking });
+
+  // Send final message via SSE and close the stream
+  onStatusUpdate("final", { message: finalMessage, ...(booking && { booking }) });
+  statusChannels.close(requestId);
+
+  // After the reply, so a slow mail server doesn't hold it up
+  await notifyCustomer(job, toolResult);
+}
+
+// Pick up the jobs a previous run of the server left unfinished. Jobs with
+// a Block jobId carry on waiting for it; a job that stopped before Block
+// answered its submit can't be checked, so it's failed rather than sent a
+// second time. Finished jobs past JOB_RETENTION are dropped.
+async function resumeUnfinishedJobs() {
+  const log = logger.child({ component: "resumeUnfinishedJobs" });
+  const jobs = await jobStore.list();
+  let resumed = 0;
+
+  for (const job of jobs) {
+    if (job.dedupeKey && isDuplicateOf(job)) {
+      rememberJob(job);
+    }
+
+    if (job.status === "running" && job.blockJobId) {
+      log.info("Resuming job", { tool: job.tool, requestId: job.requestId, correlationId: job.correlationId });
+      withLogContext({ correlationId: job.correlationId, requestId: job.requestId }, () => runToolJob(job));
+      resumed++;
+    } else if (job.status === "submitting" || job.status === "running") {
+      log.warn("Job was interrupted before Block accepted it", {
+        requestId: job.requestId,
+        correlationId: job.correlationId,
+      });
+      const errorMessage =
+        "The server restarted before this request was confirmed, so it may not have gone through";
+      try {
+        await replaceHistoryMessage(job.sessionId, job.placeholderIndex, `Error: ${errorMessage}`);
+      } catch (e) {
+        log.error("Failed to store error in session", { requestId: job.requestId, error: e });
+      }
+      await saveJob(job, { status: "failed", error: errorMessage });
+    } else if (Date.now() - Date.parse(job.updatedAt) > JOB_RETENTION) {
+      await jobStore.delete(job.requestId);
+    }
+  }
+
+  return resumed;
+}
+
+// --- Pending bookings (confirmed by the customer before they're submitted) ---
+
+// A session holds at most one: a newer summary replaces the older one.
+// The record keeps everything startToolJob needs once it's confirmed:
+//   { id, tool, args, toolCallId, llmMessages, visitorTimeZone, dedupeKey,
+//     correlationId, createdAt, expiresAt }
+
+// Store a pending booking with the turn that produced it, resolving with
+// the summary the widget shows on its confirmation card
+async function holdPendingBooking(
+  { tenant, sessionId, tool, args, toolCallId, llmMessages, visitorTimeZone, dedupeKey, userMessage },
+  reply
+) {
+  const now = Date.now();
+  const pending = {
+    id: crypto.randomUUID(),
+    tool,
+    args,
+    toolCallId,
+    llmMessages,
+    visitorTimeZone,
+    dedupeKey: dedupeKey || null,
+    correlationId: getLogContext().correlationId || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PENDING_BOOKING_TTL).toISOString(),
+  };
+
+  await updateSession(sessionStore, sessionId, (session) => {
+    session.pendingBooking = pending;
+    session.history.push({ role: "user", content: userMessage }, { role: "assistant", content: reply });
+  });
+  logger.info("Waiting for confirmation", {
+    component: "holdPendingBooking",
+    pendingBookingId: pending.id,
+    expiresAt: pending.expiresAt,
+  });
+
+  return pendingBookingSummary(pending, tenant);
+}
+
+function pendingBookingSummary(pending, tenant) {
+  const { args } = pending;
+  return {
+    id: pending.id,
+    service: args.service_name,
+    provider: args.provider_name?.trim() || tenant.defaultProvider,
+    startTime: args.start_time,
+    startTimeDisplay: withDisplayTimes({ start_time: args.start_time }, tenant, pending.visitorTimeZone)
+      .start_time_display,
+    customerName: args.customer_name,
+    customerPhone: args.customer_phone,
+    customerEmail: args.customer_email || null,
+    notes: args.notes || null,
+    expiresAt: pending.expiresAt,
+  };
+}
+
+const isExpired = (pending) => Date.parse(pending.expiresAt) <= Date.now();
+
+// Remove the session's pending booking if it's the one named, resolving
+// with it (expired or not) or null. Taking it makes a second Confirm click
+// a no-op.
+async function takePendingBooking(sessionId, id) {
+  let pending = null;
+  await updateSession(sessionStore, sessionId, (session) => {
+    if (session.pendingBooking?.id === id) {
+      pending = session.pendingBooking;
+      delete session.pendingBooking;
+    }
+  });
+  return pending;
+}
+
+// --- Helper: resolve the tenant a request is for ---
+
+// The widget sends its id as "widgetId" in the JSON body or query string.
+// A tenant with allowedOrigins only answers pages on those origins, so one
+// business's widget id can't be embedded on someone else's site.
+function resolveTenant(req) {
+  const tenant = tenants.get(req.body?.widgetId || req.query.widgetId);
+  const origin = req.get("Origin");
+
+  if (
+    tenant &&
+    origin &&
+    tenant.allowedOrigins.length > 0 &&
+    !tenant.allowedOrigins.includes(origin) &&
+    origin !== `${req.protocol}://${req.get("host")}`
+  ) {
+    return null;
+  }
+
+  return tenant;
+}
+
+// --- Helpers: abuse protection for /api/chat ---
+
+// What counts against a Block tool's maxPerSession: jobs started that
+// haven't failed
+async function countSessionUses(session, tool) {
+  const calls = (session.toolCalls || []).filter((call) => call.tool === tool);
+  const jobs = await startedJobs(calls);
+  return jobs.filter((job) => job.status !== "failed").length;
+}
+
+// The jobs these session tool calls started, leaving out any the job store
+// no longer has
+async function startedJobs(calls) {
+  // Lookups that ran together share a job
+  const requestIds = new Set(
+    calls.filter((call) => call.outcome === "started" && call.requestId).map((call) => call.requestId)
+  );
+  const jobs = await Promise.all([...requestIds].map((requestId) => jobStore.get(requestId)));
+  return jobs.filter(Boolean);
+}
+
+// The session's jobs that haven't finished, as { requestId, statusMessage },
+// so a reloaded widget can follow them again
+async function runningJobs(session) {
+  const jobs = await startedJobs(session.toolCalls || []);
+  return jobs
+    .filter((job) => job.status === "submitting" || job.status === "running")
+    .map((job) => ({ requestId: job.requestId, statusMessage: BLOCK_TOOL_HANDLERS[job.tool].statusMessage }));
+}
+
+// Turn a chat message away with a reason the widget can show as is. `code`
+// tells the widget what happened: rate_limited (with retryAfter, in
+// seconds, also sent as Retry-After), message_too_long or challenge_failed.
+function rejectChat(res, tenant, status, code, error, { retryAfter } = {}) {
+  logger.warn("Chat message rejected", { component: "api/chat", tenantId: tenant.id, code });
+  metrics.chatRejected.inc({ tenant: tenant.id, reason: code });
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+  }
+  return res.status(status).json({ error, code, ...(retryAfter && { retryAfter }) });
+}
+
+function rejectRateLimited(res, tenant, { retryAfter }) {
+  return rejectChat(
+    res,
+    tenant,
+    429,
+    "rate_limited",
+    "You're sending messages a little too quickly. Please wait a moment and try again.",
+    { retryAfter: Math.max(1, Math.ceil(retryAfter / 1000)) }
+  );
+}
+
+// --- /api/session endpoint (restore the transcript on reload) ---
+
+app.get("/api/session", async (req, res) => {
+  try {
+    const tenant = resolveTenant(req);
+    if (!tenant) {
+      return res.status(404).json({ error: "Unknown widget" });
+    }
+
+    const session = await getSession(req, tenant);
+    const pending = session?.pendingBooking;
+    const catalog = await catalogFor(tenant);
+    res.json({
+      businessName: tenant.businessName,
+      history: session ? session.history : [],
+      // For the widget's quick-reply chips
+      services: catalog.services.map((service) => service.name),
+      // Still waiting for Confirm, so the widget can show the card again
+      ...(pending && !isExpired(pending) && { pendingBooking: pendingBookingSummary(pending, tenant) }),
+      // Jobs still working, so the widget can pick their status streams up again
+      runningJobs: session ? await runningJobs(session) : [],
+      // The bot challenge: sent back as X-Widget-Token with each message
+      ...(WIDGET_TOKEN_SECRET && {
+        widgetToken: createWidgetToken({ tenantId: tenant.id, ip: req.ip }, WIDGET_TOKEN_SECRET, {
+          ttl: WIDGET_TOKEN_TTL,
+        }),
+      }),
+    });
+  } catch (err) {
+    logger.error("Error in /api/session", { error: err });
+    res.status(500).json({
+      error: err.message || "Unknown server error",
+    });
+  }
+});
+
+// --- /api/pending-bookings endpoints (confirm or discard a booking summary) ---
+
+// Confirm submits the booking as a Block job, answering like /api/chat does
+// when it starts one ({ reply, statusRequestId, statusMessage }).
+app.post("/api/pending-bookings/:id/confirm", async (req, res) => {
+  try {
+    const tenant = resolveTenant(req);
+    if (!tenant) {
+      return res.status(404).json({ error: "Unknown widget" });
+    }
+
+    const session = await getSession(req, tenant);
+    const pending = session && (await takePendingBooking(session.id, req.params.id));
+    if (!pending) {
+      return res.status(404).json({ error: "No booking is waiting for confirmation" });
+    }
+
+    if (isExpired(pending)) {
+      const reply = "That booking summary has expired. Let me know if you'd still like to book and I'll check the time again.";
+      await appendToHistory(session.id, [{ role: "assistant", content: reply }]);
+      await recordToolCall(session.id, pending.toolCallId, { outcome: "expired" });
+      metrics.pendingBookings.inc({ tenant: tenant.id, outcome: "expired" });
+      return res.status(410).json({ error: reply });
+    }
+
+    // Log the booking under the chat request that proposed it
+    continueCorrelation(res, pending.correlationId);
+    const blockTool = BLOCK_TOOL_HANDLERS[pending.tool];
+
+    // The checks the summary passed, again: other bookings may have been
+    // made, or Block started failing, while it waited
+    const refusal =
+      blockTool.maxPerSession && (await countSessionUses(session, pending.tool)) >= blockTool.maxPerSession
+        ? {
+            outcome: "limited",
+            status: 409,
+            reply:
+              "This conversation has reached its booking limit, so nothing new was booked. Please contact the business directly for more appointments.",
+          }
+        : !blockClient.isAvailable() && {
+            outcome: "unavailable",
+            status: 503,
+            reply:
+              "The booking system is temporarily unavailable, so nothing was booked. Please try again in a few minutes.",
+          };
+    if (refusal) {
+      logger.warn("Not booking a confirmed summary", {
+        component: "api/pending-bookings",
+        pendingBookingId: pending.id,
+        outcome: refusal.outcome,
+      });
+      await appendToHistory(session.id, [{ role: "assistant", content: refusal.reply }]);
+      await recordToolCall(session.id, pending.toolCallId, { outcome: refusal.outcome });
+      metrics.pendingBookings.inc({ tenant: tenant.id, outcome: refusal.outcome });
+      return res.status(refusal.status).json({ error: refusal.reply });
+    }
+
+    logger.info("Booking confirmed", { component: "api/pending-bookings", pendingBookingId: pending.id });
+    const job = await startToolJob({
+      ...pending,
+      tenant,
+      sessionId: session.id,
+      attempt: jobAttempts(session, pending.dedupeKey),
+    });
+    await recordToolCall(session.id, pending.toolCallId, {
+      outcome: "started",
+      requestId: job.requestId,
+      dedupeKey: pending.dedupeKey,
+    });
+    metrics.pendingBookings.inc({ tenant: tenant.id, outcome: "confirmed" });
+
+    res.json({
+      reply: blockTool.pendingReply,
+      statusRequestId: job.requestId,
+      statusMessage: blockTool.statusMessage,
+    });
+  } catch (err) {
+    logger.error("Error in /api/pending-bookings confirm", { error: err });
+    res.status(500).json({
+      error: err.message || "Unknown server error",
+    });
+  }
+});
+
+// Edit drops the summary; the customer tells the assistant what to change.
+app.delete("/api/pending-bookings/:id", async (req, res) => {
+  try {
+    const tenant = resolveTenant(req);
+    if (!tenant) {
+      return res.status(404).json({ error: "Unknown widget" });
+    }
+
+    const session = await getSession(req, tenant);
+    const pending = session && (await takePendingBooking(session.id, req.params.id));
+    if (!pending) {
+      return res.status(404).json({ error: "No booking is waiting for confirmation" });
+    }
+
+    const reply = "No problem, nothing has been booked. What would you like to change?";
+    await appendToHistory(session.id, [{ role: "assistant", content: reply }]);
+    await recordToolCall(session.id, pending.toolCallId, { outcome: "discarded" });
+    metrics.pendingBookings.inc({ tenant: tenant.id, outcome: "discarded" });
+    res.json({ reply });
+  } catch (err) {
+    logger.error("Error in /api/pending-bookings discard", { error: err });
+    res.status(500).json({
+      error: err.message || "Unknown server error",
+    });
+  }
+});
+
+// --- /api/status endpoint (SSE for job status updates) ---
+
+// Typed events, each with an id:
+//   status   { state }            job moved to queued / in_progress
+//   progress { message, at }      a message from the job's recentEvents
+//   delta    { content }          a chunk of the final reply as it streams
+//   final    { message, booking? } the complete reply, plus a structured
+//                                  summary when an appointment was affected
+//   error    { message }          the job failed
+//   done     {}                   nothing more will be sent
+// Reconnecting with Last-Event-ID (or ?lastEventId=) resumes after that id.
+// Only the session that started the job gets its stream. EventSource can't
+// send headers, so the embedded widget passes its session id as ?sessionId=.
+
+app.get("/api/status/:requestId", async (req, res) => {
+  const requestId = req.params.requestId;
+
+  let job;
+  try {
+    ({ job } = (await findSessionJob(req, { sessionId: req.query.sessionId })) || {});
+  } catch (err) {
+    logger.error("Error in /api/status", { error: err });
+    return res.status(500).json({ error: err.message || "Unknown server error" });
+  }
+  if (!job || !statusChannels.has(requestId)) {
+    return res.status(404).json({ error: "Unknown or expired status stream" });
+  }
+
+  // Log the stream with the chat request and job it reports on
+  continueCorrelation(res, job.correlationId);
+  addLogContext({ requestId });
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  // Ask EventSource to reconnect quickly if the connection drops
+  res.write("retry: 2000\n\n");
+
+  const lastEventId = Number(req.get("Last-Event-ID") || req.query.lastEventId) || 0;
+  logger.info("Status stream connected", { component: "api/status", lastEventId });
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL);
+
+  const unsubscribe = statusChannels.subscribe(requestId, lastEventId, (entry) => {
+    if (entry === null) {
+      // Channel closed - end the stream
+      clearInterval(heartbeat);
+      res.end();
+      return;
+    }
+    res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  });
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// --- /api/bookings endpoint (look up a Block tool job) ---
+
+// The job named by :requestId with its tenant, when the request comes from
+// the session that started it; otherwise null. sessionId is as for
+// getSession.
+async function findSessionJob(req, { sessionId = null } = {}) {
+  const { requestId } = req.params;
+
+  // Only well-formed ids reach the store (file store uses them as filenames)
+  const job = REQUEST_ID_PATTERN.test(requestId) ? await jobStore.get(requestId) : null;
+  const tenant = job && tenants.get(job.tenantId);
+  const session = tenant && (await getSession(req, tenant, sessionId));
+
+  return session && session.id === job.sessionId ? { job, tenant } : null;
+}
+
+// Lets the widget find out how a job ended when it missed the status
+// stream, e.g. because the server restarted. Only the session that started
+// the job can see it.
+app.get("/api/bookings/:requestId", async (req, res) => {
+  try {
+    const { job } = (await findSessionJob(req)) || {};
+    if (!job) {
+      return res.status(404).json({ error: "Unknown booking request" });
+    }
 
     res.json({
-      reply: finalAssistantMessage.content,
-      history: updatedHistory,
-      ...(bookingRequestId && { statusRequestId: bookingRequestId }),
+      requestId: job.requestId,
+      tool: job.tool,
+      status: job.status,
+      reply: job.reply,
+      booking: job.booking,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    });
+  } catch (err) {
+    logger.error("Error in /api/bookings", { error: err });
+    res.status(500).json({
+      error: err.message || "Unknown server error",
+    });
+  }
+});
+
+// The booking as an iCalendar file, for the widget's "Apple Calendar"
+// button (or any calendar app). Same access rule as above.
+app.get("/api/bookings/:requestId/calendar.ics", async (req, res) => {
+  try {
+    const { job, tenant } = (await findSessionJob(req)) || {};
+    if (!job?.booking || !BLOCK_TOOL_HANDLERS[job.tool]?.addsToCalendar) {
+      return res.status(404).json({ error: "Unknown booking" });
+    }
+
+    const event = await bookingCalendarEvent(tenant, job.booking);
+    res.set({
+      "Content-Type": ICS_CONTENT_TYPE,
+      "Content-Disposition": 'attachment; filename="appointment.ics"',
     });
+    res.send(toIcs(event));
   } catch (err) {
-    console.error("[server] Error in /api/chat:", err);
+    logger.error("Error in /api/bookings calendar", { error: err });
     res.status(500).json({
       error: err.message || "Unknown server error",
     });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`[server] Server listening on http://localhost:${PORT}`);
+// --- /api/webhooks/block endpoint (Block job updates) ---
+
+app.post("/api/webhooks/block", (req, res) => {
+  const secret = process.env.BLOCK_WEBHOOK_SECRET;
+
+  if (!secret) {
+    return res.status(404).json({ error: "Webhooks are not configured" });
+  }
+
+  if (!verifyBlockSignature(req.rawBody, req.get("X-Block-Signature"), secret)) {
+    logger.warn("Rejected webhook with invalid signature", { component: "api/webhooks/block" });
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  // The webhook body mirrors GET /v1/jobs/{jobId}
+  const jobData = req.body || {};
+  const jobId = jobData.jobId;
+
+  if (!jobId) {
+    return res.status(400).json({ error: "Missing 'jobId' in webhook body" });
+  }
+
+  const waiter = jobWebhookWaiters.get(jobId);
+  if (!waiter) {
+    // Job already finished (e.g. via fallback polling) or isn't ours
+    logger.info("No waiting request for job, ignoring", { component: "api/webhooks/block", jobId });
+    return res.status(202).json({ received: true });
+  }
+
+  continueCorrelation(res, waiter.logContext.correlationId);
+  addLogContext({ requestId: waiter.logContext.requestId });
+  logger.info("Job update", { component: "api/webhooks/block", jobId, status: jobData.status });
+  waiter.updates.push(jobData);
+  if (waiter.wake) {
+    waiter.wake();
+  }
+
+  res.json({ received: true });
+});
+
+// --- /metrics endpoint (Prometheus scrape target) ---
+
+// Open unless METRICS_TOKEN is set; then scrapers send it as a bearer token.
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const digest = (value) => crypto.createHash("sha256").update(value).digest();
+    const [scheme, sent] = (req.get("Authorization") || "").split(" ");
+    if (scheme !== "Bearer" || !sent || !crypto.timingSafeEqual(digest(sent), digest(token))) {
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).json({ error: "Authentication required" });
+    }
+  }
+
+  res.type(METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
+
+// --- /admin (dashboard for staff investigating conversations and bookings) ---
+
+// HTTP Basic auth as ADMIN_USER (default "admin") / ADMIN_PASSWORD. Without
+// ADMIN_PASSWORD the dashboard is off.
+function requireAdmin(req, res, next) {
+  const password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    return res.status(404).json({ error: "The admin dashboard is not configured" });
+  }
+
+  const [scheme, encoded] = (req.get("Authorization") || "").split(" ");
+  const credentials = scheme === "Basic" && encoded ? Buffer.from(encoded, "base64").toString("utf8") : "";
+  const separator = credentials.indexOf(":");
+
+  // Compare digests so the check takes as long whatever was sent
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const valid =
+    separator > 0 &&
+    crypto.timingSafeEqual(digest(credentials.slice(0, separator)), digest(process.env.ADMIN_USER || "admin")) &&
+    crypto.timingSafeEqual(digest(credentials.slice(separator + 1)), digest(password));
+
+  if (!valid) {
+    res.set("WWW-Authenticate", 'Basic realm="Booking admin", charset="UTF-8"');
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+}
+
+// Run an admin API handler, answering 400 for bad filters
+const adminRoute = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (err) {
+    if (err instanceof RangeError) {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.error("Error in admin API", { component: "admin", path: req.path, error: err });
+    res.status(500).json({ error: err.message || "Unknown server error" });
+  }
+};
+
+app.use("/admin", requireAdmin);
+
+// Bookings and other Block tool jobs; filters as in lib/admin.js
+app.get(
+  "/admin/api/jobs",
+  adminRoute(async (req, res) => {
+    const filters = parseAdminFilters(req.query);
+    const jobs = filterJobs(await jobStore.list(), filters);
+    res.json({ jobs: jobs.map(summarizeJob) });
+  })
+);
+
+// One job with its arguments, Block jobId and status timeline
+app.get(
+  "/admin/api/jobs/:requestId",
+  adminRoute(async (req, res) => {
+    const { requestId } = req.params;
+    const job = REQUEST_ID_PATTERN.test(requestId) ? await jobStore.get(requestId) : null;
+    if (!job) {
+      return res.status(404).json({ error: "Unknown job" });
+    }
+    res.json({ job: jobDetails(job) });
+  })
+);
+
+app.get(
+  "/admin/api/conversations",
+  adminRoute(async (req, res) => {
+    const filters = parseAdminFilters(req.query);
+    const jobsBySession = groupJobsBySession(await jobStore.list());
+    const sessions = filterConversations(await sessionStore.list(), jobsBySession, filters);
+    res.json({
+      conversations: sessions.map((session) => summarizeConversation(session, jobsBySession.get(session.id) || [])),
+    });
+  })
+);
+
+// One conversation: transcript, the tool calls the model made and what
+// became of each, and its jobs in full
+app.get(
+  "/admin/api/conversations/:id",
+  adminRoute(async (req, res) => {
+    const { id } = req.params;
+    const session = SESSION_ID_PATTERN.test(id) ? await sessionStore.get(id) : null;
+    if (!session) {
+      return res.status(404).json({ error: "Unknown conversation" });
+    }
+
+    const jobs = (await jobStore.list()).filter((job) => job.sessionId === session.id);
+    const tenant = tenants.get(session.tenantId);
+    res.json({
+      conversation: {
+        id: session.id,
+        tenantId: session.tenantId,
+        visitorTimezone: session.visitorTimezone || null,
+        history: session.history,
+        toolCalls: session.toolCalls || [],
+        pendingBooking:
+          session.pendingBooking && tenant ? pendingBookingSummary(session.pendingBooking, tenant) : null,
+        jobs: jobs.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt)).map(jobDetails),
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+      },
+    });
+  })
+);
+
+// The dashboard page itself
+app.use("/admin", express.static("admin"));
+
+// --- Helper: resolve one of the model's tool calls ---
+
+// Decide what a tool call comes to without starting anything:
+//   { toolCall, result }                      answered now (an inline tool,
+//                                             or a call that can't run);
+//                                             result goes back to the model
+//                                             as the tool result
+//   { toolCall, blockTool, args, dedupeKey }  a Block action to start (or
+//                                             hold for confirmation)
+// Calls answered here are recorded with noteToolCall. A repeat of a job
+// that's still running also carries its statusRequestId, so the widget can
+// follow it. toolUses counts the calls let through earlier in the same
+// request (per tool), which the session doesn't show yet.
+async function resolveToolCall(
+  toolCall,
+  { tenant, session, catalog, visitorTimeZone, ip, log, noteToolCall, toolUses }
+) {
+  const fn = toolCall.function;
+  const blockTool = BLOCK_TOOL_HANDLERS[fn.name];
+  const inlineTool = INLINE_TOOL_HANDLERS[fn.name];
+  const handler = blockTool || inlineTool;
+  const answer = async (result, changes) => {
+    await noteToolCall(toolCall, changes);
+    return { toolCall, result };
+  };
+  // Counts this call as a use unless the tool is over its limit
+  const overLimit = async () => {
+    if (!handler.maxPerSession) {
+      return false;
+    }
+    const used = (await countSessionUses(session, fn.name)) + (toolUses.get(fn.name) || 0);
+    if (used >= handler.maxPerSession) {
+      return true;
+    }
+    toolUses.set(fn.name, (toolUses.get(fn.name) || 0) + 1);
+    return false;
+  };
+  const limitReached = () => {
+    log.warn("Limit reached, not running tool", { tool: fn.name, limit: handler.maxPerSession });
+    const error = handler.maxPerSession ? `${handler.limitError} (Limit: ${handler.maxPerSession})` : handler.limitError;
+    return answer({ error }, { outcome: "limited" });
+  };
+
+  if (!handler || !isToolOffered(fn.name)) {
+    return answer({ error: `Unknown tool: ${fn.name}` }, { outcome: "unknown_tool" });
+  }
+
+  let args;
+  try {
+    args = handler.prepare(
+      tenant,
+      validateToolArguments(TOOL_PARAMETERS[fn.name], parseToolArguments(fn.arguments)),
+      catalog
+    );
+  } catch (error) {
+    if (!(error instanceof ToolArgumentError)) throw error;
+
+    log.info("Rejected tool arguments", { tool: fn.name, reason: error.message });
+    return answer({ error: error.message }, { outcome: "rejected", error: error.message });
+  }
+
+  log.info("Calling tool", { tool: fn.name, args });
+
+  if (inlineTool) {
+    if (inlineTool.isRateLimited?.(tenant, args, { ip })) {
+      return limitReached();
+    }
+    return answer(await inlineTool.run(tenant, args, { session, visitorTimeZone }), { outcome: "answered" });
+  }
+
+  // A booking id, or a phone number and time, don't prove the appointment
+  // is the customer's
+  if (blockTool.ownBookingOnly && !ownsAppointment(session, args)) {
+    const error = CUSTOMER_LOOKUP_ENABLED
+      ? "That appointment wasn't booked or verified in this conversation, so it can't be changed here. Look the customer up with find_customer and have them verify with the code it sends; then use a booking ID that verify_customer returns."
+      : "That appointment wasn't booked in this conversation, so it can't be changed here. Ask the customer to contact the business directly to change it.";
+    log.info("Rejected appointment not owned by the session", { tool: fn.name });
+    return answer({ error }, { outcome: "rejected", error });
+  }
+
+  // The same request made again (a resend, the model repeating itself, a
+  // browser retry) gets the existing job back
+  const dedupeKey = blockTool.identify && jobDedupeKey(session.id, fn.name, blockTool.identify(tenant, args));
+  const previous = dedupeKey && recentJobs.get(dedupeKey);
+  if (previous && isDuplicateOf(previous)) {
+    log.info("Repeated tool call, not running it again", {
+      tool: fn.name,
+      previousRequestId: previous.requestId,
+      previousStatus: previous.status,
+    });
+    const duplicate = await answer(duplicateJobResult(previous), {
+      outcome: "duplicate",
+      requestId: previous.requestId,
+    });
+    // A job still running keeps reporting on its own status stream
+    return previous.status === "completed" ? duplicate : { ...duplicate, statusRequestId: previous.requestId };
+  }
+
+  // A conversation can only make so many bookings
+  if (await overLimit()) {
+    return limitReached();
+  }
+
+  // Block has been failing: say so now rather than start a job that can't
+  // succeed
+  if (!blockClient.isAvailable()) {
+    log.warn("Block API unavailable, not running tool", { tool: fn.name });
+    return answer(
+      {
+        error:
+          "The booking system is temporarily unavailable. Apologize and ask the customer to try again in a few minutes; nothing was booked or changed.",
+      },
+      { outcome: "unavailable" }
+    );
+  }
+
+  return { toolCall, blockTool, args, dedupeKey };
+}
+
+// --- /api/chat endpoint ---
+
+app.post("/api/chat", async (req, res) => {
+  const log = logger.child({ component: "api/chat" });
+  let eventStream = null;
+
+  try {
+    const { message, timezone } = req.body;
+
+    if (!message || typeof message !== "string") {
+      return res.status(400).json({ error: "Missing 'message' in request body" });
+    }
+
+    // History is the server-side array of { role, content } from previous
+    // turns; clients can't inject system or tool messages into it.
+    const tenant = resolveTenant(req);
+    if (!tenant) {
+      return res.status(404).json({ error: "Unknown widget" });
+    }
+
+    // Cheap checks first, before a session is made or the model called
+    if (
+      WIDGET_TOKEN_SECRET &&
+      !verifyWidgetToken(req.get("X-Widget-Token"), { tenantId: tenant.id, ip: req.ip }, WIDGET_TOKEN_SECRET)
+    ) {
+      return rejectChat(res, tenant, 403, "challenge_failed", "Please reload the page and try again.");
+    }
+    const ipLimit = chatLimiters.ip.hit(req.ip);
+    if (!ipLimit.allowed) {
+      return rejectRateLimited(res, tenant, ipLimit);
+    }
+    if (MAX_MESSAGE_LENGTH && message.length > MAX_MESSAGE_LENGTH) {
+      return rejectChat(
+        res,
+        tenant,
+        413,
+        "message_too_long",
+        `That message is too long. Please keep it under ${MAX_MESSAGE_LENGTH} characters.`
+      );
+    }
+
+    const { session, isNew: isNewSession } = await loadSession(req, res, tenant);
+    addLogContext({ tenantId: tenant.id, sessionId: session.id });
+    const sessionLimit = chatLimiters.session.hit(session.id);
+    if (!sessionLimit.allowed) {
+      return rejectRateLimited(res, tenant, sessionLimit);
+    }
+    metrics.chatMessages.inc({ tenant: tenant.id });
+    const priorMessages = MAX_HISTORY_MESSAGES ? session.history.slice(-MAX_HISTORY_MESSAGES) : session.history;
+
+    // The browser reports the visitor's timezone so confirmations can show
+    // both zones when it differs from the business's
+    if (isValidTimeZone(timezone) && timezone !== session.visitorTimezone) {
+      if (!isNewSession) {
+        await updateSession(sessionStore, session.id, (stored) => {
+          stored.visitorTimezone = timezone;
+        });
+      }
+      session.visitorTimezone = timezone;
+    }
+    const visitorTimeZone = session.visitorTimezone || null;
+    const catalog = await catalogFor(tenant);
+    const tools = toolsFor(catalog);
+
+    const messages = [
+      { role: "system", content: getSystemPrompt(tenant, visitorTimeZone, catalog) },
+      ...priorMessages,
+      { role: "user", content: message },
+    ];
+
+    // Stream reply text to clients that ask for it; others get plain JSON
+    if (req.get("Accept")?.includes("text/event-stream")) {
+      eventStream = startEventStream(res);
+    }
+    const respond = (body) => (eventStream ? eventStream.end("done", body) : res.json(body));
+    const streamCallbacks = eventStream && {
+      onDelta: (content) => eventStream.send("delta", { content }),
+      onToolCall: (name) => eventStream.send("tool", { name }),
+    };
+
+    const noteToolCall = (toolCall, changes) => {
+      metrics.toolCalls.inc({ tenant: tenant.id, tool: toolCall.function.name, outcome: changes.outcome });
+      return recordToolCall(session.id, toolCall.id, {
+        tool: toolCall.function.name,
+        arguments: toolCall.function.arguments,
+        ...changes,
+      });
+    };
+    const toolContext = {
+      tenant,
+      session,
+      catalog,
+      visitorTimeZone,
+      ip: req.ip,
+      log,
+      noteToolCall,
+      toolUses: new Map(),
+    };
+
+    // The agent loop: the model calls tools, gets every result back and goes
+    // again, until it answers in text (or starts a Block action, which
+    // answers later over the status stream). The last step allowed has to
+    // answer in text.
+    let assistantMessage;
+    let statusRequestId = null;
+
+    for (let step = 1; ; step++) {
+      const lastStep = step >= MAX_AGENT_STEPS;
+      assistantMessage = await llm.chat(
+        {
+          messages,
+          // Tools stay defined on the last step (some providers require it
+          // once tool calls are in the transcript), but can't be called
+          tools,
+          ...(lastStep && { toolChoice: "none" }),
+        },
+        streamCallbacks || {}
+      );
+
+      // A new visitor's session is stored once the model has answered, when
+      // there's a turn to keep
+      if (isNewSession && step === 1) {
+        await sessionStore.save(session);
+      }
+
+      const toolCalls = (assistantMessage.tool_calls || []).filter((toolCall) => toolCall.function);
+      if (toolCalls.length === 0 || lastStep) {
+        break;
+      }
+      messages.push(assistantMessage);
+
+      // The calls are resolved at once. No Block action starts here, but
+      // inline tools run (find_customer sends its code), each against the
+      // session as it was at the start of the step.
+      const resolved = await Promise.all(toolCalls.map((toolCall) => resolveToolCall(toolCall, toolContext)));
+      // Later steps see what they changed (verify_customer's bookings, say)
+      if (resolved.some(({ toolCall }) => INLINE_TOOL_HANDLERS[toolCall.function.name]?.updatesSession)) {
+        toolContext.session = (await sessionStore.get(session.id)) || toolContext.session;
+      }
+      statusRequestId = resolved.find((call) => call.statusRequestId)?.statusRequestId || statusRequestId;
+
+      // Lookups only read, so all of the turn's run, side by side in one
+      // job. Otherwise one Block action runs per turn, as actions that
+      // change bookings can depend on each other; the model is asked to make
+      // the others once it has finished.
+      const actions = resolved.filter((call) => call.blockTool);
+      const lookups = actions.filter((call) => call.blockTool.readOnly);
+      const running = lookups.length > 0 ? lookups : actions.slice(0, 1);
+      const [action, ...otherLookups] = running;
+      for (const extra of actions.filter((call) => !running.includes(call))) {
+        log.info("Another Block action in the same turn, not running it", { tool: extra.toolCall.function.name });
+        await noteToolCall(extra.toolCall, { outcome: "skipped" });
+        extra.result = {
+          status: "not_started",
+          message: `Changes to bookings run on their own, one at a time, and ${action.toolCall.function.name} is running, so this one wasn't started. Offer to do it once that has finished.`,
+        };
+      }
+
+      const toolMessages = resolved
+        .filter((call) => !running.includes(call))
+        .map(({ toolCall, result }) => ({ role: "tool", tool_call_id: toolCall.id, content: JSON.stringify(result) }));
+
+      if (!action) {
+        messages.push(...toolMessages);
+        continue;
+      }
+
+      const { toolCall, blockTool, args, dedupeKey } = action;
+      const jobParams = {
+        tenant,
+        sessionId: session.id,
+        tool: toolCall.function.name,
+        args,
+        toolCallId: toolCall.id,
+        // The action's own result is added once its job has finished
+        llmMessages: [...messages, ...toolMessages],
+        visitorTimeZone,
+        dedupeKey,
+        otherCalls: otherLookups.map((call) => ({
+          tool: call.toolCall.function.name,
+          args: call.args,
+          toolCallId: call.toolCall.id,
+        })),
+        userMessage: message,
+      };
+
+      // Bookings wait for the customer to press Confirm on a summary
+      if (blockTool.needsConfirmation) {
+        const pendingBooking = await holdPendingBooking(jobParams, blockTool.confirmReply);
+        await noteToolCall(toolCall, { outcome: "awaiting_confirmation", pendingBookingId: pendingBooking.id });
+        return respond({ reply: blockTool.confirmReply, pendingBooking });
+      }
+
+      const job = await startToolJob({ ...jobParams, attempt: jobAttempts(toolContext.session, dedupeKey) });
+      await noteToolCall(toolCall, { outcome: "started", requestId: job.requestId, dedupeKey });
+      for (const lookup of otherLookups) {
+        await noteToolCall(lookup.toolCall, { outcome: "started", requestId: job.requestId });
+      }
+
+      // Return immediately with placeholder message and statusRequestId
+      // The actual result will come via SSE
+      return respond({
+        reply: blockTool.pendingReply,
+        statusRequestId: job.requestId,
+        statusMessage: blockTool.statusMessage,
+      });
+    }
+
+    // Store only user + assistant messages in the session
+
+    await appendToHistory(session.id, [
+      { role: "user", content: message },
+      { role: "assistant", content: assistantMessage.content },
+    ]);
+
+    respond({
+      reply: assistantMessage.content,
+      ...(statusRequestId && { statusRequestId: statusRequestId }),
+    });
+  } catch (err) {
+    log.error("Error in /api/chat", { error: err });
+    metrics.chatErrors.inc({ tenant: getLogContext().tenantId });
+    const error = err.message || "Unknown server error";
+    if (eventStream) {
+      // Headers are already sent, so report the failure in-stream
+      eventStream.end("error", { error });
+    } else {
+      res.status(500).json({ error });
+    }
+  }
 });
 
+// Only listen when run directly; the tests import the app and listen on
+// a random port themselves
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    logger.info(`Server listening on http://localhost:${PORT}`, { component: "server" });
+  });
+
+  resumeUnfinishedJobs()
+    .then((count) => count && logger.info("Resumed unfinished jobs", { component: "server", count }))
+    .catch((error) => logger.error("Failed to resume unfinished jobs", { component: "server", error }));
+
+  pruneExpiredSessions();
+  setInterval(() => pruneExpiredSessions(), SESSION_PRUNE_INTERVAL);
+
+  if (REMINDER_LEAD > 0) {
+    setInterval(() => sendDueReminders(), REMINDER_CHECK_INTERVAL);
+  }
+}
+
+export { app, pruneExpiredSessions, resumeUnfinishedJobs, sendDueReminders };
+
@@ -0,0 +1,128 @@
+// test/admin.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createClient } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer({ env: { ADMIN_USER: "staff", ADMIN_PASSWORD: "s3cret:pass" } });
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+const AUTH = `Basic ${Buffer.from("staff:s3cret:pass").toString("base64")}`;
+
+async function admin(path, auth = AUTH) {
+  const res = await fetch(`${server.url}${path}`, { headers: auth ? { Authorization: auth } : {} });
+  const type = res.headers.get("Content-Type") || "";
+  return { status: res.status, headers: res.headers, body: type.includes("json") ? await res.json() : await res.text() };
+}
+
+const BOOKING_ARGS = {
+  customer_name: "Jane Doe",
+  customer_phone: "(206) 555-1212",
+  service_name: "Haircut",
+  start_time: "2030-11-20T10:00:00",
+};
+
+// A confirmed booking, followed to the end; resolves with its requestId
+async function book(client, args = BOOKING_ARGS) {
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: args }] });
+  server.llm.reply({ content: "You're booked!" });
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  await client.readStatusStream(body.statusRequestId);
+  return body.statusRequestId;
+}
+
+test("asks for credentials", async () => {
+  const missing = await admin("/admin/api/jobs", null);
+  assert.equal(missing.status, 401);
+  assert.match(missing.headers.get("WWW-Authenticate"), /^Basic realm=/);
+
+  const wrong = await admin("/admin/api/jobs", `Basic ${Buffer.from("staff:nope").toString("base64")}`);
+  assert.equal(wrong.status, 401);
+
+  const page = await admin("/admin/");
+  assert.equal(page.status, 200);
+  assert.match(page.body, /Booking admin/);
+});
+
+test("lists bookings with their Block job and status timeline", async () => {
+  server.block.script({
+    steps: [
+      { status: "in_progress", events: ["Contacting the salon..."] },
+      { status: "success", result: { appointmentId: "appt_7" } },
+    ],
+  });
+  const requestId = await book(createClient(server.url));
+
+  const { body } = await admin("/admin/api/jobs?q=555-1212");
+  const listed = body.jobs.find((job) => job.requestId === requestId);
+  assert.equal(listed.status, "completed");
+  assert.equal(listed.customerPhone, "+12065551212");
+  assert.match(listed.blockJobId, /^job_/);
+
+  const { body: detail } = await admin(`/admin/api/jobs/${requestId}`);
+  assert.equal(detail.job.llmMessages, undefined);
+  assert.deepEqual(
+    detail.job.timeline.map(({ event, data }) => [event, data.state || data.message || data.blockJobId]),
+    [
+      ["submitted", listed.blockJobId],
+      ["status", "in_progress"],
+      ["progress", "Contacting the salon..."],
+      ["final", "You're booked!"],
+    ]
+  );
+});
+
+test("filters bookings by status and date", async () => {
+  server.block.script({ steps: [{ status: "error", errorMessage: "Slot taken" }] });
+  const failedId = await book(createClient(server.url), { ...BOOKING_ARGS, start_time: "2030-11-21T10:00:00" });
+  server.llm.reset(); // no reply is written for a failed job
+
+  const { body: failed } = await admin("/admin/api/jobs?status=failed");
+  assert.ok(failed.jobs.length > 0);
+  assert.ok(failed.jobs.every((job) => job.status === "failed"));
+  assert.equal(failed.jobs[0].requestId, failedId);
+  assert.match(failed.jobs[0].error, /Slot taken/);
+
+  const { body: old } = await admin("/admin/api/jobs?to=2020-01-01");
+  assert.deepEqual(old.jobs, []);
+
+  const invalid = await admin("/admin/api/jobs?from=yesterday");
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /Invalid "from" date/);
+});
+
+test("shows a conversation with the tool calls the model made", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: { ...BOOKING_ARGS, customer_phone: "12" } }] });
+  server.llm.reply({ content: "What's your full phone number?" });
+  await client.chat("Book me a haircut");
+  const requestId = await book(client);
+
+  const { body: list } = await admin("/admin/api/conversations?q=full%20phone%20number");
+  assert.equal(list.conversations.length, 1);
+  const [summary] = list.conversations;
+  assert.deepEqual(summary.jobs.map((job) => job.requestId), [requestId]);
+
+  const { body } = await admin(`/admin/api/conversations/${summary.id}`);
+  const { conversation } = body;
+  assert.equal(conversation.history[1].content, "What's your full phone number?");
+  assert.deepEqual(
+    conversation.toolCalls.map((call) => [call.tool, call.outcome]),
+    [
+      ["book_appointment", "rejected"],
+      ["book_appointment", "started"],
+    ]
+  );
+  assert.match(conversation.toolCalls[0].error, /customer_phone/);
+  assert.equal(conversation.toolCalls[1].requestId, requestId);
+  assert.equal(conversation.jobs[0].requestId, requestId);
+
+  assert.equal((await admin("/admin/api/conversations/not-a-session")).status, 404);
+});
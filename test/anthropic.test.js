@@ -0,0 +1,179 @@
+// test/anthropic.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import {
+  createAnthropicLlm,
+  fromAnthropicMessage,
+  toAnthropicMessages,
+  toAnthropicTools,
+} from "../lib/llm/anthropic.js";
+
+const TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "get_availability",
+      description: "Look up open slots.",
+      parameters: { type: "object", properties: { service_name: { type: "string" } }, required: ["service_name"] },
+    },
+  },
+];
+
+const toolCall = (id, name, args) => ({ id, type: "function", function: { name, arguments: JSON.stringify(args) } });
+
+test("translates tools", () => {
+  assert.deepEqual(toAnthropicTools(TOOLS), [
+    {
+      name: "get_availability",
+      description: "Look up open slots.",
+      input_schema: TOOLS[0].function.parameters,
+    },
+  ]);
+});
+
+test("translates a transcript with tool calls", () => {
+  const { system, messages } = toAnthropicMessages([
+    { role: "system", content: "You book appointments." },
+    { role: "system", content: "Be brief." },
+    { role: "user", content: "Any haircuts Friday or Saturday?" },
+    {
+      role: "assistant",
+      content: "Let me check.",
+      tool_calls: [
+        toolCall("call_1", "get_availability", { service_name: "Haircut", start_date: "2030-11-22" }),
+        toolCall("call_2", "get_availability", { service_name: "Haircut", start_date: "2030-11-23" }),
+      ],
+    },
+    { role: "tool", tool_call_id: "call_1", content: '{"slots":[]}' },
+    { role: "tool", tool_call_id: "call_2", content: '{"slots":["10:00"]}' },
+    { role: "user", content: "Saturday then" },
+    { role: "assistant", content: null },
+  ]);
+
+  assert.equal(system, "You book appointments.\n\nBe brief.");
+  // Tool results are a user turn, merged with the next user message, and
+  // an empty assistant message is dropped
+  assert.deepEqual(
+    messages.map((message) => message.role),
+    ["user", "assistant", "user"]
+  );
+  const input = (start_date) => ({ service_name: "Haircut", start_date });
+  assert.deepEqual(messages[1].content, [
+    { type: "text", text: "Let me check." },
+    { type: "tool_use", id: "call_1", name: "get_availability", input: input("2030-11-22") },
+    { type: "tool_use", id: "call_2", name: "get_availability", input: input("2030-11-23") },
+  ]);
+  assert.deepEqual(messages[2].content, [
+    { type: "tool_result", tool_use_id: "call_1", content: '{"slots":[]}' },
+    { type: "tool_result", tool_use_id: "call_2", content: '{"slots":["10:00"]}' },
+    { type: "text", text: "Saturday then" },
+  ]);
+});
+
+test("translates the reply back", () => {
+  assert.deepEqual(
+    fromAnthropicMessage({
+      content: [
+        { type: "text", text: "Checking " },
+        { type: "text", text: "now." },
+        { type: "tool_use", id: "toolu_1", name: "get_availability", input: { service_name: "Haircut" } },
+      ],
+    }),
+    {
+      role: "assistant",
+      content: "Checking now.",
+      tool_calls: [toolCall("toolu_1", "get_availability", { service_name: "Haircut" })],
+    }
+  );
+  assert.deepEqual(fromAnthropicMessage({ content: [] }), { role: "assistant", content: null });
+});
+
+// --- chat() against a stand-in Messages API ---
+
+// Streams the reply the way POST /v1/messages does with stream: true, and
+// keeps each request body in `requests`
+async function startFakeMessagesApi() {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const part of req) body += part;
+    requests.push(JSON.parse(body));
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    send("message_start", {
+      message: {
+        id: "msg_1",
+        type: "message",
+        role: "assistant",
+        model: "claude-test",
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 10, output_tokens: 0 },
+      },
+    });
+    send("content_block_start", { index: 0, content_block: { type: "text", text: "" } });
+    send("content_block_delta", { index: 0, delta: { type: "text_delta", text: "Let me " } });
+    send("content_block_delta", { index: 0, delta: { type: "text_delta", text: "check." } });
+    send("content_block_stop", { index: 0 });
+    send("content_block_start", {
+      index: 1,
+      content_block: { type: "tool_use", id: "toolu_1", name: "get_availability", input: {} },
+    });
+    send("content_block_delta", { index: 1, delta: { type: "input_json_delta", partial_json: '{"service_name":' } });
+    send("content_block_delta", { index: 1, delta: { type: "input_json_delta", partial_json: '"Haircut"}' } });
+    send("content_block_stop", { index: 1 });
+    send("message_delta", { delta: { stop_reason: "tool_use", stop_sequence: null }, usage: { output_tokens: 12 } });
+    send("message_stop", {});
+    res.end();
+  });
+  server.listen(0);
+  await once(server, "listening");
+
+  return { url: `http://localhost:${server.address().port}`, requests, close: () => server.close() };
+}
+
+test("streams a reply with tool calls through the Messages API", async () => {
+  const api = await startFakeMessagesApi();
+  try {
+    const llm = createAnthropicLlm({ apiKey: "sk-ant-test", baseURL: api.url, model: "claude-test" });
+    const deltas = [];
+    const toolNames = [];
+
+    const message = await llm.chat(
+      {
+        messages: [
+          { role: "system", content: "You book appointments." },
+          { role: "user", content: "Any haircuts?" },
+        ],
+        tools: TOOLS,
+      },
+      { onDelta: (text) => deltas.push(text), onToolCall: (name) => toolNames.push(name) }
+    );
+
+    assert.deepEqual(message, {
+      role: "assistant",
+      content: "Let me check.",
+      tool_calls: [toolCall("toolu_1", "get_availability", { service_name: "Haircut" })],
+    });
+    assert.deepEqual(deltas, ["Let me ", "check."]);
+    assert.deepEqual(toolNames, ["get_availability"]);
+
+    const [request] = api.requests;
+    assert.equal(request.model, "claude-test");
+    assert.equal(request.system, "You book appointments.");
+    assert.deepEqual(request.messages, [{ role: "user", content: [{ type: "text", text: "Any haircuts?" }] }]);
+    assert.equal(request.tools[0].name, "get_availability");
+    assert.deepEqual(request.tool_choice, { type: "auto" });
+
+    // The last agent step keeps the tools defined but can't call them
+    await llm.chat({ messages: [{ role: "user", content: "Hi" }], tools: TOOLS, toolChoice: "none" });
+    assert.deepEqual(api.requests[1].tool_choice, { type: "none" });
+  } finally {
+    api.close();
+  }
+});
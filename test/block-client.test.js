@@ -0,0 +1,107 @@
+// test/block-client.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createBlockClient } from "../lib/block-client.js";
+import { startMockBlockApi } from "./mocks/block-api.js";
+
+let block;
+
+before(async () => {
+  process.env.LOG_LEVEL = process.env.TEST_VERBOSE ? "debug" : "silent";
+  block = await startMockBlockApi({ apiKey: "block_key_test" });
+});
+
+after(() => block.close());
+
+beforeEach(() => block.reset());
+
+const client = (options = {}) =>
+  createBlockClient({ baseUrl: block.url, retryBaseDelay: 5, ...options });
+
+const submit = (blockClient, idempotencyKey) =>
+  blockClient.submitAction({
+    apiKey: "block_key_test",
+    connectionId: "conn_test",
+    action: "BookAppointment",
+    payload: {},
+    idempotencyKey,
+  });
+
+test("retries a transient poll failure", async () => {
+  block.script({ steps: [{ status: "success" }], pollStatus: 503, pollFailures: 2 });
+  const blockClient = client();
+
+  const jobId = await submit(blockClient);
+  const job = await blockClient.getJob({ apiKey: "block_key_test", jobId });
+
+  assert.equal(job.status, "success");
+});
+
+test("gives up after maxRetries", async () => {
+  block.script({ steps: [{ status: "success" }], pollStatus: 500 });
+  const blockClient = client({ maxRetries: 2 });
+
+  const jobId = await submit(blockClient);
+  await assert.rejects(blockClient.getJob({ apiKey: "block_key_test", jobId }), {
+    name: "BlockApiError",
+    kind: "transient",
+    status: 500,
+    message: /job polling error \(500\)/,
+  });
+});
+
+test("waits for Retry-After on a rate limit", async () => {
+  block.script({ steps: [{ status: "success" }], pollStatus: 429, pollFailures: 1, retryAfter: 0.2 });
+  const blockClient = client();
+
+  const jobId = await submit(blockClient);
+  const started = Date.now();
+  await blockClient.getJob({ apiKey: "block_key_test", jobId });
+
+  assert.ok(Date.now() - started >= 190);
+});
+
+test("doesn't retry auth or validation errors", async () => {
+  const blockClient = client();
+
+  await assert.rejects(
+    blockClient.getJob({ apiKey: "wrong_key", jobId: "job_1" }),
+    { kind: "auth", status: 401 }
+  );
+  await assert.rejects(
+    blockClient.getJob({ apiKey: "block_key_test", jobId: "job_missing" }),
+    { kind: "validation", status: 404 }
+  );
+});
+
+test("retries a submit only when it has an idempotency key", async () => {
+  block.script({ submitStatus: 503, submitFailures: 1 });
+  await assert.rejects(submit(client()), { kind: "transient", status: 503 });
+  assert.equal(block.submitAttempts.length, 1);
+
+  block.reset();
+  block.script({ submitStatus: 503, submitFailures: 1 });
+  assert.match(await submit(client(), "key_1"), /^job_/);
+  assert.equal(block.submitAttempts.length, 2);
+});
+
+test("opens the circuit breaker after repeated failures, then tries again", async () => {
+  block.script({ submitStatus: 503 });
+  const blockClient = client({ maxRetries: 0, breakerThreshold: 2, breakerCooldown: 100 });
+
+  await assert.rejects(submit(blockClient, "key_1"), { kind: "transient" });
+  assert.equal(blockClient.isAvailable(), true);
+  await assert.rejects(submit(blockClient, "key_1"), { kind: "transient" });
+  assert.equal(blockClient.isAvailable(), false);
+
+  // Open: fails without reaching Block
+  await assert.rejects(submit(blockClient, "key_1"), { kind: "unavailable" });
+  assert.equal(block.submitAttempts.length, 2);
+
+  // After the cooldown one call goes through, and success closes it
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  block.reset();
+  assert.match(await submit(blockClient, "key_1"), /^job_/);
+  assert.equal(blockClient.isAvailable(), true);
+});
@@ -0,0 +1,626 @@
+// test/booking.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createClient } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  // Long enough for every scripted job, short enough to test the timeout
+  server = await startTestServer({
+    env: {
+      BLOCK_JOB_TIMEOUT_MS: "1000",
+      BLOCK_BREAKER_THRESHOLD: "3",
+      BLOCK_BREAKER_COOLDOWN_MS: "300",
+      PENDING_BOOKING_TTL_MS: "500",
+    },
+  });
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+const BOOKING_ARGS = {
+  customer_name: "Jane Q Doe",
+  customer_phone: "+12065551212",
+  service_name: "Haircut",
+  start_time: "2030-11-20T10:00:00",
+  provider_name: "Carl Morris",
+};
+
+// Ask for a booking and follow its status stream to the end
+async function book(args = BOOKING_ARGS, finalReply = "You're booked!") {
+  const client = createClient(server.url);
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: args }] });
+  server.llm.reply({ content: finalReply });
+
+  const { body, pendingBooking } = await client.chatAndConfirm("Book me a haircut");
+  const statuses = body.statusRequestId ? await client.readStatusStream(body.statusRequestId) : [];
+  return { client, body, pendingBooking, statuses };
+}
+
+test("books through the Block job flow and streams status updates", async () => {
+  server.block.script({
+    steps: [
+      { status: "queued" },
+      { status: "in_progress", events: ["Contacting the salon..."] },
+      { status: "success", events: ["Appointment confirmed"], result: { appointmentId: "appt_42" } },
+    ],
+  });
+
+  const { client, body, statuses } = await book();
+
+  assert.equal(body.reply, "I'm processing your booking request...");
+  assert.equal(body.statusMessage, "Booking your appointment...");
+
+  // What reached Block
+  assert.equal(server.block.actions.length, 1);
+  const action = server.block.actions[0];
+  assert.equal(action.action, "BookAppointment");
+  assert.equal(action.connectionId, "conn_test");
+  assert.deepEqual(action.payload, {
+    datetime: "2030-11-20T10:00:00-08:00",
+    provider: "Carl Morris",
+    service: "Haircut",
+    customer: { firstName: "Jane", lastName: "Q Doe", phone: "+12065551212" },
+  });
+
+  // What the widget saw, in order
+  const events = statuses.filter((s) => s.event !== "delta");
+  assert.deepEqual(
+    events.map((s) => [s.event, s.data.state || s.data.message]),
+    [
+      ["status", "queued"],
+      ["status", "in_progress"],
+      ["progress", "Contacting the salon..."],
+      ["progress", "Appointment confirmed"],
+      ["final", "You're booked!"],
+      ["done", undefined],
+    ]
+  );
+  assert.deepEqual(statuses.map((s) => s.id), statuses.map((_, i) => i + 1));
+  assert.equal(
+    statuses.filter((s) => s.event === "delta").map((s) => s.data.content).join(""),
+    "You're booked!"
+  );
+
+  // The final event carries the booking as structured data
+  const { calendar, ...booking } = statuses.find((s) => s.event === "final").data.booking;
+  assert.match(calendar.ics, /^\/api\/bookings\/req_[\w-]+\/calendar\.ics$/);
+  assert.deepEqual(booking, {
+    id: "appt_42",
+    status: "success",
+    startTime: "2030-11-20T10:00:00-08:00",
+    startTimeDisplay: { business: "Wednesday, November 20 at 10:00 AM PST" },
+    provider: "Carl Morris",
+    service: "Haircut",
+  });
+
+  // The model got the booking result to confirm from
+  const toolResult = JSON.parse(server.llm.requests[1].messages.at(-1).content);
+  assert.equal(toolResult.booking_id, "appt_42");
+  assert.equal(toolResult.start_time, "2030-11-20T10:00:00-08:00");
+
+  // The placeholder in the session was replaced by the final reply
+  const { history } = await client.session();
+  assert.equal(history.at(-1).content, "You're booked!");
+});
+
+// --- Confirmation step ---
+
+test("shows a booking summary and books nothing until it's confirmed", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({
+    toolCalls: [{ name: "book_appointment", arguments: { ...BOOKING_ARGS, provider_name: undefined } }],
+  });
+
+  const { body } = await client.chat("Book me a haircut");
+
+  assert.equal(body.reply, "Please check the details below and confirm your booking.");
+  assert.equal(body.statusRequestId, undefined);
+  const { id, expiresAt, ...summary } = body.pendingBooking;
+  assert.deepEqual(summary, {
+    service: "Haircut",
+    provider: "Default Stylist",
+    startTime: "2030-11-20T10:00:00-08:00",
+    startTimeDisplay: { business: "Wednesday, November 20 at 10:00 AM PST" },
+    customerName: "Jane Q Doe",
+    customerPhone: "+12065551212",
+    customerEmail: null,
+    notes: null,
+  });
+  assert.ok(Date.parse(expiresAt) > Date.now());
+  assert.equal(server.block.actions.length, 0);
+
+  // Survives a reload
+  assert.equal((await client.session()).pendingBooking.id, id);
+
+  // Nobody else can confirm it
+  const stranger = await createClient(server.url).confirm(id);
+  assert.equal(stranger.status, 404);
+
+  server.llm.reply({ content: "You're booked!" });
+  const confirmed = await client.confirm(id);
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.reply, "I'm processing your booking request...");
+  await client.readStatusStream(confirmed.body.statusRequestId);
+  assert.equal(server.block.actions.length, 1);
+
+  // A second click doesn't book again
+  assert.equal((await client.confirm(id)).status, 404);
+  const { history, pendingBooking } = await client.session();
+  assert.equal(pendingBooking, undefined);
+  assert.deepEqual(history.map((m) => m.content), [
+    "Book me a haircut",
+    "Please check the details below and confirm your booking.",
+    "You're booked!",
+  ]);
+});
+
+test("Edit drops the summary without booking", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  const { body } = await client.chat("Book me a haircut");
+
+  const edit = await client.discard(body.pendingBooking.id);
+  assert.equal(edit.status, 200);
+  assert.match(edit.body.reply, /What would you like to change\?/);
+
+  assert.equal((await client.confirm(body.pendingBooking.id)).status, 404);
+  assert.equal(server.block.actions.length, 0);
+  const { history } = await client.session();
+  assert.equal(history.at(-1).content, edit.body.reply);
+});
+
+test("won't confirm an expired summary", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  const { body } = await client.chat("Book me a haircut");
+
+  await new Promise((resolve) => setTimeout(resolve, 600));
+  assert.equal((await client.session()).pendingBooking, undefined);
+
+  const confirmed = await client.confirm(body.pendingBooking.id);
+  assert.equal(confirmed.status, 410);
+  assert.match(confirmed.body.error, /expired/);
+  assert.equal(server.block.actions.length, 0);
+});
+
+test("reports a job that ends in error", async () => {
+  server.block.script({
+    steps: [{ status: "in_progress" }, { status: "error", errorMessage: "Time slot unavailable" }],
+  });
+
+  const { client, statuses } = await book();
+
+  assert.deepEqual(statuses.slice(-2).map((s) => [s.event, s.data]), [
+    ["error", { message: "Booking failed: Time slot unavailable" }],
+    ["done", {}],
+  ]);
+
+  const { history } = await client.session();
+  assert.equal(history.at(-1).content, "Error: Booking failed: Time slot unavailable");
+});
+
+for (const submitStatus of [401, 500]) {
+  test(`reports a ${submitStatus} from the actions endpoint`, async () => {
+    server.block.script({ submitStatus });
+
+    const { statuses } = await book();
+
+    const error = statuses.find((s) => s.event === "error");
+    assert.match(error.data.message, new RegExp(`Block API error \\(${submitStatus}\\)`));
+  });
+}
+
+test("retries a poll that fails once", async () => {
+  server.block.script({ steps: [{ status: "success" }], pollStatus: 503, pollFailures: 1 });
+
+  const { statuses } = await book();
+
+  assert.ok(statuses.some((s) => s.event === "final"));
+});
+
+test("tells the customer booking is unavailable while Block keeps failing", async () => {
+  // A summary shown while Block was still fine
+  const waiting = createClient(server.url);
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  const { body: held } = await waiting.chat("Book me a haircut");
+
+  server.block.script({ submitStatus: 503 });
+  for (let i = 0; i < 3; i++) {
+    await book();
+    server.llm.reset(); // no reply is written for a failed job
+  }
+  const attempts = server.block.submitAttempts.length;
+
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  server.llm.reply({ content: "Booking is down right now, sorry." });
+  const { body } = await createClient(server.url).chat("Book me a haircut");
+
+  assert.equal(body.reply, "Booking is down right now, sorry.");
+  assert.equal(body.statusRequestId, undefined);
+  assert.equal(server.block.submitAttempts.length, attempts);
+  const toolResult = JSON.parse(server.llm.requests.at(-1).messages.at(-1).content);
+  assert.match(toolResult.error, /temporarily unavailable/);
+
+  // Confirming it now doesn't submit it either
+  const confirmed = await waiting.confirm(held.pendingBooking.id);
+  assert.equal(confirmed.status, 503);
+  assert.match(confirmed.body.error, /temporarily unavailable, so nothing was booked/);
+  assert.equal(server.block.submitAttempts.length, attempts);
+  assert.equal((await waiting.session()).history.at(-1).content, confirmed.body.error);
+
+  // Let the breaker close again for the tests that follow
+  await new Promise((resolve) => setTimeout(resolve, 300));
+});
+
+test("reports a failed poll", async () => {
+  server.block.script({ steps: [{ status: "queued" }], pollStatus: 500 });
+
+  const { statuses } = await book();
+
+  const error = statuses.find((s) => s.event === "error");
+  assert.match(error.data.message, /job polling error \(500\)/);
+});
+
+test("times out a job that never finishes", async () => {
+  server.block.script({ steps: [{ status: "in_progress" }] });
+
+  const { statuses } = await book();
+
+  const error = statuses.find((s) => s.event === "error");
+  assert.equal(error.data.message, "Booking failed: timed out after 1 seconds");
+});
+
+test("sends a time in the past back to the model instead of booking it", async () => {
+  const { body } = await book(
+    { ...BOOKING_ARGS, start_time: "2020-01-01T10:00:00" },
+    "That time has passed - what other day works?"
+  );
+
+  assert.equal(body.reply, "That time has passed - what other day works?");
+  assert.equal(body.statusRequestId, undefined);
+  assert.equal(server.block.actions.length, 0);
+
+  const toolResult = JSON.parse(server.llm.requests[1].messages.at(-1).content);
+  assert.match(toolResult.error, /in the past/);
+});
+
+test("sends malformed or invalid arguments back to the model", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: '{"customer_name": "Jane' }] });
+  server.llm.reply({ content: "Sorry, could you repeat that?" });
+
+  const { status, body } = await client.chat("Book me a haircut");
+
+  assert.equal(status, 200);
+  assert.equal(body.reply, "Sorry, could you repeat that?");
+  assert.match(JSON.parse(server.llm.requests[1].messages.at(-1).content).error, /not valid JSON/);
+
+  server.llm.reply({
+    toolCalls: [{ name: "book_appointment", arguments: { ...BOOKING_ARGS, customer_phone: "555-1212" } }],
+  });
+  server.llm.reply({ content: "What's your full phone number?" });
+  await client.chat("Book me a haircut");
+
+  assert.match(JSON.parse(server.llm.requests[3].messages.at(-1).content).error, /customer_phone "555-1212"/);
+
+  // Nothing to find the appointment by: no job, no status stream
+  server.llm.reply({ toolCalls: [{ name: "cancel_appointment", arguments: { customer_phone: "+12065551212" } }] });
+  server.llm.reply({ content: "When is the appointment?" });
+  const cancel = await client.chat("Cancel my haircut");
+
+  assert.equal(cancel.body.reply, "When is the appointment?");
+  assert.equal(cancel.body.statusRequestId, undefined);
+  assert.match(
+    JSON.parse(server.llm.requests[5].messages.at(-1).content).error,
+    /Need either booking_id, or customer_phone and current_start_time/
+  );
+  assert.equal(server.block.actions.length, 0);
+});
+
+test("sends Block a normalized phone number and split name", async () => {
+  await book({ ...BOOKING_ARGS, customer_name: "Doe, Jane", customer_phone: "(206) 555-1212" });
+
+  assert.deepEqual(server.block.actions[0].payload.customer, {
+    firstName: "Jane",
+    lastName: "Doe",
+    phone: "+12065551212",
+  });
+});
+
+test("checks availability through the same job flow", async () => {
+  const client = createClient(server.url);
+  server.block.script({
+    steps: [{ status: "success", result: { slots: [{ start: "2030-11-20T18:00:00Z" }] } }],
+  });
+  server.llm.reply({
+    toolCalls: [{ name: "get_availability", arguments: { service_name: "Haircut", start_date: "2030-11-20" } }],
+  });
+  server.llm.reply({ content: "10:00 AM is open." });
+
+  const { body } = await client.chat("What's open on the 20th?");
+  const statuses = await client.readStatusStream(body.statusRequestId);
+
+  assert.equal(server.block.actions[0].action, "GetAvailability");
+  assert.deepEqual(server.block.actions[0].payload, {
+    service: "Haircut",
+    provider: "Default Stylist",
+    startDate: "2030-11-20",
+    endDate: "2030-11-20",
+  });
+  assert.ok(statuses.some((s) => s.event === "final" && s.data.message === "10:00 AM is open."));
+
+  const toolResult = JSON.parse(server.llm.requests[1].messages.at(-1).content);
+  assert.match(toolResult.slots[0].start_display.business, /10:00 AM PST/);
+});
+
+test("lets the model fix its arguments and call the tool again", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({
+    toolCalls: [{ name: "book_appointment", arguments: { ...BOOKING_ARGS, customer_phone: "555-1212" } }],
+  });
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+
+  const { body } = await client.chat("Book me a haircut");
+
+  assert.equal(server.llm.requests.length, 2);
+  assert.match(JSON.parse(server.llm.requests[1].messages.at(-1).content).error, /customer_phone "555-1212"/);
+  assert.ok(body.pendingBooking);
+});
+
+test("runs one Block action per turn and tells the model about the others", async () => {
+  const client = createClient(server.url);
+  server.block.script({ steps: [{ status: "success", result: { slots: [] } }] });
+  server.llm.reply({
+    toolCalls: [
+      { id: "call_slots", name: "get_availability", arguments: { service_name: "Haircut", start_date: "2030-11-20" } },
+      { id: "call_book", name: "book_appointment", arguments: BOOKING_ARGS },
+    ],
+  });
+  server.llm.reply({ content: "Nothing's open that day, so I haven't booked anything." });
+
+  const { body } = await client.chat("Book me in at 10 if it's free");
+  await client.readStatusStream(body.statusRequestId);
+
+  assert.equal(body.pendingBooking, undefined);
+  assert.deepEqual(server.block.actions.map(({ action }) => action), ["GetAvailability"]);
+
+  // The job's follow-up has both calls answered
+  const toolResults = server.llm.requests[1].messages.filter((message) => message.role === "tool");
+  assert.deepEqual(toolResults.map((message) => message.tool_call_id), ["call_book", "call_slots"]);
+  assert.equal(JSON.parse(toolResults[0].content).status, "not_started");
+  assert.deepEqual(JSON.parse(toolResults[1].content).slots, []);
+});
+
+test("runs all of a turn's availability checks side by side", async () => {
+  const client = createClient(server.url);
+  server.block.script({
+    steps: [{ status: "in_progress" }, { status: "success", result: { slots: [{ start: "2030-11-20T18:00:00Z" }] } }],
+  });
+  server.block.script({ steps: [{ status: "error", errorMessage: "Calendar unavailable" }] });
+  server.llm.reply({
+    toolCalls: [
+      { id: "call_20th", name: "get_availability", arguments: { service_name: "Haircut", start_date: "2030-11-20" } },
+      { id: "call_21st", name: "get_availability", arguments: { service_name: "Haircut", start_date: "2030-11-21" } },
+    ],
+  });
+  server.llm.reply({ content: "10:00 AM on the 20th is open." });
+
+  const { body } = await client.chat("What's open on the 20th or 21st?");
+  const statuses = await client.readStatusStream(body.statusRequestId);
+
+  assert.equal(statuses.find((s) => s.event === "final").data.message, "10:00 AM on the 20th is open.");
+  assert.deepEqual(server.block.actions.map(({ action }) => action), ["GetAvailability", "GetAvailability"]);
+
+  // One check failing doesn't fail the other; the model gets both results
+  const toolResults = server.llm.requests[1].messages.filter((message) => message.role === "tool");
+  assert.deepEqual(toolResults.map((message) => message.tool_call_id), ["call_20th", "call_21st"]);
+  const results = toolResults.map((message) => JSON.parse(message.content));
+  assert.equal(results.filter((result) => result.slots?.length === 1).length, 1);
+  assert.equal(results.filter((result) => /Calendar unavailable/.test(result.error)).length, 1);
+});
+
+test("resumes the status stream after Last-Event-ID", async () => {
+  server.block.script({
+    steps: [{ status: "in_progress", events: ["Step one"] }, { status: "success", events: ["Step two"] }],
+  });
+
+  const { client, body, statuses } = await book();
+  const progress = statuses.find((s) => s.event === "progress");
+
+  const resumed = await client.readStatusStream(body.statusRequestId, { lastEventId: progress.id });
+
+  assert.deepEqual(resumed, statuses.filter((s) => s.id > progress.id));
+});
+
+test("404s for an unknown status stream", async () => {
+  const res = await fetch(`${server.url}/api/status/req_nope`);
+  assert.equal(res.status, 404);
+});
+
+test("streams a job's status only to the session that started it", async () => {
+  const client = createClient(server.url);
+  server.block.script({ steps: [{ status: "success", result: { slots: [] } }] });
+  server.llm.reply({
+    toolCalls: [{ name: "get_availability", arguments: { service_name: "Haircut", start_date: "2030-11-20" } }],
+  });
+  server.llm.reply({ content: "Nothing's open that day." });
+
+  const res = await client.request("/api/chat", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message: "What's open on the 20th?" }),
+  });
+  const sessionId = res.headers.get("X-Session-Id");
+  const { statusRequestId } = await res.json();
+  await client.readStatusStream(statusRequestId);
+
+  const stranger = await fetch(`${server.url}/api/status/${statusRequestId}`);
+  assert.equal(stranger.status, 404);
+
+  // The embedded widget names its session in the URL
+  const widget = await fetch(`${server.url}/api/status/${statusRequestId}?sessionId=${sessionId}`);
+  assert.equal(widget.status, 200);
+  assert.match(await widget.text(), /event: final/);
+});
+
+// --- Duplicate bookings ---
+
+// Ask for a booking from an existing client; follows the status stream when
+// one is returned
+async function bookAs(client, args = BOOKING_ARGS, finalReply = "You're booked!") {
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: args }] });
+  server.llm.reply({ content: finalReply });
+
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  const statuses = body.statusRequestId ? await client.readStatusStream(body.statusRequestId) : [];
+  return { body, statuses };
+}
+
+test("returns the existing booking when the same one is asked for again", async () => {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_1" } }] });
+  const client = createClient(server.url);
+  await bookAs(client);
+
+  // Same booking, written differently
+  const { body } = await bookAs(
+    client,
+    { ...BOOKING_ARGS, customer_name: " jane  q DOE", customer_phone: "+1 (206) 555-1212", service_name: "haircut" },
+    "You're already booked for that."
+  );
+
+  assert.equal(server.block.actions.length, 1);
+  assert.equal(body.reply, "You're already booked for that.");
+  assert.equal(body.statusRequestId, undefined);
+
+  const toolResult = JSON.parse(server.llm.requests.at(-1).messages.at(-1).content);
+  assert.equal(toolResult.status, "already_booked");
+  assert.equal(toolResult.booking.id, "appt_1");
+
+  // A different session booking the same slot is a new booking
+  await bookAs(createClient(server.url));
+  assert.equal(server.block.actions.length, 2);
+});
+
+test("points a repeat at the booking still in flight", async () => {
+  server.block.script({
+    steps: [
+      ...Array(6).fill({ status: "in_progress" }),
+      { status: "success", result: { appointmentId: "appt_2" } },
+    ],
+  });
+  const client = createClient(server.url);
+
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  const first = await client.chatAndConfirm("Book me a haircut");
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  server.llm.reply({ content: "That booking is already on its way." });
+  const repeat = await client.chat("Book me a haircut");
+
+  assert.equal(repeat.body.reply, "That booking is already on its way.");
+  assert.equal(repeat.body.statusRequestId, first.body.statusRequestId);
+  const toolResult = JSON.parse(server.llm.requests.at(-1).messages.at(-1).content);
+  assert.equal(toolResult.status, "already_in_progress");
+
+  server.llm.reply({ content: "You're booked!" });
+  const statuses = await client.readStatusStream(first.body.statusRequestId);
+  assert.equal(statuses.find((s) => s.event === "final").data.booking.id, "appt_2");
+  assert.equal(server.block.actions.length, 1);
+});
+
+test("lets a failed booking be tried again", async () => {
+  server.block.script({ steps: [{ status: "error", errorMessage: "Calendar unavailable" }] });
+  const client = createClient(server.url);
+  await bookAs(client);
+  server.llm.reset(); // no reply is written for a failed job
+  await bookAs(client);
+
+  assert.equal(server.block.actions.length, 2);
+});
+
+test("doesn't book again when only the reply to a booking failed", async () => {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_4" } }] });
+  const client = createClient(server.url);
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  server.llm.reply({ error: "The model is overloaded" });
+  const first = await client.chatAndConfirm("Book me a haircut");
+  await client.readStatusStream(first.body.statusRequestId);
+
+  const { body } = await bookAs(client, BOOKING_ARGS, "You're already booked for that.");
+  assert.equal(body.reply, "You're already booked for that.");
+  const toolResult = JSON.parse(server.llm.requests.at(-1).messages.at(-1).content);
+  assert.equal(toolResult.status, "already_booked");
+  assert.equal(toolResult.booking.id, "appt_4");
+  assert.equal(server.block.actions.length, 1);
+});
+
+test("lets a booking be made again once it's cancelled", async () => {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_3" } }] });
+  const client = createClient(server.url);
+  await bookAs(client);
+
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_3" } }] });
+  server.llm.reply({ toolCalls: [{ name: "cancel_appointment", arguments: { booking_id: "appt_3" } }] });
+  server.llm.reply({ content: "Cancelled." });
+  const { body } = await client.chat("Cancel it");
+  await client.readStatusStream(body.statusRequestId);
+
+  await bookAs(client);
+  assert.deepEqual(
+    server.block.actions.map((a) => a.action),
+    ["BookAppointment", "CancelAppointment", "BookAppointment"]
+  );
+});
+
+test("cancels by phone number and time only for the conversation that booked with it", async () => {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_5" } }] });
+  const client = createClient(server.url);
+  await bookAs(client);
+
+  const cancel = {
+    name: "cancel_appointment",
+    arguments: { customer_phone: "(206) 555-1212", current_start_time: "2030-11-20T10:00:00" },
+  };
+  server.llm.reply({ toolCalls: [cancel] });
+  server.llm.reply({ content: "That isn't one of yours." });
+  await createClient(server.url).chat("Cancel my haircut");
+  assert.match(JSON.parse(server.llm.requests.at(-1).messages.at(-1).content).error, /wasn't booked/);
+
+  server.block.script({ steps: [{ status: "success", result: {} }] });
+  server.llm.reply({ toolCalls: [cancel] });
+  server.llm.reply({ content: "Cancelled." });
+  const { body } = await client.chat("Cancel my haircut");
+  await client.readStatusStream(body.statusRequestId);
+
+  assert.deepEqual(server.block.actions.at(-1), {
+    ...server.block.actions.at(-1),
+    action: "CancelAppointment",
+    payload: { datetime: "2030-11-20T10:00:00-08:00", customer: { phone: "+12065551212" } },
+  });
+  assert.equal(server.block.actions.length, 2);
+});
+
+test("sends Block an idempotency key for the booking, new for each attempt", async () => {
+  await bookAs(createClient(server.url));
+  await bookAs(createClient(server.url));
+
+  // The same booking in two conversations
+  const [first, second] = server.block.idempotencyKeys;
+  assert.match(first, /^[0-9a-f]{64}$/);
+  assert.notEqual(first, second);
+
+  // Tried again after a failure
+  server.block.script({ steps: [{ status: "error", errorMessage: "Calendar unavailable" }] });
+  const client = createClient(server.url);
+  await bookAs(client);
+  server.llm.reset();
+  await bookAs(client);
+
+  const [failed, retried] = server.block.idempotencyKeys.slice(2);
+  assert.notEqual(failed, retried);
+  assert.equal(server.block.actions.length, 4);
+});
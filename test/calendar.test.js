@@ -0,0 +1,151 @@
+// test/calendar.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { appointmentEvent, googleCalendarUrl, outlookCalendarUrl, toIcs } from "../lib/calendar.js";
+import { startTestServer, createClient } from "./helpers.js";
+
+const EVENT = appointmentEvent({
+  uid: "appt_42@salon",
+  startTime: "2030-11-20T10:00:00-08:00",
+  durationMinutes: 45,
+  title: "Haircut at Shear Genius",
+  description: "With Carl Morris\nBooking id: appt_42",
+  location: "123 Valencia St, San Francisco, CA 94103",
+});
+
+test("writes an iCalendar event", () => {
+  const ics = toIcs(EVENT, { now: new Date("2030-11-01T12:00:00Z") });
+  const lines = ics.split("\r\n");
+
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.deepEqual(lines.slice(0, 2), ["BEGIN:VCALENDAR", "VERSION:2.0"]);
+  assert.ok(lines.includes("UID:appt_42@salon"));
+  assert.ok(lines.includes("DTSTAMP:20301101T120000Z"));
+  assert.ok(lines.includes("DTSTART:20301120T180000Z"));
+  assert.ok(lines.includes("DTEND:20301120T184500Z"));
+  assert.ok(lines.includes("DESCRIPTION:With Carl Morris\\nBooking id: appt_42"));
+  assert.ok(lines.includes("LOCATION:123 Valencia St\\, San Francisco\\, CA 94103"));
+});
+
+test("folds long lines without splitting characters", () => {
+  const ics = toIcs({ ...EVENT, title: "Coupe et coloration ✂️ ".repeat(6) });
+  const lines = ics.split("\r\n");
+  const start = lines.findIndex((line) => line.startsWith("SUMMARY:"));
+
+  assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(lines[start + 1].startsWith(" "));
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.match(unfolded, /SUMMARY:(Coupe et coloration ✂️ ){6}\r\n/);
+});
+
+test("links to Google Calendar and Outlook", () => {
+  const google = new URL(googleCalendarUrl(EVENT));
+  assert.equal(google.origin, "https://calendar.google.com");
+  assert.equal(google.searchParams.get("dates"), "20301120T180000Z/20301120T184500Z");
+  assert.equal(google.searchParams.get("text"), "Haircut at Shear Genius");
+  assert.equal(google.searchParams.get("location"), EVENT.location);
+
+  const outlook = new URL(outlookCalendarUrl(EVENT));
+  assert.equal(outlook.searchParams.get("startdt"), "2030-11-20T18:00:00.000Z");
+  assert.equal(outlook.searchParams.get("enddt"), "2030-11-20T18:45:00.000Z");
+  assert.equal(outlook.searchParams.get("subject"), "Haircut at Shear Genius");
+});
+
+// --- After a booking ---
+
+let server;
+let tenantsDir;
+
+before(async () => {
+  tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), "calendar-test-"));
+  const tenantsFile = path.join(tenantsDir, "tenants.json");
+  fs.writeFileSync(
+    tenantsFile,
+    JSON.stringify({
+      tenants: {
+        salon: {
+          businessName: "Shear Genius",
+          address: "123 Valencia St, San Francisco, CA 94103",
+          timezone: "America/Los_Angeles",
+          connectionId: "conn_test",
+          defaultProvider: "Default Stylist",
+          services: [{ name: "Haircut", durationMinutes: 45 }, { name: "Color" }],
+        },
+      },
+    })
+  );
+
+  server = await startTestServer({ env: { TENANTS_FILE: tenantsFile } });
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tenantsDir, { recursive: true, force: true });
+});
+
+beforeEach(() => server.reset());
+
+// Book and confirm `service`; resolves with the final status event's booking
+async function book(client, service) {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_42" } }] });
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Jane Doe",
+          customer_phone: "+12065551212",
+          service_name: service,
+          provider_name: "Carl Morris",
+          start_time: "2030-11-20T10:00:00",
+        },
+      },
+    ],
+  });
+  server.llm.reply({ content: "You're booked!" });
+
+  const { body } = await client.chat("Book me in", { widgetId: "salon" });
+  const res = await client.request(`/api/pending-bookings/${body.pendingBooking.id}/confirm?widgetId=salon`, {
+    method: "POST",
+  });
+  const { statusRequestId } = await res.json();
+  const events = await client.readStatusStream(statusRequestId);
+  return { requestId: statusRequestId, booking: events.find((event) => event.event === "final").data.booking };
+}
+
+test("offers the booking for the customer's calendar", async () => {
+  const client = createClient(server.url);
+  const { requestId, booking } = await book(client, "Haircut");
+
+  assert.equal(booking.calendar.ics, `/api/bookings/${requestId}/calendar.ics`);
+  const google = new URL(booking.calendar.google);
+  assert.equal(google.searchParams.get("dates"), "20301120T180000Z/20301120T184500Z");
+  assert.equal(google.searchParams.get("text"), "Haircut at Shear Genius");
+  assert.match(google.searchParams.get("details"), /With Carl Morris\nBooking id: appt_42/);
+  assert.match(booking.calendar.outlook, /^https:\/\/outlook\.live\.com\//);
+
+  // Still there for a widget that missed the stream
+  const job = await (await client.request(`/api/bookings/${requestId}`)).json();
+  assert.deepEqual(job.booking.calendar, booking.calendar);
+
+  const res = await client.request(booking.calendar.ics);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "text/calendar; charset=utf-8");
+  assert.match(res.headers.get("content-disposition"), /attachment; filename="appointment.ics"/);
+  const ics = await res.text();
+  assert.match(ics, /DTSTART:20301120T180000Z\r\nDTEND:20301120T184500Z/);
+  assert.match(ics, /LOCATION:123 Valencia St\\, San Francisco\\, CA 94103/);
+
+  // Only for the conversation it was booked in
+  assert.equal((await createClient(server.url).request(booking.calendar.ics)).status, 404);
+});
+
+test("assumes an hour when the catalog has no duration", async () => {
+  const { booking } = await book(createClient(server.url), "Color");
+
+  assert.equal(new URL(booking.calendar.google).searchParams.get("dates"), "20301120T180000Z/20301120T190000Z");
+});
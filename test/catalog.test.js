@@ -0,0 +1,203 @@
+// test/catalog.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createCatalog, resolveProvider, resolveService } from "../lib/catalog.js";
+import { ToolArgumentError } from "../lib/errors.js";
+import { startTestServer, createClient } from "./helpers.js";
+
+const CATALOG = createCatalog({
+  services: [
+    { name: "Haircut", durationMinutes: 45, price: "$60", aliases: ["trim"] },
+    { name: "Color", durationMinutes: 120, price: "$150", aliases: ["dye"] },
+    "Beard trim",
+  ],
+  providers: [
+    { name: "Carl Morris", services: ["Haircut", "Beard trim"] },
+    { name: "Carla Mendes", services: ["Haircut", "Color"] },
+    "Dana Lee",
+  ],
+});
+
+// --- Matching ---
+
+test("matches services by name, alias and spelling", () => {
+  assert.equal(resolveService(CATALOG, "haircut"), "Haircut");
+  assert.equal(resolveService(CATALOG, "hair cut"), "Haircut");
+  assert.equal(resolveService(CATALOG, "Trim"), "Haircut");
+  assert.equal(resolveService(CATALOG, "colour"), "Color");
+  assert.equal(resolveService(CATALOG, "beard"), "Beard trim");
+
+  assert.throws(() => resolveService(CATALOG, "Massage"), /doesn't match any service; the options are: Haircut, Color, Beard trim/);
+  assert.throws(() => resolveService(CATALOG, ""), ToolArgumentError);
+});
+
+test("accepts any service when the catalog has none", () => {
+  assert.equal(resolveService(createCatalog(), "Massage"), "Massage");
+});
+
+test("matches providers who offer the service", () => {
+  assert.equal(resolveProvider(CATALOG, "carl"), "Carl Morris");
+  assert.equal(resolveProvider(CATALOG, "Carl Moris", { serviceName: "Haircut" }), "Carl Morris");
+  assert.equal(resolveProvider(CATALOG, "Dana", { serviceName: "Color" }), "Dana Lee");
+  assert.equal(resolveProvider(CATALOG, "Anyone", { defaultProvider: "anyone" }), "Anyone");
+
+  assert.throws(
+    () => resolveProvider(CATALOG, "Carl", { serviceName: "Color" }),
+    /Carl Morris doesn't offer Color; providers who do: Carla Mendes, Dana Lee/
+  );
+  assert.throws(() => resolveProvider(CATALOG, "Carl M"), /could be Carl Morris or Carla Mendes; ask the customer/);
+  assert.throws(() => resolveProvider(CATALOG, "Pat"), /doesn't match any provider/);
+});
+
+// --- Through the server ---
+
+let server;
+let tenantsDir;
+
+before(async () => {
+  tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-test-"));
+  const tenantsFile = path.join(tenantsDir, "tenants.json");
+  fs.writeFileSync(
+    tenantsFile,
+    JSON.stringify({
+      tenants: {
+        salon: {
+          businessName: "Shear Genius",
+          timezone: "America/Los_Angeles",
+          connectionId: "conn_test",
+          defaultProvider: "Default Stylist",
+          services: [
+            { name: "Haircut", durationMinutes: 45, price: "$60", aliases: ["trim"] },
+            { name: "Color", durationMinutes: 120, price: "$150" },
+          ],
+          providers: [{ name: "Carl Morris", services: ["Haircut"] }, "Dana Lee"],
+        },
+        spa: {
+          businessName: "Calm Spa",
+          timezone: "America/New_York",
+          connectionId: "conn_spa",
+          defaultProvider: "Any therapist",
+          services: ["Massage"],
+          catalogSource: "block",
+        },
+      },
+    })
+  );
+
+  server = await startTestServer({ env: { TENANTS_FILE: tenantsFile } });
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tenantsDir, { recursive: true, force: true });
+});
+
+beforeEach(() => server.reset());
+
+test("offers the model only the catalog's services and providers", async () => {
+  const client = createClient(server.url);
+
+  await client.chat("Hello", { widgetId: "salon" });
+
+  const { messages, tools } = server.llm.requests[0];
+  assert.match(messages[0].content, /- Haircut \(45 min, \$60\)/);
+  assert.match(messages[0].content, /- Carl Morris \(Haircut\)\n- Dana Lee\n/);
+
+  const book = tools.find((tool) => tool.function.name === "book_appointment").function.parameters;
+  assert.deepEqual(book.properties.service_name.enum, ["Haircut", "Color"]);
+  assert.deepEqual(book.properties.provider_name.enum, ["Carl Morris", "Dana Lee"]);
+});
+
+test("offers a job's follow-up the same tools, to answer in text", async () => {
+  const client = createClient(server.url);
+  server.block.script({ steps: [{ status: "success", result: { slots: [{ start: "2030-11-20T18:00:00Z" }] } }] });
+  server.llm.reply({
+    toolCalls: [{ name: "get_availability", arguments: { service_name: "Haircut", start_date: "2030-11-20" } }],
+  });
+  server.llm.reply({ content: "10:00 AM is open. Shall I book it?" });
+
+  const { body } = await client.chat("What's open on the 20th?", { widgetId: "salon" });
+  await client.readStatusStream(body.statusRequestId);
+
+  // Booking one of the times is up to the customer's next message
+  const [chat, followUp] = server.llm.requests;
+  assert.deepEqual(followUp.tools, chat.tools);
+  assert.equal(followUp.tool_choice, "none");
+});
+
+test("books the catalog names for loosely worded requests", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Jane Doe",
+          customer_phone: "+12065551212",
+          service_name: "trim",
+          provider_name: "carl moris",
+          start_time: "2030-11-20T10:00:00",
+        },
+      },
+    ],
+  });
+
+  const { body } = await client.chat("Book me a trim with Carl", { widgetId: "salon" });
+
+  assert.equal(body.pendingBooking.service, "Haircut");
+  assert.equal(body.pendingBooking.provider, "Carl Morris");
+});
+
+test("sends the model back to the catalog for something not offered", async () => {
+  const client = createClient(server.url);
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "get_availability",
+        arguments: { service_name: "Color", provider_name: "Carl Morris", start_date: "2030-11-20" },
+      },
+    ],
+  });
+  server.llm.reply({ content: "Carl only does haircuts, but Dana can do color." });
+
+  const { body } = await client.chat("Can Carl do my color?", { widgetId: "salon" });
+
+  assert.equal(body.reply, "Carl only does haircuts, but Dana can do color.");
+  assert.equal(server.block.actions.length, 0);
+  const toolResult = JSON.parse(server.llm.requests[1].messages.at(-1).content);
+  assert.match(toolResult.error, /Carl Morris doesn't offer Color; providers who do: Dana Lee/);
+});
+
+test("lists the services for the widget's quick replies", async () => {
+  const res = await createClient(server.url).request("/api/session?widgetId=salon");
+  const { services } = await res.json();
+
+  assert.deepEqual(services, ["Haircut", "Color"]);
+});
+
+test("loads the catalog from Block when configured to", async () => {
+  server.block.script({
+    steps: [
+      {
+        status: "success",
+        result: { services: [{ name: "Deep tissue massage", durationMinutes: 60 }], providers: ["Sam Park"] },
+      },
+    ],
+  });
+
+  const res = await createClient(server.url).request("/api/session?widgetId=spa");
+  const { services } = await res.json();
+  assert.deepEqual(services, ["Deep tissue massage"]);
+  assert.equal(server.block.actions[0].action, "GetCatalog");
+  assert.equal(server.block.actions[0].connectionId, "conn_spa");
+
+  // Cached for the chat that follows
+  await createClient(server.url).chat("Hello", { widgetId: "spa" });
+  assert.equal(server.block.actions.length, 1);
+  assert.match(server.llm.requests[0].messages[0].content, /- Deep tissue massage \(60 min\)\n/);
+  assert.match(server.llm.requests[0].messages[0].content, /- Sam Park\n/);
+});
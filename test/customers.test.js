@@ -0,0 +1,385 @@
+// test/customers.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  customerLookupResult,
+  findAppointment,
+  fromBlockCustomer,
+  recordBooking,
+  recordCancellation,
+  recordReschedule,
+} from "../lib/customers.js";
+import { normalizeEmail } from "../lib/email.js";
+import { ToolArgumentError } from "../lib/errors.js";
+import { startTestServer, createClient } from "./helpers.js";
+
+const NOW = new Date("2030-11-01T12:00:00Z");
+const JANE = { tenantId: "salon", phone: "+12065551212", name: "Jane Doe" };
+
+test("remembers bookings, reschedules and cancellations", () => {
+  let jane = recordBooking(
+    null,
+    JANE,
+    { booking_id: "appt_1", start_time: "2030-11-20T10:00:00-08:00", service_name: "Haircut", provider_name: "Carl" },
+    NOW
+  );
+  jane = recordBooking(
+    jane,
+    { ...JANE, name: "Jane Q Doe" },
+    { booking_id: "appt_2", start_time: "2030-10-02T10:00:00-07:00", service_name: "Color", provider_name: "Dana" },
+    NOW
+  );
+
+  assert.equal(jane.name, "Jane Q Doe");
+  assert.equal(jane.lastProvider, "Dana");
+  assert.equal(jane.appointments.length, 2);
+
+  const moved = findAppointment(jane, { startTime: "2030-11-20T18:00:00Z" });
+  assert.equal(moved.bookingId, "appt_1");
+  jane = recordReschedule(jane, moved, { bookingId: "appt_1", startTime: "2030-11-21T10:00:00-08:00" }, NOW);
+
+  // The past appointment isn't upcoming
+  assert.deepEqual(customerLookupResult(jane, NOW), {
+    found: true,
+    customer_name: "Jane Q Doe",
+    last_service: "Color",
+    last_provider: "Dana",
+    upcoming_appointments: [
+      {
+        booking_id: "appt_1",
+        start_time: "2030-11-21T10:00:00-08:00",
+        service_name: "Haircut",
+        provider_name: "Carl",
+      },
+    ],
+  });
+
+  jane = recordCancellation(jane, findAppointment(jane, { bookingId: "appt_1" }), NOW);
+  assert.deepEqual(customerLookupResult(jane, NOW).upcoming_appointments, []);
+  assert.equal(customerLookupResult(null).found, false);
+});
+
+test("reads customers found in Block", () => {
+  const customer = fromBlockCustomer("spa", {
+    firstName: "Sam",
+    lastName: "Lee",
+    phone: "+12065550000",
+    appointments: [
+      { appointmentId: "b_2", datetime: "2030-12-01T09:00:00-05:00", service: "Massage", provider: "Ana" },
+      { appointmentId: "b_1", datetime: "2030-10-01T09:00:00-04:00", service: "Facial", provider: "Bo" },
+    ],
+  });
+
+  assert.equal(customer.name, "Sam Lee");
+  assert.equal(customer.lastService, "Massage");
+  assert.equal(customer.appointments[1].bookingId, "b_1");
+});
+
+test("normalizes email addresses", () => {
+  assert.equal(normalizeEmail("  Jane.Doe@Example.COM "), "jane.doe@example.com");
+  assert.throws(() => normalizeEmail("jane@example"), ToolArgumentError);
+  assert.throws(() => normalizeEmail("jane doe@example.com"), /not an email address/);
+});
+
+// --- find_customer through the server ---
+
+let server;
+let tenantsDir;
+let outbox;
+
+before(async () => {
+  tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), "customers-test-"));
+  outbox = path.join(tenantsDir, "outbox");
+  const tenantsFile = path.join(tenantsDir, "tenants.json");
+  const tenant = { timezone: "America/Los_Angeles", connectionId: "conn_test", defaultProvider: "Default Stylist" };
+  fs.writeFileSync(
+    tenantsFile,
+    JSON.stringify({
+      tenants: {
+        salon: { ...tenant, businessName: "Shear Genius" },
+        spa: { ...tenant, businessName: "Calm Spa", customerLookup: "block" },
+      },
+    })
+  );
+
+  server = await startTestServer({
+    env: {
+      TENANTS_FILE: tenantsFile,
+      // Each test looks customers up from its own address
+      TRUST_PROXY: "true",
+      CUSTOMER_LOOKUPS_PER_IP: "3",
+      CUSTOMER_LOOKUPS_PER_CONTACT: "2",
+      NOTIFY_EMAIL_TRANSPORT: "file",
+      NOTIFY_SMS_TRANSPORT: "file",
+      NOTIFY_OUTBOX_PATH: outbox,
+    },
+  });
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tenantsDir, { recursive: true, force: true });
+});
+
+beforeEach(() => server.reset());
+
+// Have the model (scripted) make toolCalls in a chat turn from `ip`;
+// resolves with the tool results it got back, in order
+async function toolTurn(client, toolCalls, { widgetId = "salon", ip = "198.51.100.1" } = {}) {
+  server.llm.reply({ toolCalls });
+  server.llm.reply({ content: "Done." });
+  const res = await client.request("/api/chat", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Forwarded-For": ip },
+    body: JSON.stringify({ message: "Hi, it's me again", widgetId }),
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  const results = server.llm.requests
+    .at(-1)
+    .messages.filter((message) => message.role === "tool")
+    .slice(-toolCalls.length)
+    .map((message) => JSON.parse(message.content));
+  return { body, results };
+}
+
+const lookUp = async (client, args, options) =>
+  (await toolTurn(client, [{ name: "find_customer", arguments: args }], options)).results[0];
+const verify = async (client, code, options) =>
+  (await toolTurn(client, [{ name: "verify_customer", arguments: { code } }], options)).results[0];
+
+// The latest verification code sent to `to`
+function verificationCode(to) {
+  const codes = fs
+    .readdirSync(outbox)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(outbox, file), "utf8")))
+    .filter((message) => message.to === to)
+    .map((message) => message.text.match(/verification code is (\d{6})/)?.[1])
+    .filter(Boolean);
+  assert.ok(codes.length > 0, `No verification code sent to ${to}`);
+  return codes.at(-1);
+}
+
+test("finds customers who booked before, once they've shown it's them", async () => {
+  const first = createClient(server.url);
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_7" } }] });
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Jane Doe",
+          customer_phone: "+12065551212",
+          service_name: "Haircut",
+          provider_name: "Carl Morris",
+          start_time: "2030-11-20T10:00:00",
+        },
+      },
+    ],
+  });
+  server.llm.reply({ content: "You're booked!" });
+  const { body } = await first.chat("Book me a haircut", { widgetId: "salon" });
+  const confirmed = await first.request(`/api/pending-bookings/${body.pendingBooking.id}/confirm?widgetId=salon`, {
+    method: "POST",
+  });
+  await first.readStatusStream((await confirmed.json()).statusRequestId);
+
+  // A new conversation, the number written differently: only her first name
+  // until she gives the code texted to her
+  const second = createClient(server.url);
+  const found = await lookUp(second, { customer_phone: "(206) 555-1212" });
+  assert.deepEqual(Object.keys(found).sort(), ["first_name", "found", "message"]);
+  assert.equal(found.first_name, "Jane");
+  assert.match(found.message, /verification code was sent to them by text message/);
+
+  // Her booking id isn't enough to cancel it, nor her number and its time
+  server.reset();
+  const cancel = [{ name: "cancel_appointment", arguments: { booking_id: "appt_7" } }];
+  const byPhone = [
+    {
+      name: "cancel_appointment",
+      arguments: { customer_phone: "+12065551212", current_start_time: "2030-11-20T10:00:00" },
+    },
+  ];
+  const { results: refused } = await toolTurn(second, cancel);
+  assert.match(refused[0].error, /wasn't booked or verified in this conversation/);
+  const { results: refusedByPhone } = await toolTurn(second, byPhone);
+  assert.match(refusedByPhone[0].error, /wasn't booked or verified in this conversation/);
+  assert.doesNotMatch(refusedByPhone[0].error, /phone/);
+  assert.equal(server.block.actions.length, 0);
+
+  const code = verificationCode("+12065551212");
+  const wrong = await verify(second, code === "000000" ? "111111" : "000000");
+  assert.equal(wrong.verified, false);
+  assert.match(wrong.error, /doesn't match/);
+
+  const verified = await verify(second, code.replace(/(\d{3})/, "$1 "));
+  assert.equal(verified.verified, true);
+  assert.equal(verified.customer_name, "Jane Doe");
+  assert.equal(verified.last_provider, "Carl Morris");
+  assert.equal(verified.upcoming_appointments[0].booking_id, "appt_7");
+  assert.match(verified.upcoming_appointments[0].start_time_display.business, /10:00 AM PST/);
+  assert.match((await verify(second, code)).error, /No verification code is waiting/);
+
+  // Another business doesn't know her
+  server.reset();
+  const elsewhere = await lookUp(createClient(server.url), { customer_phone: "+12065551212" }, {
+    widgetId: "spa",
+    ip: "198.51.100.2",
+  });
+  assert.equal(elsewhere.found, false);
+
+  // Verified, she can cancel it; cancelled appointments aren't upcoming any more
+  server.reset();
+  server.block.script({ steps: [{ status: "success", result: {} }] });
+  const { body: cancelled } = await toolTurn(second, cancel);
+  await second.readStatusStream(cancelled.statusRequestId);
+  assert.deepEqual(server.block.actions.map(({ action }) => action), ["CancelAppointment"]);
+
+  const third = createClient(server.url);
+  await lookUp(third, { customer_phone: "+12065551212" });
+  const again = await verify(third, verificationCode("+12065551212"));
+  assert.deepEqual(again.upcoming_appointments, []);
+});
+
+test("sends the code to the contact on file, not the one given with it", async () => {
+  const booker = createClient(server.url);
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_victim" } }] });
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Vic Tim",
+          customer_phone: "+12065557777",
+          customer_email: "vic@example.com",
+          service_name: "Haircut",
+          start_time: "2030-11-21T10:00:00",
+        },
+      },
+    ],
+  });
+  server.llm.reply({ content: "You're booked!" });
+  const { body } = await booker.chat("Book me a haircut", { widgetId: "salon" });
+  const confirmed = await booker.request(`/api/pending-bookings/${body.pendingBooking.id}/confirm?widgetId=salon`, {
+    method: "POST",
+  });
+  await booker.readStatusStream((await confirmed.json()).statusRequestId);
+
+  // Someone else's number with Vic's email finds Vic, but the code goes to Vic
+  const stranger = createClient(server.url);
+  const found = await lookUp(
+    stranger,
+    { customer_phone: "+12065558888", customer_email: "vic@example.com" },
+    { ip: "198.51.100.4" }
+  );
+  assert.equal(found.first_name, "Vic");
+  assert.throws(() => verificationCode("+12065558888"), /No verification code sent/);
+  assert.match(verificationCode("+12065557777"), /^\d{6}$/);
+});
+
+test("can change a verified customer's booking later in the same turn", async () => {
+  const booker = createClient(server.url);
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_kim" } }] });
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Kim Park",
+          customer_phone: "+12065556666",
+          service_name: "Haircut",
+          start_time: "2030-11-22T10:00:00",
+        },
+      },
+    ],
+  });
+  server.llm.reply({ content: "You're booked!" });
+  const { body } = await booker.chat("Book me a haircut", { widgetId: "salon" });
+  const confirmed = await booker.request(`/api/pending-bookings/${body.pendingBooking.id}/confirm?widgetId=salon`, {
+    method: "POST",
+  });
+  await booker.readStatusStream((await confirmed.json()).statusRequestId);
+
+  const client = createClient(server.url);
+  const options = { ip: "198.51.100.5" };
+  await lookUp(client, { customer_phone: "+12065556666" }, options);
+
+  // verify_customer, then the cancellation with the booking id it returned
+  server.reset();
+  server.block.script({ steps: [{ status: "success", result: {} }] });
+  server.llm.reply({ toolCalls: [{ name: "verify_customer", arguments: { code: verificationCode("+12065556666") } }] });
+  server.llm.reply({ toolCalls: [{ name: "cancel_appointment", arguments: { booking_id: "appt_kim" } }] });
+  server.llm.reply({ content: "Cancelled." });
+  const res = await client.request("/api/chat", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Forwarded-For": options.ip },
+    body: JSON.stringify({ message: "Here's the code. Please cancel it", widgetId: "salon" }),
+  });
+  const { statusRequestId } = await res.json();
+  assert.ok(statusRequestId);
+  await client.readStatusStream(statusRequestId);
+  assert.deepEqual(server.block.actions.map(({ action }) => action), ["CancelAppointment"]);
+});
+
+test("looks customers up in Block for tenants with customerLookup \"block\"", async () => {
+  server.block.script({
+    steps: [
+      {
+        status: "success",
+        result: {
+          customer: {
+            firstName: "Sam",
+            lastName: "Lee",
+            phone: "+12065550000",
+            email: "sam@example.com",
+            appointments: [],
+          },
+        },
+      },
+    ],
+  });
+
+  const client = createClient(server.url);
+  const options = { widgetId: "spa", ip: "198.51.100.3" };
+  const found = await lookUp(client, { customer_email: "Sam@Example.com" }, options);
+
+  assert.equal(found.first_name, "Sam");
+  assert.match(found.message, /by email/);
+  assert.deepEqual(server.block.actions[0].action, "FindCustomer");
+  assert.deepEqual(server.block.actions[0].payload, { email: "sam@example.com" });
+  assert.equal((await verify(client, verificationCode("sam@example.com"), options)).customer_name, "Sam Lee");
+});
+
+test("needs a phone or email, and limits lookups per address and per phone number", async () => {
+  const client = createClient(server.url);
+  assert.match((await lookUp(client, {}, { ip: "203.0.113.9" })).error, /Need customer_phone or customer_email/);
+
+  const phones = ["+12065550001", "+12065550002", "+12065550003", "+12065550004"];
+  const { results } = await toolTurn(
+    client,
+    phones.map((phone) => ({ name: "find_customer", arguments: { customer_phone: phone } })),
+    { ip: "203.0.113.9" }
+  );
+  assert.deepEqual(
+    results.map((result) => result.found ?? "limited"),
+    [false, false, false, "limited"]
+  );
+  assert.match(results[3].error, /Too many customer lookups/);
+
+  // The same number from different addresses
+  const lookups = [];
+  for (const ip of ["203.0.113.10", "203.0.113.11", "203.0.113.12"]) {
+    lookups.push(await lookUp(createClient(server.url), { customer_phone: "+12065550099" }, { ip }));
+  }
+  assert.deepEqual(
+    lookups.map((result) => result.found ?? "limited"),
+    [false, false, "limited"]
+  );
+});
@@ -0,0 +1,43 @@
+// test/datetime.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeStartTime, normalizeDate, formatInTimeZone } from "../lib/datetime.js";
+import { ToolArgumentError } from "../lib/errors.js";
+
+const now = new Date("2030-01-01T00:00:00Z");
+
+test("reads times without an offset as business wall-clock time", () => {
+  assert.equal(normalizeStartTime("2030-11-20T10:00:00", "America/Los_Angeles", { now }), "2030-11-20T10:00:00-08:00");
+  assert.equal(normalizeStartTime("2030-07-20T10:00", "America/Los_Angeles", { now }), "2030-07-20T10:00:00-07:00");
+});
+
+test("converts times with an offset into the business timezone", () => {
+  assert.equal(normalizeStartTime("2030-07-20T10:00:00Z", "America/New_York", { now }), "2030-07-20T06:00:00-04:00");
+  assert.equal(normalizeStartTime("2030-07-20T10:00:00+0530", "Asia/Kolkata", { now }), "2030-07-20T10:00:00+05:30");
+});
+
+test("rejects malformed, impossible, skipped and past times", () => {
+  for (const value of ["tomorrow at 3", "2030-02-30T10:00:00", "2030-03-10T02:30:00", "2029-12-31T10:00:00", undefined]) {
+    assert.throws(() => normalizeStartTime(value, "America/Los_Angeles", { now }), ToolArgumentError, String(value));
+  }
+});
+
+test("allows past times when asked", () => {
+  assert.equal(
+    normalizeStartTime("2029-12-31T10:00:00", "America/Los_Angeles", { now, allowPast: true }),
+    "2029-12-31T10:00:00-08:00"
+  );
+});
+
+test("validates plain dates", () => {
+  assert.equal(normalizeDate("2030-11-20"), "2030-11-20");
+  assert.throws(() => normalizeDate("11/20/2030"), ToolArgumentError);
+});
+
+test("formats a time for display in another zone", () => {
+  assert.equal(
+    formatInTimeZone("2030-11-20T10:00:00-08:00", "America/New_York"),
+    "Wednesday, November 20 at 1:00 PM EST"
+  );
+});
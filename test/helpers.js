@@ -0,0 +1,167 @@
+// test/helpers.js
+
+import { once } from "events";
+import { startMockBlockApi } from "./mocks/block-api.js";
+import { startFakeLlm } from "./mocks/llm.js";
+
+// Start the mock Block API and fake LLM, point the server's configuration
+// at them and start the app on a random port. server.js reads most of its
+// configuration at import time, so call this once per test file (node
+// --test runs each file in its own process); `env` overrides the defaults.
+export async function startTestServer({ env = {} } = {}) {
+  // The server logs every step; keep test output readable
+  process.env.LOG_LEVEL = process.env.TEST_VERBOSE ? "debug" : "silent";
+
+  const block = await startMockBlockApi({ apiKey: "block_key_test" });
+  const llm = await startFakeLlm();
+
+  Object.assign(process.env, {
+    LLM_PROVIDER: "ollama",
+    LLM_BASE_URL: `${llm.url}/v1`,
+    LLM_MODEL: "fake",
+    BLOCK_API_BASE_URL: block.url,
+    BLOCK_API_KEY: "block_key_test",
+    CONNECTION_ID: "conn_test",
+    DEFAULT_PROVIDER_NAME: "Default Stylist",
+    BUSINESS_TIMEZONE: "America/Los_Angeles",
+    // Keep a developer's .env or tenants.json from leaking into the tests
+    TENANTS_FILE: "test/no-tenants.json",
+    SESSION_STORE: "memory",
+    JOB_STORE: "memory",
+    CUSTOMER_STORE: "memory",
+    REMINDER_STORE: "memory",
+    NOTIFY_EMAIL_TRANSPORT: "",
+    NOTIFY_SMS_TRANSPORT: "",
+    BLOCK_WEBHOOK_SECRET: "",
+    BLOCK_POLL_INTERVAL_MS: "50",
+    BLOCK_JOB_TIMEOUT_MS: "",
+    BLOCK_RETRY_BASE_MS: "10",
+    BLOCK_BREAKER_COOLDOWN_MS: "",
+    CORS_ALLOWED_ORIGINS: "",
+    ADMIN_PASSWORD: "",
+    METRICS_TOKEN: "",
+    // Every test file chats from one address; rate-limit.test.js sets its own
+    CHAT_RATE_LIMIT_PER_IP: "0",
+    CHAT_RATE_LIMIT_PER_SESSION: "0",
+    WIDGET_TOKEN_SECRET: "",
+    TRUST_PROXY: "",
+    ...env,
+  });
+
+  const { app } = await import("../server.js");
+  const server = app.listen(0);
+  await once(server, "listening");
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    block,
+    llm,
+    reset() {
+      block.reset();
+      llm.reset();
+    },
+    close() {
+      server.closeAllConnections();
+      server.close();
+      block.close();
+      llm.close();
+    },
+  };
+}
+
+// A browser stand-in that keeps the session cookie between requests.
+export function createClient(baseUrl) {
+  let cookie = null;
+
+  async function request(path, init = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      ...init,
+      headers: { ...init.headers, ...(cookie && { Cookie: cookie }) },
+    });
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) {
+      cookie = setCookie.split(";")[0];
+    }
+    return res;
+  }
+
+  return {
+    request,
+
+    // POST /api/chat as JSON; resolves with { status, body }
+    async chat(message, extra = {}) {
+      const res = await request("/api/chat", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message, ...extra }),
+      });
+      return { status: res.status, body: await res.json() };
+    },
+
+    // POST /api/chat asking for a streamed reply; resolves with its events
+    async chatStream(message, extra = {}) {
+      const res = await request("/api/chat", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+        body: JSON.stringify({ message, ...extra }),
+      });
+      return readEventStream(res);
+    },
+
+    // Press Confirm (or Edit) on a pending booking card; { status, body }
+    async confirm(pendingId) {
+      const res = await request(`/api/pending-bookings/${pendingId}/confirm`, { method: "POST" });
+      return { status: res.status, body: await res.json() };
+    },
+    async discard(pendingId) {
+      const res = await request(`/api/pending-bookings/${pendingId}`, { method: "DELETE" });
+      return { status: res.status, body: await res.json() };
+    },
+
+    // chat(), confirming the booking summary if the reply has one, like a
+    // customer who's happy with it. body is the confirm response then, and
+    // pendingBooking the summary that was confirmed.
+    async chatAndConfirm(message, extra = {}) {
+      const reply = await this.chat(message, extra);
+      const { pendingBooking } = reply.body;
+      return pendingBooking ? { ...(await this.confirm(pendingBooking.id)), pendingBooking } : reply;
+    },
+
+    async session() {
+      const res = await request("/api/session");
+      return res.json();
+    },
+
+    // Follow /api/status/:requestId until the server closes it; resolves
+    // with its events in order. Pass lastEventId to resume after that event.
+    async readStatusStream(requestId, { lastEventId } = {}) {
+      const res = await request(`/api/status/${requestId}`, {
+        headers: lastEventId ? { "Last-Event-ID": String(lastEventId) } : {},
+      });
+      return readEventStream(res);
+    },
+  };
+}
+
+// Read a text/event-stream response to the end: [{ id, event, data }].
+// Blocks without data (retry hints, heartbeat comments) are skipped.
+export async function readEventStream(res) {
+  const text = await res.text();
+  const events = [];
+
+  for (const block of text.split("\n\n")) {
+    let id = null;
+    let event = "message";
+    let data = null;
+    for (const line of block.split("\n")) {
+      if (line.startsWith("id:")) id = Number(line.slice(3).trim());
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      if (line.startsWith("data:")) data = (data || "") + line.slice(5).trim();
+    }
+    if (data !== null) {
+      events.push({ ...(id !== null && { id }), event, data: JSON.parse(data) });
+    }
+  }
+
+  return events;
+}
@@ -0,0 +1,220 @@
+// test/jobs.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { startTestServer, createClient } from "./helpers.js";
+
+let server;
+let jobDir;
+let resumeUnfinishedJobs;
+
+before(async () => {
+  jobDir = await fs.mkdtemp(path.join(os.tmpdir(), "webchat-jobs-"));
+  server = await startTestServer({ env: { JOB_STORE: "file", JOB_STORE_PATH: jobDir } });
+  ({ resumeUnfinishedJobs } = await import("../server.js"));
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(jobDir, { recursive: true, force: true });
+});
+
+beforeEach(() => server.reset());
+
+const BOOKING_ARGS = {
+  customer_name: "Jane Doe",
+  customer_phone: "+12065551212",
+  service_name: "Haircut",
+  start_time: "2030-11-20T10:00:00",
+};
+
+// A client whose session already shows a booking placeholder, as if
+// /api/chat had started a job for it before the server went down
+async function clientWithPendingBooking() {
+  const client = createClient(server.url);
+  server.llm.reply({ content: "I'm processing your booking request..." });
+  const res = await client.request("/api/chat", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message: "Book me a haircut" }),
+  });
+  return { client, sessionId: res.headers.get("X-Session-Id") };
+}
+
+// Write a job record the way a previous run of the server left it
+async function seedJob(requestId, sessionId, fields) {
+  const now = new Date().toISOString();
+  const job = {
+    requestId,
+    tenantId: "default",
+    sessionId,
+    tool: "book_appointment",
+    args: { ...BOOKING_ARGS, start_time: "2030-11-20T10:00:00-08:00" },
+    toolCallId: "call_1",
+    llmMessages: [
+      { role: "system", content: "You are a booking assistant." },
+      { role: "user", content: "Book me a haircut" },
+      {
+        role: "assistant",
+        content: null,
+        tool_calls: [
+          {
+            id: "call_1",
+            type: "function",
+            function: { name: "book_appointment", arguments: JSON.stringify(BOOKING_ARGS) },
+          },
+        ],
+      },
+    ],
+    placeholderIndex: 1,
+    visitorTimeZone: null,
+    blockJobId: null,
+    status: "submitting",
+    reply: null,
+    booking: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    ...fields,
+  };
+  await fs.writeFile(path.join(jobDir, `${requestId}.json`), JSON.stringify(job));
+}
+
+test("records the job and serves its outcome from /api/bookings", async () => {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_7" } }] });
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  server.llm.reply({ content: "You're booked!" });
+
+  const client = createClient(server.url);
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  await client.readStatusStream(body.statusRequestId);
+
+  const res = await client.request(`/api/bookings/${body.statusRequestId}`);
+  assert.equal(res.status, 200);
+  const job = await res.json();
+  assert.equal(job.status, "completed");
+  assert.equal(job.tool, "book_appointment");
+  assert.equal(job.reply, "You're booked!");
+  assert.equal(job.booking.id, "appt_7");
+  assert.equal(job.error, null);
+
+  // Persisted with the Block jobId it ran as
+  const stored = JSON.parse(await fs.readFile(path.join(jobDir, `${body.statusRequestId}.json`), "utf8"));
+  assert.equal(stored.blockJobId, "job_1");
+});
+
+test("keeps the booking when the reply can't be generated", async () => {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: "appt_11" } }] });
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  server.llm.reply({ error: "The model is overloaded" });
+
+  const client = createClient(server.url);
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  const statuses = await client.readStatusStream(body.statusRequestId);
+
+  const final = statuses.find((s) => s.event === "final");
+  assert.equal(final.data.message, "Booking completed.");
+  assert.equal(final.data.booking.id, "appt_11");
+  assert.ok(!statuses.some((s) => s.event === "error"));
+
+  const job = await (await client.request(`/api/bookings/${body.statusRequestId}`)).json();
+  assert.equal(job.status, "completed");
+  assert.equal(job.booking.id, "appt_11");
+  assert.equal(job.error, null);
+  assert.equal(server.block.actions.length, 1);
+
+  const { history } = await client.session();
+  assert.equal(history.at(-1).content, "Booking completed.");
+});
+
+test("lists the session's running jobs for a reloaded widget", async () => {
+  server.block.script({
+    steps: [...Array(20).fill({ status: "in_progress" }), { status: "success", result: { appointmentId: "appt_8" } }],
+  });
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  server.llm.reply({ content: "You're booked!" });
+
+  const client = createClient(server.url);
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  assert.deepEqual((await client.session()).runningJobs, [
+    { requestId: body.statusRequestId, statusMessage: "Booking your appointment..." },
+  ]);
+
+  await client.readStatusStream(body.statusRequestId);
+  assert.deepEqual((await client.session()).runningJobs, []);
+});
+
+test("only the session that started a job can look it up", async () => {
+  server.llm.reply({ toolCalls: [{ name: "book_appointment", arguments: BOOKING_ARGS }] });
+  server.llm.reply({ content: "You're booked!" });
+
+  const client = createClient(server.url);
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  await client.readStatusStream(body.statusRequestId);
+
+  const stranger = await fetch(`${server.url}/api/bookings/${body.statusRequestId}`);
+  assert.equal(stranger.status, 404);
+
+  const malformed = await fetch(`${server.url}/api/bookings/..%2Fsecrets`);
+  assert.equal(malformed.status, 404);
+});
+
+test("resumes a job that was waiting on Block when the server stopped", async () => {
+  const { client, sessionId } = await clientWithPendingBooking();
+
+  // The Block job the previous run submitted
+  server.block.script({
+    steps: [
+      { status: "in_progress", events: ["Contacting the salon..."] },
+      { status: "success", result: { appointmentId: "appt_9" } },
+    ],
+  });
+  const submitted = await fetch(`${server.block.url}/v1/actions`, {
+    method: "POST",
+    headers: { Authorization: "Bearer block_key_test", "Content-Type": "application/json" },
+    body: JSON.stringify({ action: "BookAppointment", connectionId: "conn_test", payload: {} }),
+  });
+  const { jobId } = await submitted.json();
+
+  await seedJob("req_resume_1", sessionId, { status: "running", blockJobId: jobId });
+  server.llm.reply({ content: "All set for Wednesday!" });
+
+  assert.equal(await resumeUnfinishedJobs(), 1);
+  const statuses = await client.readStatusStream("req_resume_1");
+
+  // Picked up the existing Block job rather than booking again
+  assert.equal(server.block.actions.length, 1);
+  assert.ok(statuses.some((s) => s.event === "progress" && s.data.message === "Contacting the salon..."));
+  const final = statuses.find((s) => s.event === "final");
+  assert.equal(final.data.message, "All set for Wednesday!");
+  assert.equal(final.data.booking.id, "appt_9");
+
+  // The reply was generated from the stored transcript plus the tool result
+  const toolMessage = server.llm.requests.at(-1).messages.at(-1);
+  assert.equal(toolMessage.role, "tool");
+  assert.equal(toolMessage.tool_call_id, "call_1");
+
+  const { history } = await client.session();
+  assert.equal(history[1].content, "All set for Wednesday!");
+
+  const job = await (await client.request("/api/bookings/req_resume_1")).json();
+  assert.equal(job.status, "completed");
+});
+
+test("fails a job that never got a Block jobId instead of resubmitting it", async () => {
+  const { client, sessionId } = await clientWithPendingBooking();
+  await seedJob("req_resume_2", sessionId, { status: "submitting" });
+
+  assert.equal(await resumeUnfinishedJobs(), 0);
+
+  assert.equal(server.block.actions.length, 0);
+  const job = await (await client.request("/api/bookings/req_resume_2")).json();
+  assert.equal(job.status, "failed");
+  assert.match(job.error, /server restarted/);
+
+  const { history } = await client.session();
+  assert.match(history[1].content, /^Error: The server restarted/);
+});
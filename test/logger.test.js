@@ -0,0 +1,77 @@
+// test/logger.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLogger, redact, withLogContext, addLogContext } from "../lib/logger.js";
+
+// A logger writing into an array, with the given environment
+function capture(env = {}) {
+  const lines = [];
+  const log = createLogger({}, { env, write: (level, line) => lines.push(line) });
+  return { log, lines, entries: () => lines.map((line) => JSON.parse(line)) };
+}
+
+test("writes one JSON line per entry, at or above LOG_LEVEL", () => {
+  const { log, entries } = capture({ LOG_LEVEL: "info" });
+
+  log.debug("Polling");
+  log.info("Job created", { jobId: "job_1" });
+  log.child({ component: "runBlockAction" }).error("Failed", { error: new Error("Boom") });
+
+  const [created, failed] = entries();
+  assert.equal(entries().length, 2);
+  assert.equal(created.level, "info");
+  assert.equal(created.msg, "Job created");
+  assert.equal(created.jobId, "job_1");
+  assert.ok(Date.parse(created.time));
+  assert.equal(failed.component, "runBlockAction");
+  assert.equal(failed.error.message, "Boom");
+  assert.match(failed.error.stack, /Boom/);
+
+  const silent = capture({ LOG_LEVEL: "silent" });
+  silent.log.error("Nothing to see");
+  assert.deepEqual(silent.lines, []);
+});
+
+test("formats readable lines with LOG_FORMAT=pretty", () => {
+  const { log, lines } = capture({ LOG_FORMAT: "pretty" });
+
+  log.child({ component: "runToolJob" }).warn("Retrying", { attempt: 2 });
+
+  assert.match(lines[0], /^\S+ WARN \[runToolJob\] Retrying attempt=2$/);
+});
+
+test("adds the log context to everything logged inside it", async () => {
+  const { log, entries } = capture();
+
+  await withLogContext({ correlationId: "corr-1" }, async () => {
+    log.info("In the request");
+    addLogContext({ requestId: "req_1" });
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    log.info("Later, in a callback");
+  });
+  log.info("Outside");
+
+  assert.deepEqual(
+    entries().map(({ correlationId, requestId }) => [correlationId, requestId]),
+    [
+      ["corr-1", undefined],
+      ["corr-1", "req_1"],
+      [undefined, undefined],
+    ]
+  );
+});
+
+test("masks customer details", () => {
+  const masked = redact({
+    args: { customer_name: "Jane Doe", customer_phone: "+12065551212", service_name: "Haircut" },
+    payload: { customer: { firstName: "Jane", lastName: "Doe", phone: "+12065551212", email: "jane@example.com" } },
+    msg: "Call me at (206) 555-1212 or +442071234567 on 2030-11-20",
+  });
+
+  assert.deepEqual(masked, {
+    args: { customer_name: "J***", customer_phone: "***12", service_name: "Haircut" },
+    payload: { customer: { firstName: "J***", lastName: "D***", phone: "***12", email: "j***" } },
+    msg: "Call me at ***12 or ***67 on 2030-11-20",
+  });
+});
@@ -0,0 +1,132 @@
+// test/metrics.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRegistry } from "../lib/metrics.js";
+import { startTestServer, createClient } from "./helpers.js";
+
+test("renders counters and histograms in the Prometheus text format", () => {
+  const registry = createRegistry();
+  const chats = registry.counter("chats_total", "Chats", ["tenant"]);
+  const latency = registry.histogram("latency_seconds", "Latency", ["outcome"], { buckets: [1, 5] });
+
+  chats.inc({ tenant: "salon-sf" });
+  chats.inc({ tenant: "salon-sf" });
+  chats.inc({ tenant: 'say "hi"' });
+  latency.observe({ outcome: "ok" }, 0.5);
+  latency.observe({ outcome: "ok" }, 3);
+
+  assert.equal(chats.get({ tenant: "salon-sf" }), 2);
+  assert.equal(
+    registry.render(),
+    [
+      "# HELP chats_total Chats",
+      "# TYPE chats_total counter",
+      'chats_total{tenant="salon-sf"} 2',
+      'chats_total{tenant="say \\"hi\\""} 1',
+      "# HELP latency_seconds Latency",
+      "# TYPE latency_seconds histogram",
+      'latency_seconds_bucket{outcome="ok",le="1"} 1',
+      'latency_seconds_bucket{outcome="ok",le="5"} 2',
+      'latency_seconds_bucket{outcome="ok",le="+Inf"} 2',
+      'latency_seconds_sum{outcome="ok"} 3.5',
+      'latency_seconds_count{outcome="ok"} 2',
+      "",
+    ].join("\n")
+  );
+
+  assert.throws(() => registry.counter("chats_total", "Again"), /already registered/);
+});
+
+test("timers observe with the labels given at start and end", () => {
+  const registry = createRegistry();
+  const latency = registry.histogram("submit_seconds", "Submit", ["action", "outcome"], { buckets: [60] });
+
+  latency.startTimer({ action: "BookAppointment" })({ outcome: "error" });
+
+  assert.match(registry.render(), /^submit_seconds_count\{action="BookAppointment",outcome="error"\} 1$/m);
+});
+
+// --- GET /metrics ---
+
+let server;
+
+before(async () => {
+  server = await startTestServer({ env: { METRICS_TOKEN: "scrape-me" } });
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+async function scrape(token = "scrape-me") {
+  const res = await fetch(`${server.url}/metrics`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  return { status: res.status, type: res.headers.get("Content-Type"), text: await res.text() };
+}
+
+// The value of one sample line, 0 when it isn't there yet
+async function sample(name, labels) {
+  const { text } = await scrape();
+  const wanted = Object.entries(labels).map(([label, value]) => `${label}="${value}"`);
+  const line = text
+    .split("\n")
+    .find((line) => line.startsWith(`${name}{`) && wanted.every((pair) => line.includes(pair)));
+  return line ? Number(line.split(" ").at(-1)) : 0;
+}
+
+async function book(startTime) {
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Jane Doe",
+          customer_phone: "(206) 555-1212",
+          service_name: "Haircut",
+          start_time: startTime,
+        },
+      },
+    ],
+  });
+  server.llm.reply({ content: "Done." });
+  const client = createClient(server.url);
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  await client.readStatusStream(body.statusRequestId);
+}
+
+test("requires the bearer token when METRICS_TOKEN is set", async () => {
+  assert.equal((await scrape(null)).status, 401);
+  assert.equal((await scrape("wrong")).status, 401);
+
+  const { status, type } = await scrape();
+  assert.equal(status, 200);
+  assert.match(type, /^text\/plain;.*version=0\.0\.4/);
+});
+
+test("counts the booking funnel and Block outcomes by error class", async () => {
+  const jobs = { tenant: "default", tool: "book_appointment" };
+  const before = {
+    chats: await sample("webchat_chat_messages_total", { tenant: "default" }),
+    confirmed: await sample("webchat_pending_bookings_total", { outcome: "confirmed" }),
+    successes: await sample("webchat_block_jobs_total", { ...jobs, outcome: "success" }),
+    failures: await sample("webchat_block_jobs_total", { ...jobs, outcome: "error", error_class: "job_failed" }),
+  };
+
+  server.block.script({ steps: [{ status: "in_progress" }, { status: "success", result: { appointmentId: "appt_1" } }] });
+  await book("2030-11-20T10:00:00");
+  server.reset();
+  server.block.script({ steps: [{ status: "error", errorMessage: "Slot taken" }] });
+  await book("2030-11-21T10:00:00");
+
+  assert.equal(await sample("webchat_chat_messages_total", { tenant: "default" }), before.chats + 2);
+  assert.equal(await sample("webchat_pending_bookings_total", { outcome: "confirmed" }), before.confirmed + 2);
+  assert.equal(await sample("webchat_block_jobs_total", { ...jobs, outcome: "success" }), before.successes + 1);
+  assert.equal(
+    await sample("webchat_block_jobs_total", { ...jobs, outcome: "error", error_class: "job_failed" }),
+    before.failures + 1
+  );
+  assert.ok((await sample("webchat_tool_calls_total", { ...jobs, outcome: "awaiting_confirmation" })) >= 2);
+  assert.ok((await sample("webchat_block_job_polls_count", { action: "BookAppointment", outcome: "success" })) >= 1);
+  assert.ok((await sample("webchat_block_submit_duration_seconds_count", { action: "BookAppointment" })) >= 2);
+  assert.ok((await sample("webchat_llm_request_duration_seconds_count", { provider: "ollama", outcome: "ok" })) >= 3);
+});
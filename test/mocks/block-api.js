@@ -0,0 +1,160 @@
+// test/mocks/block-api.js
+
+import http from "http";
+import { once } from "events";
+
+// Scriptable stand-in for the Block API's async job flow:
+// POST /v1/actions and GET /v1/jobs/{jobId}.
+//
+// script() queues the outcome of the next submitted action:
+//
+//   block.script({
+//     steps: [
+//       { status: "queued" },
+//       { status: "in_progress", events: ["Contacting the salon..."] },
+//       { status: "success", result: { appointmentId: "appt_1" } },
+//     ],
+//   });
+//
+// Each poll returns the next step (the last one repeats forever, so a
+// script ending in "in_progress" never finishes). A step's events show up
+// in recentEvents from that poll on. submitStatus / pollStatus make the
+// submit or the polls fail with that HTTP status instead: every time, or
+// only the first submitFailures / pollFailures times, with a Retry-After
+// header when retryAfter is set. Unscripted actions (and scripts without
+// steps) succeed on the first poll with an empty result.
+//
+// A submit repeating an earlier Idempotency-Key gets the earlier jobId back
+// and isn't recorded as a new action (submitAttempts has every POST). Keys are kept in `idempotencyKeys`.
+export async function startMockBlockApi({ apiKey = "block_key_test" } = {}) {
+  const scripts = [];
+  const jobs = new Map();
+  const actions = []; // every accepted action body, for assertions
+  const submitAttempts = []; // every POST /v1/actions body, failed or not
+  const idempotencyKeys = []; // Idempotency-Key of each action, or null
+  const jobsByKey = new Map();
+  let nextJobId = 1;
+  let eventClock = Date.parse("2030-01-01T00:00:00Z");
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  // A scripted failure, if this attempt should get one
+  const failure = (status, remaining, retryAfter) =>
+    status && remaining > 0
+      ? [status, { error: `Scripted ${status}` }, retryAfter !== undefined ? { "Retry-After": String(retryAfter) } : {}]
+      : null;
+
+  const jobState = (job) => {
+    const index = Math.min(job.pollCount, job.steps.length - 1);
+    const step = job.steps[index];
+    return {
+      jobId: job.id,
+      status: step.status,
+      ...(step.result && { result: step.result }),
+      ...(step.errorMessage && { errorMessage: step.errorMessage }),
+      recentEvents: job.events.filter((event) => event.step <= index).map(({ step, ...event }) => event),
+    };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.headers.authorization !== `Bearer ${apiKey}`) {
+      return sendJson(res, 401, { error: "Invalid API key" });
+    }
+
+    if (req.method === "POST" && req.url === "/v1/actions") {
+      let body = "";
+      for await (const chunk of req) body += chunk;
+      const action = JSON.parse(body);
+
+      submitAttempts.push(action);
+
+      const key = req.headers["idempotency-key"] || null;
+      if (key && jobsByKey.has(key)) {
+        return sendJson(res, 202, { jobId: jobsByKey.get(key) });
+      }
+
+      // A failing submit leaves its script queued for the next attempt
+      const script = scripts[0] || {};
+      const submitFailure = failure(script.submitStatus, script.submitFailures ?? Infinity, script.retryAfter);
+      if (submitFailure) {
+        script.submitFailures = (script.submitFailures ?? Infinity) - 1;
+        return sendJson(res, ...submitFailure);
+      }
+      scripts.shift();
+      actions.push(action);
+      idempotencyKeys.push(key);
+      const steps = script.steps || [{ status: "success", result: {} }];
+
+      const job = {
+        id: `job_${nextJobId++}`,
+        action,
+        steps,
+        pollStatus: script.pollStatus,
+        pollFailures: script.pollFailures ?? Infinity,
+        retryAfter: script.retryAfter,
+        pollCount: 0,
+        // Timestamps are fixed up front so every poll reports the same ones
+        events: steps.flatMap((step, index) =>
+          (step.events || []).map((message) => ({
+            step: index,
+            message,
+            created_at: new Date((eventClock += 1000)).toISOString(),
+          }))
+        ),
+      };
+      jobs.set(job.id, job);
+      if (key) {
+        jobsByKey.set(key, job.id);
+      }
+      return sendJson(res, 202, { jobId: job.id });
+    }
+
+    const jobMatch = req.method === "GET" && req.url.match(/^\/v1\/jobs\/([^/]+)$/);
+    if (jobMatch) {
+      const job = jobs.get(jobMatch[1]);
+      if (!job) {
+        return sendJson(res, 404, { error: "Job not found" });
+      }
+      const pollFailure = failure(job.pollStatus, job.pollFailures, job.retryAfter);
+      if (pollFailure) {
+        job.pollFailures--;
+        return sendJson(res, ...pollFailure);
+      }
+
+      const state = jobState(job);
+      job.pollCount++;
+      return sendJson(res, 200, state);
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  });
+
+  server.listen(0);
+  await once(server, "listening");
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    actions,
+    submitAttempts,
+    idempotencyKeys,
+    jobs,
+    script(script) {
+      scripts.push(script);
+    },
+    reset() {
+      scripts.length = 0;
+      actions.length = 0;
+      submitAttempts.length = 0;
+      idempotencyKeys.length = 0;
+      jobs.clear();
+      jobsByKey.clear();
+    },
+    close() {
+      server.closeAllConnections();
+      server.close();
+    },
+  };
+}
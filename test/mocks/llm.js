@@ -0,0 +1,99 @@
+// test/mocks/llm.js
+
+import http from "http";
+import { once } from "events";
+
+// Scripted fake LLM behind an OpenAI-compatible /v1/chat/completions
+// endpoint (the server talks to it with LLM_PROVIDER=ollama). Each request
+// gets the next queued reply, streamed the way OpenAI streams:
+//
+//   llm.reply({ content: "Hi! How can I help?" });
+//   llm.reply({ toolCalls: [{ name: "book_appointment", arguments: { ... } }] });
+//
+// A reply with `error` fails the request instead, with HTTP 400 (which the
+// client doesn't retry):
+//
+//   llm.reply({ error: "The model is overloaded" });
+//
+// With nothing queued it answers "OK". Every request body is kept in
+// `requests` so tests can check what the model was sent.
+export async function startFakeLlm() {
+  const replies = [];
+  const requests = [];
+  let nextCallId = 1;
+
+  const chunk = (delta) =>
+    `data: ${JSON.stringify({
+      id: "chatcmpl-fake",
+      object: "chat.completion.chunk",
+      created: 0,
+      model: "fake",
+      choices: [{ index: 0, delta, finish_reason: null }],
+    })}\n\n`;
+
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const part of req) body += part;
+    requests.push(JSON.parse(body));
+
+    const reply = replies.shift() || { content: "OK" };
+
+    if (reply.error) {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { message: reply.error, type: "invalid_request_error" } }));
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+
+    if (reply.content) {
+      // A few chunks, so streaming is actually exercised
+      for (const piece of reply.content.match(/.{1,8}/gs)) {
+        res.write(chunk({ content: piece }));
+      }
+    }
+
+    (reply.toolCalls || []).forEach((toolCall, index) => {
+      const args =
+        typeof toolCall.arguments === "string" ? toolCall.arguments : JSON.stringify(toolCall.arguments);
+      const half = Math.ceil(args.length / 2);
+
+      // Name first, then the arguments in two fragments
+      res.write(
+        chunk({
+          tool_calls: [
+            {
+              index,
+              id: toolCall.id || `call_${nextCallId++}`,
+              type: "function",
+              function: { name: toolCall.name, arguments: "" },
+            },
+          ],
+        })
+      );
+      res.write(chunk({ tool_calls: [{ index, function: { arguments: args.slice(0, half) } }] }));
+      res.write(chunk({ tool_calls: [{ index, function: { arguments: args.slice(half) } }] }));
+    });
+
+    res.end("data: [DONE]\n\n");
+  });
+
+  server.listen(0);
+  await once(server, "listening");
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    requests,
+    reply(reply) {
+      replies.push(reply);
+    },
+    reset() {
+      replies.length = 0;
+      requests.length = 0;
+    },
+    close() {
+      server.closeAllConnections();
+      server.close();
+    },
+  };
+}
@@ -0,0 +1,73 @@
+// test/mocks/smtp.js
+
+import net from "net";
+import { once } from "events";
+
+// A plain-text SMTP server that accepts every message (no TLS, no AUTH).
+// Each message lands in `messages` as { from, to, data }, with `data` the
+// raw DATA section; `commands` has every command line received.
+export async function startMockSmtpServer() {
+  const messages = [];
+  const commands = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 mock.smtp ESMTP ready");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let newline;
+      while ((newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        if (data !== null) {
+          if (line === ".") {
+            messages.push({ ...envelope, data: data.join("\r\n") });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply("250 OK queued");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === "EHLO") {
+          reply("250-mock.smtp greets you");
+          reply("250 8BITMIME");
+        } else if (verb === "MAIL") {
+          envelope.from = /<(.*)>/.exec(line)[1];
+          reply("250 OK");
+        } else if (verb === "RCPT") {
+          envelope.to.push(/<(.*)>/.exec(line)[1]);
+          reply("250 OK");
+        } else if (verb === "DATA") {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (verb === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else {
+          reply("502 Command not implemented");
+        }
+      }
+    });
+  });
+
+  server.listen(0);
+  await once(server, "listening");
+
+  return {
+    port: server.address().port,
+    messages,
+    commands,
+    close: () => server.close(),
+  };
+}
@@ -0,0 +1,297 @@
+// test/notifications.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import net from "net";
+import {
+  bookingMessages,
+  createNotificationTransports,
+  createSmtpTransport,
+  createTwilioTransport,
+  verificationMessages,
+} from "../lib/notifications.js";
+import { startMockSmtpServer } from "./mocks/smtp.js";
+import { startTestServer, createClient } from "./helpers.js";
+
+const BOOKING = {
+  bookingId: "appt_42",
+  startTime: "2030-11-20T10:00:00-08:00",
+  service: "Haircut",
+  provider: "Carl Morris",
+  customerName: "Jane Doe",
+};
+const BUSINESS = { businessName: "Shear Genius", timezone: "America/Los_Angeles" };
+
+test("fills in the confirmation and reminder templates", () => {
+  const confirmation = bookingMessages("confirmation", BOOKING, BUSINESS);
+
+  assert.equal(confirmation.email.subject, "Your Haircut at Shear Genius is booked");
+  assert.match(confirmation.email.text, /^Hi Jane,/);
+  assert.match(confirmation.email.text, /With: +Carl Morris/);
+  assert.match(confirmation.email.text, /When: +Wednesday, November 20 at 10:00 AM PST/);
+  assert.match(confirmation.email.text, /Booking: +appt_42/);
+  assert.equal(
+    confirmation.sms.text,
+    "Shear Genius: Your Haircut with Carl Morris is booked for Wednesday, November 20 at 10:00 AM PST. Booking id appt_42."
+  );
+
+  const reminder = bookingMessages("reminder", { ...BOOKING, provider: null }, BUSINESS);
+  assert.equal(reminder.email.subject, "Reminder: your Haircut at Shear Genius");
+  assert.doesNotMatch(reminder.email.text, /With:/);
+  assert.match(reminder.sms.text, /Reminder of your Haircut on Wednesday/);
+
+  const unnamed = bookingMessages("confirmation", BOOKING, { ...BUSINESS, businessName: "" });
+  assert.equal(unnamed.email.subject, "Your Haircut is booked");
+  assert.match(unnamed.email.text, /Your appointment is confirmed\./);
+  assert.match(unnamed.sms.text, /^Your Haircut with Carl Morris is booked/);
+
+  const verification = verificationMessages("042917", 10, BUSINESS);
+  assert.equal(verification.email.subject, "Your verification code for Shear Genius");
+  assert.match(verification.email.text, /Your verification code is 042917\. .* It expires in 10 minutes\./);
+  assert.match(verification.sms.text, /^Shear Genius: Your verification code is 042917\./);
+});
+
+test("delivers mail over SMTP", async () => {
+  const smtp = await startMockSmtpServer();
+  const message = { to: "jane@example.com", subject: "Bis bald, Jürgen", text: "See you soon\n.Line two" };
+  try {
+    await createSmtpTransport({
+      host: "127.0.0.1",
+      port: smtp.port,
+      from: "Café Jürgen <bookings@example.com>",
+      helo: "webchat.test",
+    }).send(message);
+
+    assert.deepEqual(smtp.commands.slice(0, 4), [
+      "EHLO webchat.test",
+      "MAIL FROM:<bookings@example.com>",
+      "RCPT TO:<jane@example.com>",
+      "DATA",
+    ]);
+    assert.equal(smtp.messages.length, 1);
+    // Non-ASCII names and subjects go out as encoded words
+    assert.match(smtp.messages[0].data, /^From: =\?UTF-8\?Q\?Caf=C3=A9_J=C3=BCrgen\?= <bookings@example.com>$/m);
+    assert.match(smtp.messages[0].data, /^Subject: =\?UTF-8\?Q\?Bis_bald=2C_J=C3=BCrgen\?=$/m);
+    assert.match(smtp.messages[0].data, /^\.\.Line two$/m);
+
+    // No STARTTLS on offer, so no password either
+    const withLogin = createSmtpTransport({
+      host: "127.0.0.1",
+      port: smtp.port,
+      user: "apikey",
+      pass: "secret",
+      from: "bookings@example.com",
+    });
+    await assert.rejects(withLogin.send(message), /STARTTLS/);
+    assert.ok(!smtp.commands.some((command) => command.startsWith("AUTH")));
+    assert.equal(smtp.messages.length, 1);
+  } finally {
+    smtp.close();
+  }
+});
+
+test("gives up on an SMTP server that never answers", async () => {
+  const sockets = [];
+  const silent = net.createServer((socket) => sockets.push(socket));
+  silent.listen(0);
+  await once(silent, "listening");
+  try {
+    const transport = createSmtpTransport({
+      host: "127.0.0.1",
+      port: silent.address().port,
+      from: "bookings@example.com",
+      timeout: 200,
+    });
+    await assert.rejects(transport.send({ to: "jane@example.com", subject: "Hi", text: "Hi" }), { code: "ETIMEDOUT" });
+  } finally {
+    sockets.forEach((socket) => socket.destroy());
+    silent.close();
+  }
+});
+
+test("sends SMS through Twilio", async () => {
+  const requests = [];
+  const twilio = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const part of req) body += part;
+    requests.push({ url: req.url, auth: req.headers.authorization, body: new URLSearchParams(body) });
+    const failing = requests.length > 1;
+    res.writeHead(failing ? 400 : 201, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(failing ? { message: "The 'To' number is not a valid phone number." } : { sid: "SM1" }));
+  });
+  twilio.listen(0);
+  await once(twilio, "listening");
+
+  try {
+    const transport = createTwilioTransport({
+      accountSid: "AC123",
+      authToken: "token",
+      from: "+12065550000",
+      baseUrl: `http://localhost:${twilio.address().port}`,
+    });
+    await transport.send({ to: "+12065551212", text: "You're booked" });
+
+    assert.equal(requests[0].url, "/2010-04-01/Accounts/AC123/Messages.json");
+    assert.equal(requests[0].auth, `Basic ${Buffer.from("AC123:token").toString("base64")}`);
+    assert.equal(requests[0].body.get("To"), "+12065551212");
+    assert.equal(requests[0].body.get("Body"), "You're booked");
+
+    await assert.rejects(transport.send({ to: "+1", text: "Hi" }), /Twilio error \(400\): The 'To' number/);
+  } finally {
+    twilio.close();
+  }
+});
+
+test("checks the transport configuration at startup", () => {
+  assert.deepEqual(createNotificationTransports({}), { email: null, sms: null });
+  assert.throws(
+    () => createNotificationTransports({ NOTIFY_EMAIL_TRANSPORT: "pigeon" }),
+    /Unknown NOTIFY_EMAIL_TRANSPORT/
+  );
+  assert.throws(() => createNotificationTransports({ NOTIFY_EMAIL_TRANSPORT: "smtp" }), /SMTP_HOST is required/);
+  assert.throws(
+    () => createNotificationTransports({ NOTIFY_SMS_TRANSPORT: "twilio", TWILIO_ACCOUNT_SID: "AC123" }),
+    /TWILIO_AUTH_TOKEN is required/
+  );
+});
+
+// --- After a booking ---
+
+let server;
+let dataDir;
+let outbox;
+let reminderDir;
+let sendDueReminders;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "webchat-notifications-"));
+  outbox = path.join(dataDir, "outbox");
+  reminderDir = path.join(dataDir, "reminders");
+  server = await startTestServer({
+    env: {
+      NOTIFY_EMAIL_TRANSPORT: "file",
+      NOTIFY_SMS_TRANSPORT: "file",
+      NOTIFY_OUTBOX_PATH: outbox,
+      REMINDER_STORE: "file",
+      REMINDER_STORE_PATH: reminderDir,
+    },
+  });
+  ({ sendDueReminders } = await import("../server.js"));
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  server.reset();
+  await fs.rm(outbox, { recursive: true, force: true });
+});
+
+// Notifications go out after the final status event, so wait for them
+async function eventually(check, what) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail(`Timed out waiting for ${what}`);
+}
+
+const readJsonFiles = async (dir) => {
+  const files = (await fs.readdir(dir).catch(() => [])).filter((file) => file.endsWith(".json"));
+  return Promise.all(files.map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file), "utf8"))));
+};
+
+// The messages in the outbox (email first), once there are `count` of them
+function outboxMessages(count) {
+  return eventually(async () => {
+    const messages = await readJsonFiles(outbox);
+    return messages.length >= count && messages.sort((a, b) => a.channel.localeCompare(b.channel));
+  }, `${count} messages in the outbox`);
+}
+
+const reminders = () => readJsonFiles(reminderDir);
+
+async function book(client, bookingId, args = {}) {
+  server.block.script({ steps: [{ status: "success", result: { appointmentId: bookingId } }] });
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Jane Doe",
+          customer_phone: "(206) 555-1212",
+          service_name: "Haircut",
+          provider_name: "Carl Morris",
+          start_time: "2030-11-20T10:00:00",
+          ...args,
+        },
+      },
+    ],
+  });
+  server.llm.reply({ content: "You're booked!" });
+  const { body } = await client.chatAndConfirm("Book me a haircut");
+  return client.readStatusStream(body.statusRequestId);
+}
+
+test("confirms a booking by email and SMS and sends a reminder the day before", async () => {
+  const client = createClient(server.url);
+  await book(client, "appt_42", { customer_email: " Jane@Example.com" });
+
+  const [email, sms] = await outboxMessages(2);
+  assert.equal(email.channel, "email");
+  assert.equal(email.to, "jane@example.com");
+  assert.equal(email.subject, "Your Haircut is booked");
+  assert.match(email.text, /When: +Wednesday, November 20 at 10:00 AM PST/);
+  assert.match(email.text, /Booking: +appt_42/);
+  assert.equal(sms.to, "+12065551212");
+  assert.match(sms.text, /Booking id appt_42/);
+  assert.equal(server.block.actions[0].payload.customer.email, "jane@example.com");
+
+  const [reminder] = await eventually(async () => (await reminders()).length > 0 && reminders(), "the reminder");
+  assert.equal(reminder.sendAt, "2030-11-19T18:00:00.000Z");
+
+  assert.equal(await sendDueReminders(new Date("2030-11-19T17:59:00Z")), 0);
+  assert.equal(await sendDueReminders(new Date("2030-11-19T18:00:30Z")), 1);
+  const sent = (await outboxMessages(4)).filter((message) => /reminder/i.test(message.subject || message.text));
+  assert.deepEqual(sent.map((message) => message.channel), ["email", "sms"]);
+  assert.deepEqual(await reminders(), []);
+});
+
+test("moves the reminder with a reschedule and drops it on cancellation", async () => {
+  const client = createClient(server.url);
+  await book(client, "appt_43", { start_time: "2030-12-02T15:00:00" });
+
+  // The email address from her last booking is on file
+  const [email] = await outboxMessages(2);
+  assert.equal(email.to, "jane@example.com");
+  await eventually(async () => (await reminders()).length === 1, "the reminder");
+
+  server.llm.reply({
+    toolCalls: [
+      { name: "reschedule_appointment", arguments: { booking_id: "appt_43", new_start_time: "2030-12-03T15:00:00" } },
+    ],
+  });
+  server.llm.reply({ content: "Moved." });
+  const moved = await client.chat("Move it a day");
+  await client.readStatusStream(moved.body.statusRequestId);
+  await eventually(
+    async () => (await reminders())[0]?.sendAt === "2030-12-02T23:00:00.000Z",
+    "the reminder to move"
+  );
+
+  server.llm.reply({ toolCalls: [{ name: "cancel_appointment", arguments: { booking_id: "appt_43" } }] });
+  server.llm.reply({ content: "Cancelled." });
+  const cancelled = await client.chat("Actually, cancel it");
+  await client.readStatusStream(cancelled.body.statusRequestId);
+  await eventually(async () => (await reminders()).length === 0, "the reminder to be dropped");
+});
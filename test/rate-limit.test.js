@@ -0,0 +1,165 @@
+// test/rate-limit.test.js
+
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../lib/rate-limit.js";
+import { createWidgetToken, verifyWidgetToken } from "../lib/widget-token.js";
+import { startTestServer, createClient } from "./helpers.js";
+
+test("allows `limit` hits per key in any window", () => {
+  let now = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => now });
+
+  assert.equal(limiter.hit("a").allowed, true);
+  now = 400;
+  assert.equal(limiter.hit("a").allowed, true);
+  assert.equal(limiter.hit("b").allowed, true);
+  now = 600;
+  assert.deepEqual(limiter.hit("a"), { allowed: false, retryAfter: 400 });
+
+  // The first hit has left the window
+  now = 1000;
+  assert.equal(limiter.hit("a").allowed, true);
+  assert.equal(limiter.hit("a").allowed, false);
+
+  const off = createRateLimiter({ limit: 0, windowMs: 1000 });
+  assert.ok(Array.from({ length: 100 }, () => off.hit("a").allowed).every(Boolean));
+});
+
+test("widget tokens only verify for their tenant and address, until they expire", () => {
+  const client = { tenantId: "salon-sf", ip: "203.0.113.7" };
+  const token = createWidgetToken(client, "secret", { ttl: 1000, now: 0 });
+
+  assert.equal(verifyWidgetToken(token, client, "secret", { now: 999 }), true);
+  assert.equal(verifyWidgetToken(token, client, "secret", { now: 1000 }), false);
+  assert.equal(verifyWidgetToken(token, { ...client, ip: "198.51.100.1" }, "secret", { now: 0 }), false);
+  assert.equal(verifyWidgetToken(token, { ...client, tenantId: "spa" }, "secret", { now: 0 }), false);
+  assert.equal(verifyWidgetToken(token, client, "other secret", { now: 0 }), false);
+  assert.equal(verifyWidgetToken(token.replace(/^\d+/, "99999"), client, "secret", { now: 0 }), false);
+  assert.equal(verifyWidgetToken(undefined, client, "secret"), false);
+});
+
+// --- /api/chat ---
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    env: {
+      WIDGET_TOKEN_SECRET: "widget-secret",
+      CHAT_RATE_LIMIT_PER_IP: "12",
+      CHAT_RATE_LIMIT_PER_SESSION: "3",
+      CHAT_RATE_LIMIT_WINDOW_MS: "600000",
+      CHAT_MAX_MESSAGE_LENGTH: "200",
+      CHAT_MAX_HISTORY_MESSAGES: "2",
+      MAX_BOOKINGS_PER_SESSION: "1",
+    },
+  });
+});
+
+after(() => server.close());
+
+beforeEach(() => server.reset());
+
+// A visitor whose widget has loaded: it has a session token to send
+async function visitor() {
+  const client = createClient(server.url);
+  const { widgetToken } = await client.session();
+  assert.ok(widgetToken);
+
+  const send = async (message, headers = { "X-Widget-Token": widgetToken }) => {
+    const res = await client.request("/api/chat", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({ message }),
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+  return { client, send };
+}
+
+test("turns away messages without a valid widget token", async () => {
+  const { send } = await visitor();
+
+  const missing = await send("Hi", {});
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.code, "challenge_failed");
+  assert.equal((await send("Hi", { "X-Widget-Token": "1.forged" })).status, 403);
+  assert.equal(server.llm.requests.length, 0);
+
+  server.llm.reply({ content: "Hello!" });
+  const ok = await send("Hi");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.reply, "Hello!");
+});
+
+test("limits messages per session and answers 429 with Retry-After", async () => {
+  const { send } = await visitor();
+
+  for (const reply of ["One", "Two", "Three"]) {
+    server.llm.reply({ content: reply });
+    assert.equal((await send("Hi")).status, 200);
+  }
+
+  const limited = await send("Hi again");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "rate_limited");
+  assert.match(limited.body.error, /wait a moment/);
+  assert.ok(limited.body.retryAfter > 0);
+  assert.equal(limited.headers.get("Retry-After"), String(limited.body.retryAfter));
+
+  // Only the latest messages of the conversation went to the model
+  const [, ...history] = server.llm.requests.at(-1).messages;
+  assert.deepEqual(history.map((message) => message.content), ["Hi", "Two", "Hi"]);
+});
+
+test("rejects over-long messages before calling the model", async () => {
+  const { send } = await visitor();
+
+  const { status, body } = await send("x".repeat(201));
+
+  assert.equal(status, 413);
+  assert.equal(body.code, "message_too_long");
+  assert.match(body.error, /under 200 characters/);
+  assert.equal(server.llm.requests.length, 0);
+});
+
+test("limits bookings per conversation", async () => {
+  const { client, send } = await visitor();
+  const booking = (start_time) => ({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: { customer_name: "Jane Doe", customer_phone: "(206) 555-1212", service_name: "Haircut", start_time },
+      },
+    ],
+  });
+
+  server.llm.reply(booking("2030-11-20T10:00:00"));
+  const first = await send("Book me a haircut");
+  server.llm.reply({ content: "You're booked!" });
+  const confirmed = await client.confirm(first.body.pendingBooking.id);
+  await client.readStatusStream(confirmed.body.statusRequestId);
+
+  server.llm.reply(booking("2030-11-21T10:00:00"));
+  server.llm.reply({ content: "That's the limit for this chat, please call us." });
+  const second = await send("And another one the next day");
+
+  assert.equal(second.body.pendingBooking, undefined);
+  assert.equal(second.body.reply, "That's the limit for this chat, please call us.");
+  const toolResult = JSON.parse(server.llm.requests.at(-1).messages.at(-1).content);
+  assert.match(toolResult.error, /booking limit.*\(Limit: 1\)/);
+});
+
+// Last: it uses up this address's allowance
+test("limits messages per address across sessions", async () => {
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    server.llm.reply({ content: "Hello!" });
+    const { send } = await visitor();
+    statuses.push((await send("Hi")).status);
+  }
+
+  assert.ok(statuses.includes(429));
+  assert.equal(statuses.at(-1), 429);
+});
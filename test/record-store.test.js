@@ -0,0 +1,52 @@
+// test/record-store.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createFileRecordStore, createRecordStore, updateRecord } from "../lib/record-store.js";
+
+test("picks the store for a kind of record from the environment", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "record-store-"));
+  try {
+    const store = createRecordStore({ kind: "job", dir: "unused", key: "requestId" }, {
+      JOB_STORE: "file",
+      JOB_STORE_PATH: dir,
+    });
+    await store.save({ requestId: "req_1", status: "running" });
+    assert.deepEqual(await fs.readdir(dir), ["req_1.json"]);
+    assert.deepEqual(await store.list(), [{ requestId: "req_1", status: "running" }]);
+
+    assert.throws(() => createRecordStore({ kind: "job", dir }, { JOB_STORE: "redis" }), /Unknown JOB_STORE "redis"/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("keeps every change when the same record is updated and saved at once", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "record-store-"));
+  try {
+    const store = createFileRecordStore(dir);
+
+    // Each update reads, waits a little and writes back
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        updateRecord(store, "jane", async (record) => {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          return { id: "jane", visits: [...(record?.visits || []), i] };
+        })
+      )
+    );
+    assert.deepEqual((await store.get("jane")).visits, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+    // Plain saves of one record don't trip over each other's temp files
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.save({ id: "sam", n: i })));
+    assert.deepEqual(await fs.readdir(dir), ["jane.json", "sam.json"]);
+
+    assert.equal(await updateRecord(store, "nobody", () => null), null);
+    assert.equal(await store.get("nobody"), null);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,81 @@
+// test/tool-args.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseToolArguments, validateToolArguments } from "../lib/tool-args.js";
+import { normalizePhone } from "../lib/phone.js";
+import { normalizeCustomerName, splitName } from "../lib/names.js";
+import { ToolArgumentError } from "../lib/errors.js";
+
+const PARAMETERS = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    phone: { type: "string" },
+    party_size: { type: "integer" },
+    kind: { type: "string", enum: ["new", "returning"] },
+  },
+  required: ["name", "phone"],
+};
+
+test("parses JSON arguments and rejects anything else", () => {
+  assert.deepEqual(parseToolArguments('{"name":"Jane"}'), { name: "Jane" });
+  assert.deepEqual(parseToolArguments(""), {});
+  assert.deepEqual(parseToolArguments(undefined), {});
+
+  assert.throws(() => parseToolArguments('{"name": "Jane"'), /not valid JSON/);
+  assert.throws(() => parseToolArguments("[1, 2]"), /must be a JSON object/);
+  assert.throws(() => parseToolArguments('"Jane"'), ToolArgumentError);
+});
+
+test("checks arguments against the tool's parameters", () => {
+  assert.deepEqual(
+    validateToolArguments(PARAMETERS, { name: "  Jane ", phone: 2065551212, kind: "new", extra: "dropped" }),
+    { name: "Jane", phone: "2065551212", kind: "new" }
+  );
+
+  assert.throws(
+    () => validateToolArguments(PARAMETERS, { name: "", party_size: 2.5, kind: "vip" }),
+    (error) =>
+      error instanceof ToolArgumentError &&
+      error.message ===
+        "Invalid arguments: party_size must be a whole number; kind must be one of: new, returning; name is required; phone is required"
+  );
+});
+
+test("normalizes phone numbers to E.164", () => {
+  for (const value of ["+1 (206) 555-1212", "206.555.1212", "1-206-555-1212", "2065551212", "001 206 555 1212"]) {
+    assert.equal(normalizePhone(value), "+12065551212", value);
+  }
+  assert.equal(normalizePhone("020 7946 0018", "GB"), "+442079460018");
+  assert.equal(normalizePhone("+44 20 7946 0018", "US"), "+442079460018");
+});
+
+test("rejects things that aren't phone numbers", () => {
+  for (const value of ["555-1212", "call me", "+1 206 555 121", "+1 106 555 1212", "", undefined, "+1234"]) {
+    assert.throws(() => normalizePhone(value), ToolArgumentError, String(value));
+  }
+});
+
+test("splits names into first and last", () => {
+  const cases = {
+    "Jane Q Doe": ["Jane", "Q Doe"],
+    "Doe, Jane": ["Jane", "Doe"],
+    "Dr. Jane  Doe, Jr.": ["Jane", "Doe Jr."],
+    "Martin Luther King Jr": ["Martin", "Luther King Jr"],
+    "Ludwig van Beethoven": ["Ludwig", "van Beethoven"],
+    Cher: ["Cher", ""],
+    "Prince Jr.": ["Prince", ""],
+  };
+  for (const [name, [firstName, lastName]] of Object.entries(cases)) {
+    assert.deepEqual(splitName(name), { firstName, lastName }, name);
+  }
+});
+
+test("tidies customer names and rejects non-names", () => {
+  assert.equal(normalizeCustomerName("  Jane   Doe "), "Jane Doe");
+  assert.equal(normalizeCustomerName("José Núñez"), "José Núñez");
+  for (const value of ["", "12345", undefined, "x".repeat(101)]) {
+    assert.throws(() => normalizeCustomerName(value), ToolArgumentError, String(value));
+  }
+});
@@ -0,0 +1,85 @@
+// test/webhooks.test.js
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startTestServer, createClient } from "./helpers.js";
+
+const SECRET = "whsec_test";
+
+let server;
+
+before(async () => {
+  // Polling slow enough that only the webhook can finish the job in time
+  server = await startTestServer({
+    env: { BLOCK_WEBHOOK_SECRET: SECRET, BLOCK_POLL_INTERVAL_MS: "60000" },
+  });
+});
+
+after(() => server.close());
+
+function postWebhook(body, signature) {
+  const raw = JSON.stringify(body);
+  return fetch(`${server.url}/api/webhooks/block`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Block-Signature":
+        signature ?? `sha256=${crypto.createHmac("sha256", SECRET).update(raw).digest("hex")}`,
+    },
+    body: raw,
+  });
+}
+
+test("rejects webhooks with a bad signature", async () => {
+  const res = await postWebhook({ jobId: "job_1", status: "success" }, "sha256=00");
+  assert.equal(res.status, 401);
+});
+
+test("finishes a waiting job from a webhook", async () => {
+  const client = createClient(server.url);
+  server.block.script({ steps: [{ status: "queued" }] });
+  server.llm.reply({
+    toolCalls: [
+      {
+        name: "book_appointment",
+        arguments: {
+          customer_name: "Jane Doe",
+          customer_phone: "+12065551212",
+          service_name: "Haircut",
+          start_time: "2030-11-20T10:00:00",
+          provider_name: "Carl Morris",
+        },
+      },
+    ],
+  });
+  server.llm.reply({ content: "Booked!" });
+
+  const { body } = await client.chatAndConfirm("Book me in");
+  const statusesPromise = client.readStatusStream(body.statusRequestId);
+
+  // Wait for the first poll, so the server is waiting on the webhook
+  while (!server.block.jobs.get("job_1")?.pollCount) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  const res = await postWebhook({
+    jobId: "job_1",
+    status: "success",
+    result: { appointmentId: "appt_7" },
+    recentEvents: [{ message: "Confirmed by webhook", created_at: "2030-01-01T00:00:05Z" }],
+  });
+  assert.equal(res.status, 200);
+
+  const statuses = (await statusesPromise).filter((s) => s.event !== "delta");
+  assert.deepEqual(
+    statuses.map((s) => [s.event, s.data.message]),
+    [
+      ["status", undefined],
+      ["progress", "Confirmed by webhook"],
+      ["final", "Booked!"],
+      ["done", undefined],
+    ]
+  );
+  assert.equal(server.block.jobs.get("job_1").pollCount, 1);
+});